@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// Migration runner:
+//   node src/db/migrate.js up [--to <name>]     apply pending migrations
+//   node src/db/migrate.js down [--to <name>]   revert the last migration (or down to <name>)
+//   node src/db/migrate.js pending | executed   list migrations
+require('dotenv').config();
+const { sequelize } = require('../models');
+const { umzug } = require('./migrator');
+
+umzug.runAsCLI()
+  .then(() => sequelize.close())
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'hubspot_contacts', {
+      id: id(Sequelize),
+      hubspotContactId: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING
+      },
+      phone: {
+        type: Sequelize.STRING
+      },
+      whatsappNumber: {
+        type: Sequelize.STRING
+      },
+      firstName: {
+        type: Sequelize.STRING
+      },
+      lastName: {
+        type: Sequelize.STRING
+      },
+      company: {
+        type: Sequelize.STRING
+      },
+      lastSyncedAt: {
+        type: Sequelize.DATE
+      },
+      hubspotProperties: {
+        type: Sequelize.JSON
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['hubspotContactId'] },
+      { fields: ['email'] },
+      { fields: ['phone'] },
+      { fields: ['whatsappNumber'] },
+      { fields: ['lastSyncedAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'hubspot_contacts');
+  }
+};
@@ -0,0 +1,82 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'calls', {
+      id: id(Sequelize),
+      twilioCallSid: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      hubspotCallId: {
+        type: Sequelize.STRING,
+        unique: true
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'hubspot_contacts',
+          key: 'id'
+        }
+      },
+      direction: {
+        type: Sequelize.ENUM('inbound', 'outbound'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM(
+          'initiated',
+          'ringing',
+          'in-progress',
+          'completed',
+          'failed',
+          'busy',
+          'no-answer',
+          'canceled'
+        ),
+        defaultValue: 'initiated'
+      },
+      fromNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      toNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      startTime: {
+        type: Sequelize.DATE
+      },
+      endTime: {
+        type: Sequelize.DATE
+      },
+      recordingUrl: {
+        type: Sequelize.STRING
+      },
+      notes: {
+        type: Sequelize.TEXT
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['twilioCallSid'] },
+      { fields: ['hubspotCallId'] },
+      { fields: ['contactId'] },
+      { fields: ['status'] },
+      { fields: ['direction'] },
+      { fields: ['startTime'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'calls', ['direction', 'status']);
+  }
+};
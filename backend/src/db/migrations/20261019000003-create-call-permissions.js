@@ -0,0 +1,68 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'call_permissions', {
+      id: id(Sequelize),
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'hubspot_contacts',
+          key: 'id'
+        }
+      },
+      whatsappNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'expired'),
+        defaultValue: 'pending'
+      },
+      requestedAt: {
+        type: Sequelize.DATE
+      },
+      respondedAt: {
+        type: Sequelize.DATE
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      callsUsed: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      maxCalls: {
+        type: Sequelize.INTEGER,
+        defaultValue: 5
+      },
+      consecutiveMissedCalls: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      twilioMessageSid: {
+        type: Sequelize.STRING
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['contactId'] },
+      { fields: ['whatsappNumber'] },
+      { fields: ['status'] },
+      { fields: ['expiresAt'] },
+      {
+        unique: true,
+        fields: ['contactId', 'whatsappNumber'],
+        where: { status: 'approved' }
+      }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'call_permissions', ['status']);
+  }
+};
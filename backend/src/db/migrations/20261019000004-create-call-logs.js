@@ -0,0 +1,47 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'call_logs', {
+      id: id(Sequelize),
+      callId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'calls',
+          key: 'id'
+        }
+      },
+      event: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING
+      },
+      timestamp: {
+        type: Sequelize.DATE
+      },
+      data: {
+        type: Sequelize.JSON
+      },
+      source: {
+        type: Sequelize.ENUM('twilio', 'hubspot', 'system'),
+        defaultValue: 'system'
+      },
+      message: {
+        type: Sequelize.TEXT
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['callId'] },
+      { fields: ['event'] },
+      { fields: ['timestamp'] },
+      { fields: ['source'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'call_logs', ['source']);
+  }
+};
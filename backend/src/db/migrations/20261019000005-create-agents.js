@@ -0,0 +1,62 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'agents', {
+      id: id(Sequelize),
+      email: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      passwordHash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      role: {
+        type: Sequelize.ENUM('agent', 'supervisor', 'admin'),
+        defaultValue: 'agent'
+      },
+      team: {
+        type: Sequelize.STRING,
+        defaultValue: 'default'
+      },
+      twilioIdentity: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      availability: {
+        type: Sequelize.ENUM('available', 'busy', 'away'),
+        defaultValue: 'available'
+      },
+      lastCallEndedAt: {
+        type: Sequelize.DATE
+      },
+      lastLoginAt: {
+        type: Sequelize.DATE
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['email'] },
+      { fields: ['twilioIdentity'] },
+      { fields: ['role'] },
+      { fields: ['team'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'agents', ['role', 'availability']);
+  }
+};
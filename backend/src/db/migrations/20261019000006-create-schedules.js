@@ -0,0 +1,49 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'schedules', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      timezone: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      weeklyHours: {
+        type: Sequelize.JSON
+      },
+      holidays: {
+        type: Sequelize.JSON
+      },
+      afterHoursAction: {
+        type: Sequelize.ENUM('voicemail', 'closed_message', 'whatsapp_reply'),
+        defaultValue: 'voicemail'
+      },
+      closedMessage: {
+        type: Sequelize.TEXT
+      },
+      whatsappReplyMessage: {
+        type: Sequelize.TEXT
+      },
+      isDefault: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['isDefault'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'schedules', ['afterHoursAction']);
+  }
+};
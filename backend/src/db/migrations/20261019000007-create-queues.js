@@ -0,0 +1,67 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'queues', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      team: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      whatsappNumber: {
+        type: Sequelize.STRING
+      },
+      strategy: {
+        type: Sequelize.ENUM('round-robin', 'longest-idle', 'simultaneous'),
+        defaultValue: 'round-robin'
+      },
+      ringTimeout: {
+        type: Sequelize.INTEGER,
+        defaultValue: 20
+      },
+      maxWaitTime: {
+        type: Sequelize.INTEGER,
+        defaultValue: 300
+      },
+      overflowAction: {
+        type: Sequelize.ENUM('voicemail', 'hangup'),
+        defaultValue: 'voicemail'
+      },
+      scheduleId: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'schedules',
+          key: 'id'
+        }
+      },
+      isDefault: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      lastAssignedAgentId: {
+        type: Sequelize.UUID
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['team'] },
+      { fields: ['whatsappNumber'] },
+      { fields: ['isDefault'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'queues', ['strategy', 'overflowAction']);
+  }
+};
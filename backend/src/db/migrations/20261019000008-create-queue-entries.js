@@ -0,0 +1,61 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'queue_entries', {
+      id: id(Sequelize),
+      queueId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'queues',
+          key: 'id'
+        }
+      },
+      callId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'calls',
+          key: 'id'
+        }
+      },
+      status: {
+        type: Sequelize.ENUM('waiting', 'ringing', 'connected', 'completed', 'overflowed', 'abandoned'),
+        defaultValue: 'waiting'
+      },
+      agentId: {
+        type: Sequelize.UUID
+      },
+      offeredAgentIds: {
+        type: Sequelize.JSON
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      enqueuedAt: {
+        type: Sequelize.DATE
+      },
+      answeredAt: {
+        type: Sequelize.DATE
+      },
+      endedAt: {
+        type: Sequelize.DATE
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['queueId'] },
+      { fields: ['callId'] },
+      { fields: ['status'] },
+      { fields: ['enqueuedAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'queue_entries', ['status']);
+  }
+};
@@ -0,0 +1,85 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'voicemails', {
+      id: id(Sequelize),
+      callId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'calls',
+          key: 'id'
+        }
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'hubspot_contacts',
+          key: 'id'
+        }
+      },
+      queueId: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'queues',
+          key: 'id'
+        }
+      },
+      agentId: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'agents',
+          key: 'id'
+        }
+      },
+      recordingSid: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      recordingUrl: {
+        type: Sequelize.STRING
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      transcription: {
+        type: Sequelize.TEXT
+      },
+      transcriptionStatus: {
+        type: Sequelize.ENUM('pending', 'completed', 'failed'),
+        defaultValue: 'pending'
+      },
+      status: {
+        type: Sequelize.ENUM('new', 'handled'),
+        defaultValue: 'new'
+      },
+      handledBy: {
+        type: Sequelize.UUID
+      },
+      handledAt: {
+        type: Sequelize.DATE
+      },
+      hubspotEngagementId: {
+        type: Sequelize.STRING
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['callId'] },
+      { fields: ['contactId'] },
+      { fields: ['queueId'] },
+      { fields: ['agentId'] },
+      { fields: ['status'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'voicemails', ['transcriptionStatus', 'status']);
+  }
+};
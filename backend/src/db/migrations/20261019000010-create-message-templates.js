@@ -0,0 +1,56 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'message_templates', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      contentSid: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      purpose: {
+        type: Sequelize.ENUM('call_permission', 'voice_call_button'),
+        allowNull: false
+      },
+      language: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.ENUM('UTILITY', 'MARKETING', 'AUTHENTICATION'),
+        defaultValue: 'UTILITY'
+      },
+      approvalStatus: {
+        type: Sequelize.ENUM('unsubmitted', 'received', 'pending', 'approved', 'rejected', 'paused', 'disabled'),
+        defaultValue: 'unsubmitted'
+      },
+      rejectionReason: {
+        type: Sequelize.STRING
+      },
+      statusCheckedAt: {
+        type: Sequelize.DATE
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['contentSid'] },
+      { fields: ['purpose', 'language'] },
+      { fields: ['approvalStatus'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'message_templates', ['purpose', 'category', 'approvalStatus']);
+  }
+};
@@ -0,0 +1,13 @@
+const { addColumn, removeColumn } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumn(queryInterface, 'hubspot_contacts', 'language', {
+      type: Sequelize.STRING
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumn(queryInterface, 'hubspot_contacts', 'language');
+  }
+};
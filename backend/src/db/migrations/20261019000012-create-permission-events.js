@@ -0,0 +1,77 @@
+const { createTable, dropTable, id } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'permission_events', {
+      id: id(Sequelize),
+      permissionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'call_permissions',
+          key: 'id'
+        }
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'hubspot_contacts',
+          key: 'id'
+        }
+      },
+      whatsappNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM(
+          'requested',
+          'failed',
+          'delivered',
+          'read',
+          'approved',
+          'rejected',
+          'used',
+          'missed',
+          'revoked',
+          'expired'
+        ),
+        allowNull: false
+      },
+      actorType: {
+        type: Sequelize.ENUM('agent', 'contact', 'system'),
+        defaultValue: 'system'
+      },
+      actorId: {
+        type: Sequelize.STRING
+      },
+      actorName: {
+        type: Sequelize.STRING
+      },
+      source: {
+        type: Sequelize.ENUM('api', 'twilio', 'hubspot', 'scheduler', 'system'),
+        defaultValue: 'system'
+      },
+      occurredAt: {
+        type: Sequelize.DATE
+      },
+      data: {
+        type: Sequelize.JSON
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, [
+      { fields: ['permissionId'] },
+      { fields: ['contactId', 'occurredAt'] },
+      { fields: ['type'] },
+      { fields: ['occurredAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'permission_events', ['type', 'actorType', 'source']);
+  }
+};
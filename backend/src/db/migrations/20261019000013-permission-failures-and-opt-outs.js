@@ -0,0 +1,13 @@
+const { addEnumValues } = require('../schema');
+
+// Permission requests that couldn't be delivered are 'failed'; permissions
+// withdrawn by an opt-out are 'revoked'
+module.exports = {
+  async up(queryInterface) {
+    await addEnumValues(queryInterface, 'call_permissions', 'status', ['failed', 'revoked']);
+  },
+
+  async down() {
+    // PostgreSQL can't drop enum values; the extra values are left in place
+  }
+};
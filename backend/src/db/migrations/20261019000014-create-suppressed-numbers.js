@@ -0,0 +1,55 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'suppressed_numbers', {
+      id: id(Sequelize),
+      whatsappNumber: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'hubspot_contacts',
+          key: 'id'
+        }
+      },
+      reason: {
+        type: Sequelize.ENUM('opt_out', 'revoked', 'manual'),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('twilio', 'api', 'hubspot'),
+        defaultValue: 'twilio'
+      },
+      keyword: {
+        type: Sequelize.STRING
+      },
+      language: {
+        type: Sequelize.STRING
+      },
+      suppressedAt: {
+        type: Sequelize.DATE
+      },
+      liftedAt: {
+        type: Sequelize.DATE
+      },
+      liftedBy: {
+        type: Sequelize.UUID
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['contactId'] },
+      { fields: ['liftedAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'suppressed_numbers', ['reason', 'source']);
+  }
+};
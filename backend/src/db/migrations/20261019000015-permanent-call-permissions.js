@@ -0,0 +1,32 @@
+const { addColumn, removeColumn, rebuildTable, isPostgres } = require('../schema');
+
+// Permanent grants have no expiry and no call allowance
+const setExpiresAtNullable = async (queryInterface, Sequelize, nullable) => {
+  if (isPostgres(queryInterface)) {
+    await queryInterface.changeColumn('call_permissions', 'expiresAt', {
+      type: Sequelize.DATE,
+      allowNull: nullable
+    });
+    return;
+  }
+
+  await rebuildTable(queryInterface, 'call_permissions', definition => (nullable
+    ? definition.replace('`expiresAt` DATETIME NOT NULL', '`expiresAt` DATETIME')
+    : definition.replace('`expiresAt` DATETIME', '`expiresAt` DATETIME NOT NULL')));
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumn(queryInterface, 'call_permissions', 'type', {
+      type: Sequelize.ENUM('temporary', 'permanent'),
+      defaultValue: 'temporary'
+    });
+
+    await setExpiresAtNullable(queryInterface, Sequelize, true);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await setExpiresAtNullable(queryInterface, Sequelize, false);
+    await removeColumn(queryInterface, 'call_permissions', 'type');
+  }
+};
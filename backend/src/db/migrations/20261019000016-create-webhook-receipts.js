@@ -0,0 +1,39 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'webhook_receipts', {
+      id: id(Sequelize),
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      resourceSid: {
+        type: Sequelize.STRING
+      },
+      sequenceNumber: {
+        type: Sequelize.INTEGER
+      },
+      outcome: {
+        type: Sequelize.ENUM('processed', 'stale'),
+        defaultValue: 'processed'
+      },
+      data: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['type', 'resourceSid'] },
+      { fields: ['createdAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'webhook_receipts', ['outcome']);
+  }
+};
@@ -0,0 +1,20 @@
+const { addColumn, removeColumn, addEnumValues } = require('../schema');
+
+// 'answered' and the ringing/answered timestamps used by the call state machine
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addEnumValues(queryInterface, 'calls', 'status', ['answered']);
+
+    await addColumn(queryInterface, 'calls', 'ringingAt', {
+      type: Sequelize.DATE
+    });
+    await addColumn(queryInterface, 'calls', 'answeredAt', {
+      type: Sequelize.DATE
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumn(queryInterface, 'calls', 'answeredAt');
+    await removeColumn(queryInterface, 'calls', 'ringingAt');
+  }
+};
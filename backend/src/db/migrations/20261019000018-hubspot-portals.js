@@ -0,0 +1,109 @@
+const config = require('../../config/config');
+const {
+  createTable, dropTable, addColumn, removeColumn, rebuildTable, isPostgres, id, timestamps
+} = require('../schema');
+
+// OAuth-installed portals, and the portal each contact, call, permission,
+// queue and agent belongs to
+const SCOPED_TABLES = ['hubspot_contacts', 'calls', 'call_permissions', 'queues', 'agents'];
+
+// HubSpot contact IDs are only unique within a portal
+const setContactIdUnique = async (queryInterface, unique) => {
+  if (isPostgres(queryInterface)) {
+    await queryInterface.sequelize.query(unique
+      ? 'ALTER TABLE "hubspot_contacts" ADD CONSTRAINT "hubspot_contacts_hubspotContactId_key" UNIQUE ("hubspotContactId")'
+      : 'ALTER TABLE "hubspot_contacts" DROP CONSTRAINT IF EXISTS "hubspot_contacts_hubspotContactId_key"');
+    return;
+  }
+
+  await rebuildTable(queryInterface, 'hubspot_contacts', definition => (unique
+    ? definition.replace('`hubspotContactId` VARCHAR(255) NOT NULL', '`hubspotContactId` VARCHAR(255) NOT NULL UNIQUE')
+    : definition.replace('`hubspotContactId` VARCHAR(255) NOT NULL UNIQUE', '`hubspotContactId` VARCHAR(255) NOT NULL')));
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'hubspot_portals', {
+      id: id(Sequelize),
+      portalId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      hubDomain: {
+        type: Sequelize.STRING
+      },
+      accessToken: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      refreshToken: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      accessTokenExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'needs_reauth', 'uninstalled'),
+        defaultValue: 'active'
+      },
+      installedBy: {
+        type: Sequelize.UUID
+      },
+      installedAt: {
+        type: Sequelize.DATE
+      },
+      lastRefreshedAt: {
+        type: Sequelize.DATE
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['status'] }
+    ]);
+
+    for (const table of SCOPED_TABLES) {
+      await addColumn(queryInterface, table, 'portalId', {
+        type: Sequelize.STRING
+      });
+    }
+
+    await setContactIdUnique(queryInterface, false);
+
+    // Records from a single-portal install belong to that portal
+    if (config.hubspot.portalId) {
+      for (const table of SCOPED_TABLES.filter(name => name !== 'agents')) {
+        await queryInterface.bulkUpdate(table, { portalId: config.hubspot.portalId }, { portalId: null });
+      }
+    }
+
+    await queryInterface.addIndex('hubspot_contacts', {
+      unique: true,
+      fields: ['portalId', 'hubspotContactId']
+    });
+    for (const table of SCOPED_TABLES.filter(name => name !== 'hubspot_contacts')) {
+      await queryInterface.addIndex(table, { fields: ['portalId'] });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('hubspot_contacts', ['portalId', 'hubspotContactId']);
+    for (const table of SCOPED_TABLES.filter(name => name !== 'hubspot_contacts')) {
+      await queryInterface.removeIndex(table, ['portalId']);
+    }
+    await setContactIdUnique(queryInterface, true);
+
+    for (const table of SCOPED_TABLES) {
+      await removeColumn(queryInterface, table, 'portalId');
+    }
+
+    await dropTable(queryInterface, 'hubspot_portals', ['status']);
+  }
+};
@@ -0,0 +1,86 @@
+const { createTable, dropTable, rebuildTable, isPostgres, id, timestamps } = require('../schema');
+
+// Contacts created for inbound callers get their HubSpot ID once the outbox
+// has created them in HubSpot
+const setContactIdRequired = async (queryInterface, required) => {
+  if (isPostgres(queryInterface)) {
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "hubspot_contacts" ALTER COLUMN "hubspotContactId" ${required ? 'SET' : 'DROP'} NOT NULL`
+    );
+    return;
+  }
+
+  await rebuildTable(queryInterface, 'hubspot_contacts', definition => (required
+    ? definition.replace('`hubspotContactId` VARCHAR(255),', '`hubspotContactId` VARCHAR(255) NOT NULL,')
+    : definition.replace('`hubspotContactId` VARCHAR(255) NOT NULL,', '`hubspotContactId` VARCHAR(255),')));
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'crm_outbox_items', {
+      id: id(Sequelize),
+      portalId: {
+        type: Sequelize.STRING
+      },
+      operation: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      resourceType: {
+        type: Sequelize.STRING
+      },
+      resourceId: {
+        type: Sequelize.STRING
+      },
+      payload: {
+        type: Sequelize.JSON
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'completed', 'dead'),
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE
+      },
+      lastError: {
+        type: Sequelize.TEXT
+      },
+      completedAt: {
+        type: Sequelize.DATE
+      },
+      result: {
+        type: Sequelize.JSON
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['status', 'nextAttemptAt'] },
+      { fields: ['resourceType', 'resourceId'] },
+      { fields: ['completedAt'] }
+    ]);
+
+    await setContactIdRequired(queryInterface, false);
+  },
+
+  async down(queryInterface) {
+    const [{ count }] = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS count FROM hubspot_contacts WHERE "hubspotContactId" IS NULL',
+      { type: queryInterface.sequelize.QueryTypes.SELECT }
+    );
+    if (Number(count) > 0) {
+      throw new Error(`${count} contacts are not in HubSpot yet; let the outbox create them before reverting`);
+    }
+
+    await setContactIdRequired(queryInterface, true);
+    await dropTable(queryInterface, 'crm_outbox_items', ['status']);
+  }
+};
@@ -0,0 +1,82 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'recordings', {
+      id: id(Sequelize),
+      callId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'calls',
+          key: 'id'
+        }
+      },
+      recordingSid: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      twilioUrl: {
+        type: Sequelize.STRING
+      },
+      source: {
+        type: Sequelize.STRING
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'downloading', 'stored', 'failed', 'deleted'),
+        defaultValue: 'pending'
+      },
+      storageBackend: {
+        type: Sequelize.STRING
+      },
+      storageKey: {
+        type: Sequelize.STRING
+      },
+      contentType: {
+        type: Sequelize.STRING
+      },
+      size: {
+        type: Sequelize.INTEGER
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      channels: {
+        type: Sequelize.INTEGER,
+        defaultValue: 1
+      },
+      startedAt: {
+        type: Sequelize.DATE
+      },
+      downloadAttempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      lastError: {
+        type: Sequelize.TEXT
+      },
+      storedAt: {
+        type: Sequelize.DATE
+      },
+      deletedAt: {
+        type: Sequelize.DATE
+      },
+      twilioDeletedAt: {
+        type: Sequelize.DATE
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['callId'] },
+      { fields: ['status', 'createdAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'recordings', ['status']);
+  }
+};
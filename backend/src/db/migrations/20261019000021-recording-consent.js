@@ -0,0 +1,23 @@
+const { addColumn, removeColumn } = require('../schema');
+
+// A contact's own recording consent, and the recording mode of each queue
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumn(queryInterface, 'hubspot_contacts', 'recordingConsent', {
+      type: Sequelize.ENUM('granted', 'denied')
+    });
+    await addColumn(queryInterface, 'hubspot_contacts', 'recordingConsentAt', {
+      type: Sequelize.DATE
+    });
+
+    await addColumn(queryInterface, 'queues', 'recordingMode', {
+      type: Sequelize.ENUM('always', 'never', 'ask')
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumn(queryInterface, 'queues', 'recordingMode');
+    await removeColumn(queryInterface, 'hubspot_contacts', 'recordingConsentAt');
+    await removeColumn(queryInterface, 'hubspot_contacts', 'recordingConsent');
+  }
+};
@@ -0,0 +1,66 @@
+const { createTable, dropTable, id, timestamps } = require('../schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTable(queryInterface, 'transcripts', {
+      id: id(Sequelize),
+      callId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'calls',
+          key: 'id'
+        }
+      },
+      recordingId: {
+        type: Sequelize.UUID,
+        unique: true,
+        allowNull: false,
+        references: {
+          model: 'recordings',
+          key: 'id'
+        }
+      },
+      provider: {
+        type: Sequelize.STRING
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+        defaultValue: 'pending'
+      },
+      language: {
+        type: Sequelize.STRING
+      },
+      segments: {
+        type: Sequelize.JSON
+      },
+      summary: {
+        type: Sequelize.TEXT
+      },
+      actionItems: {
+        type: Sequelize.JSON
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      lastError: {
+        type: Sequelize.TEXT
+      },
+      completedAt: {
+        type: Sequelize.DATE
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      ...timestamps(Sequelize)
+    }, [
+      { fields: ['callId'] },
+      { fields: ['status', 'createdAt'] }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await dropTable(queryInterface, 'transcripts', ['status']);
+  }
+};
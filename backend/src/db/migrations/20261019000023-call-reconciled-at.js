@@ -0,0 +1,15 @@
+const { addColumn, removeColumn } = require('../schema');
+
+// When the reconciler last checked a call, so calls still live at Twilio
+// don't fill every batch
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumn(queryInterface, 'calls', 'reconciledAt', {
+      type: Sequelize.DATE
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumn(queryInterface, 'calls', 'reconciledAt');
+  }
+};
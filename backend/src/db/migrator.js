@@ -0,0 +1,57 @@
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize, Sequelize } = require('../models');
+const logger = require('../utils/logger');
+
+// Migrations live in ./migrations and use the sequelize-cli signature,
+// up(queryInterface, Sequelize) and down(queryInterface, Sequelize).
+// Applied migrations are recorded in the SequelizeMeta table.
+const umzug = new Umzug({
+  migrations: {
+    glob: ['migrations/*.js', { cwd: __dirname }],
+    resolve: ({ name, path, context }) => {
+      const migration = require(path);
+      return {
+        name,
+        up: () => migration.up(context, Sequelize),
+        down: () => migration.down(context, Sequelize)
+      };
+    }
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: {
+    info: (event) => logger.info('Migration:', event),
+    warn: (event) => logger.warn('Migration:', event),
+    error: (event) => logger.error('Migration:', event),
+    debug: (event) => logger.debug('Migration:', event)
+  }
+});
+
+// Error raised when the database schema is behind the code
+const pendingMigrationsError = (pending) => {
+  const error = new Error(
+    `Database has ${pending.length} pending migration(s): ${pending.join(', ')}. Run "npm run migrate" first.`
+  );
+  error.name = 'PendingMigrationsError';
+  error.pending = pending;
+  return error;
+};
+
+// Refuse to start against a schema that hasn't been migrated to this version
+const assertMigrated = async () => {
+  const pending = (await umzug.pending()).map(migration => migration.name);
+  if (pending.length > 0) {
+    throw pendingMigrationsError(pending);
+  }
+
+  // A database migrated by a newer release may not match these models
+  const known = new Set((await umzug.migrations()).map(migration => migration.name));
+  const unknown = (await umzug.executed())
+    .map(migration => migration.name)
+    .filter(name => !known.has(name));
+  if (unknown.length > 0) {
+    logger.warn('Database has migrations this version does not know about:', { migrations: unknown });
+  }
+};
+
+module.exports = { umzug, assertMigrated };
@@ -0,0 +1,133 @@
+// Helpers for migrations. Databases created before migrations existed were
+// built by sequelize.sync(), so creating a table or column that is already
+// there is skipped instead of failing.
+
+const isPostgres = (queryInterface) => queryInterface.sequelize.getDialect() === 'postgres';
+
+const tableExists = async (queryInterface, table) => {
+  const tables = await queryInterface.showAllTables();
+  return tables.map(entry => (typeof entry === 'string' ? entry : entry.tableName)).includes(table);
+};
+
+// Create a table with its indexes, unless it exists
+const createTable = async (queryInterface, table, attributes, indexes = []) => {
+  if (await tableExists(queryInterface, table)) {
+    return;
+  }
+
+  await queryInterface.createTable(table, attributes);
+  for (const index of indexes) {
+    await queryInterface.addIndex(table, index);
+  }
+};
+
+// Drop a table and, on PostgreSQL, the enum types Sequelize made for it
+const dropTable = async (queryInterface, table, enumColumns = []) => {
+  await queryInterface.dropTable(table);
+
+  if (isPostgres(queryInterface)) {
+    for (const column of enumColumns) {
+      await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_${table}_${column}"`);
+    }
+  }
+};
+
+const addColumn = async (queryInterface, table, column, attributes) => {
+  const columns = await queryInterface.describeTable(table);
+  if (!columns[column]) {
+    await queryInterface.addColumn(table, column, attributes);
+  }
+};
+
+// Sequelize removes and changes SQLite columns by copying the table, which
+// loses its indexes, so SQLite gets native DROP COLUMN and rebuildTable below
+const removeColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+    return;
+  }
+
+  await queryInterface.removeColumn(table, column);
+
+  if (isPostgres(queryInterface)) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_${table}_${column}"`);
+  }
+};
+
+// Rebuild a SQLite table from its own CREATE statement after editDefinition
+// has changed it, keeping rows and indexes (SQLite's documented procedure
+// for changes ALTER TABLE can't make)
+const rebuildTable = async (queryInterface, table, editDefinition) => {
+  const { sequelize } = queryInterface;
+  const select = (type) => sequelize.query(
+    'SELECT sql FROM sqlite_master WHERE type = ? AND tbl_name = ? AND sql IS NOT NULL',
+    { replacements: [type, table], type: sequelize.QueryTypes.SELECT }
+  );
+
+  const [{ sql: definition }] = await select('table');
+  const indexes = await select('index');
+  const rebuilt = `${table}_rebuild`;
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.query(editDefinition(definition).replace(/^CREATE TABLE [`"]?\w+[`"]?/, `CREATE TABLE \`${rebuilt}\``));
+    await sequelize.query(`INSERT INTO \`${rebuilt}\` SELECT * FROM \`${table}\``);
+    await sequelize.query(`DROP TABLE \`${table}\``);
+    await sequelize.query(`ALTER TABLE \`${rebuilt}\` RENAME TO \`${table}\``);
+    for (const { sql } of indexes) {
+      await sequelize.query(sql);
+    }
+  } catch (error) {
+    await sequelize.query(`DROP TABLE IF EXISTS \`${rebuilt}\``);
+    throw error;
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+// Allow more values in an ENUM column. SQLite stores enums as text, so only
+// PostgreSQL's enum type needs changing. PostgreSQL can't drop enum values,
+// so there is no way back short of recreating the type.
+const addEnumValues = async (queryInterface, table, column, values) => {
+  if (!isPostgres(queryInterface)) {
+    return;
+  }
+
+  for (const value of values) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_${table}_${column}" ADD VALUE IF NOT EXISTS '${value}'`
+    );
+  }
+};
+
+// Columns every table has: a UUID key and Sequelize's timestamps
+const id = (Sequelize) => ({
+  type: Sequelize.UUID,
+  defaultValue: Sequelize.UUIDV4,
+  primaryKey: true,
+  allowNull: false
+});
+
+const timestamps = (Sequelize) => ({
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  updatedAt: {
+    type: Sequelize.DATE,
+    allowNull: false
+  }
+});
+
+module.exports = {
+  isPostgres,
+  tableExists,
+  createTable,
+  dropTable,
+  addColumn,
+  removeColumn,
+  rebuildTable,
+  addEnumValues,
+  id,
+  timestamps
+};
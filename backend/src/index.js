@@ -10,14 +10,42 @@ const WebSocket = require('ws');
 
 const logger = require('./utils/logger');
 const db = require('./models');
+const migrator = require('./db/migrator');
 const errorHandler = require('./middleware/errorHandler');
 const twilioValidator = require('./middleware/twilioValidator');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { resolvePortal } = require('./middleware/portal');
+const authService = require('./services/auth');
+const eventBus = require('./services/eventBus');
+const callQueue = require('./services/callQueue');
+const callLifecycle = require('./services/callLifecycle');
+const scheduler = require('./services/scheduler');
+const permissionExpiryJob = require('./jobs/permissionExpiry');
+const webhookReceiptCleanupJob = require('./jobs/webhookReceiptCleanup');
+const crmOutboxJob = require('./jobs/crmOutbox');
+const callReconcilerJob = require('./jobs/callReconciler');
+const recordingsJob = require('./jobs/recordings');
+const transcriptionsJob = require('./jobs/transcriptions');
+const config = require('./config/config');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const callRoutes = require('./routes/calls');
 const hubspotRoutes = require('./routes/hubspot');
+const hubspotWebhookRoutes = require('./routes/hubspotWebhooks');
+const hubspotOAuthRoutes = require('./routes/hubspotOAuth');
+const hubspotPortalRoutes = require('./routes/hubspotPortals');
 const webhookRoutes = require('./routes/webhooks');
 const healthRoutes = require('./routes/health');
+const queueRoutes = require('./routes/queues');
+const scheduleRoutes = require('./routes/schedules');
+const voicemailRoutes = require('./routes/voicemails');
+const templateRoutes = require('./routes/templates');
+const jobRoutes = require('./routes/jobs');
+const permissionRoutes = require('./routes/permissions');
+const outboxRoutes = require('./routes/outbox');
+const recordingRoutes = require('./routes/recordings');
+const transcriptRoutes = require('./routes/transcripts');
 
 const app = express();
 const server = createServer(app);
@@ -41,35 +69,32 @@ app.use('/api/', limiter);
 // Logging
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
-// Body parsing
-app.use(bodyParser.json());
+// Body parsing; HubSpot webhook signatures are computed over the raw body
+app.use(bodyParser.json({ verify: (req, res, buffer) => { req.rawBody = buffer.toString('utf8'); } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Store WebSocket connection for real-time updates
-app.set('wss', wss);
-
-// WebSocket connection handling
-wss.on('connection', (ws) => {
-  logger.info('New WebSocket connection established');
-  
-  ws.on('message', (message) => {
-    try {
-      const data = JSON.parse(message);
-      logger.info('WebSocket message received:', data);
-    } catch (error) {
-      logger.error('Invalid WebSocket message format:', error);
-    }
-  });
-  
-  ws.on('close', () => {
-    logger.info('WebSocket connection closed');
-  });
-});
+// Authenticated WebSocket connections for real-time updates
+eventBus.attach(wss);
 
 // Routes
 app.use('/health', healthRoutes);
-app.use('/api/calls', callRoutes);
-app.use('/api/hubspot', hubspotRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/calls', authenticate, resolvePortal, callRoutes);
+app.use('/api/queues', authenticate, queueRoutes);
+app.use('/api/schedules', authenticate, scheduleRoutes);
+app.use('/api/voicemails', authenticate, voicemailRoutes);
+app.use('/api/recordings', authenticate, recordingRoutes);
+app.use('/api/transcripts', authenticate, transcriptRoutes);
+app.use('/api/templates', authenticate, templateRoutes);
+app.use('/api/jobs', authenticate, requireRole('admin'), jobRoutes);
+app.use('/api/outbox', authenticate, requireRole('admin'), outboxRoutes);
+app.use('/api/permissions', authenticate, requireRole('admin', 'supervisor'), permissionRoutes);
+// HubSpot webhooks are server-to-server, so they are mounted ahead of agent authentication
+app.use('/api/hubspot/webhooks', hubspotWebhookRoutes);
+app.use('/api/hubspot/portals', authenticate, requireRole('admin'), hubspotPortalRoutes);
+app.use('/api/hubspot', authenticate, resolvePortal, hubspotRoutes);
+// HubSpot redirects the installing user's browser here, without an agent session
+app.use('/oauth/hubspot', hubspotOAuthRoutes);
 app.use('/webhook', webhookRoutes);
 
 // Error handling
@@ -82,22 +107,48 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-// Initialize database and start server
-db.sequelize.sync({ force: false }).then(() => {
-  logger.info('Database synchronized');
+// Refuse to sign agent tokens with the placeholder secret in production
+if (config.server.environment === 'production' && config.security.jwtSecret === 'your-secret-key') {
+  logger.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Check the database schema and start server
+db.sequelize.authenticate().then(() => migrator.assertMigrated()).then(async () => {
+  logger.info('Database schema is up to date');
+
+  await authService.ensureBootstrapAdmin();
+  await callQueue.start();
+  callLifecycle.register();
+
+  scheduler.register(permissionExpiryJob);
+  scheduler.register(webhookReceiptCleanupJob);
+  scheduler.register(crmOutboxJob);
+  scheduler.register(callReconcilerJob);
+  scheduler.register(recordingsJob);
+  scheduler.register(transcriptionsJob);
+  if (config.scheduler.enabled) {
+    scheduler.start();
+  }
   
   server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
 }).catch(error => {
-  logger.error('Failed to sync database:', error);
+  if (error.name === 'PendingMigrationsError') {
+    logger.error(error.message);
+  } else {
+    logger.error('Failed to start:', error);
+  }
   process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  wss.close();
+  scheduler.stop();
   server.close(() => {
     logger.info('Process terminated');
   });
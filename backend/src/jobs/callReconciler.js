@@ -0,0 +1,9 @@
+const config = require('../config/config');
+const callReconciler = require('../services/callReconciler');
+
+// Close out calls whose final status callback never arrived
+module.exports = {
+  name: 'call-reconciler',
+  intervalMs: config.scheduler.callReconcilerIntervalMs,
+  run: () => callReconciler.reconcileStale()
+};
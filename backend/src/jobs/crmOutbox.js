@@ -0,0 +1,25 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const crmOutbox = require('../services/crmOutbox');
+
+// Retry CRM writes that are due, and forget completed ones after the
+// retention period
+async function processOutbox(now = new Date()) {
+  const result = await crmOutbox.processDue(now);
+
+  const olderThan = new Date(now.getTime() - config.crmOutbox.completedRetentionDays * 24 * 60 * 60 * 1000);
+  const purged = await crmOutbox.purgeCompleted(olderThan);
+
+  if (result.completed > 0 || result.dead > 0 || purged > 0) {
+    logger.info('Processed CRM outbox:', { ...result, purged });
+  }
+
+  return { ...result, purged };
+}
+
+module.exports = {
+  name: 'crm-outbox',
+  intervalMs: config.scheduler.crmOutboxIntervalMs,
+  run: () => processOutbox(),
+  processOutbox
+};
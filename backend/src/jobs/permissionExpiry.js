@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const eventBus = require('../services/eventBus');
+const hubspotService = require('../services/hubspot');
+const crmOutbox = require('../services/crmOutbox');
+const permissionEvents = require('../services/permissionEvents');
+const { CallPermission, HubSpotContact } = require('../models');
+
+// Permissions handled per run; anything left over is picked up next run
+const BATCH_SIZE = 200;
+
+// Move pending and approved permissions past their expiry date to expired,
+// and tell the requesting agent, contact watchers and HubSpot
+async function expirePermissions(now = new Date()) {
+  const permissions = await CallPermission.findAll({
+    where: {
+      status: { [Op.in]: ['pending', 'approved'] },
+      expiresAt: { [Op.lte]: now }
+    },
+    include: [{ model: HubSpotContact, as: 'contact' }],
+    order: [['expiresAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let expired = 0;
+
+  for (const permission of permissions) {
+    const previousStatus = permission.status;
+
+    // Only expire the row if nobody changed it since we read it (e.g. the
+    // contact approved a pending request a moment ago)
+    const [updated] = await CallPermission.update({
+      status: 'expired',
+      metadata: { ...permission.metadata, expiredAt: now.toISOString(), previousStatus }
+    }, {
+      where: { id: permission.id, status: previousStatus }
+    });
+
+    if (updated === 0) continue;
+    expired++;
+
+    await permissionEvents.record(permission, 'expired', {
+      source: 'scheduler',
+      occurredAt: now,
+      data: { reason: 'expiry_date_passed', previousStatus, expiresAt: permission.expiresAt }
+    });
+
+    const requestedBy = permission.metadata && permission.metadata.requestedBy;
+    eventBus.publish('permission_expired', {
+      permissionId: permission.id,
+      contactId: permission.contactId,
+      whatsappNumber: permission.whatsappNumber,
+      previousStatus,
+      expiresAt: permission.expiresAt
+    }, {
+      agentIds: requestedBy ? [requestedBy] : [],
+      topics: [`contact:${permission.contactId}`]
+    });
+
+    if (permission.contact && !(permission.contact.metadata && permission.contact.metadata.deleted)) {
+      await crmOutbox.updateContact(permission.contact, hubspotService.permissionStatusProperties('expired', now));
+    }
+  }
+
+  if (expired > 0) {
+    logger.info('Expired stale call permissions:', { expired });
+  }
+
+  return { expired, remaining: permissions.length === BATCH_SIZE };
+}
+
+module.exports = {
+  name: 'permission-expiry',
+  intervalMs: config.scheduler.permissionExpiryIntervalMs,
+  run: () => expirePermissions(),
+  expirePermissions
+};
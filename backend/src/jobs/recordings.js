@@ -0,0 +1,23 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const recordings = require('../services/recordings');
+
+// Retry recording downloads that failed, and delete recordings older than
+// the retention period
+async function maintainRecordings(now = new Date()) {
+  const downloads = await recordings.retryDownloads(now);
+  const retention = await recordings.purgeExpired(now);
+
+  if (downloads.attempted > 0 || retention.deleted > 0 || retention.failures > 0) {
+    logger.info('Maintained recordings:', { downloads, retention });
+  }
+
+  return { downloads, retention };
+}
+
+module.exports = {
+  name: 'recordings',
+  intervalMs: config.scheduler.recordingsIntervalMs,
+  run: () => maintainRecordings(),
+  maintainRecordings
+};
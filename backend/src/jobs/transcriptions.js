@@ -0,0 +1,21 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const transcription = require('../services/transcription');
+
+// Retry recording transcriptions that failed or were interrupted
+async function retryTranscriptions(now = new Date()) {
+  const result = await transcription.retryTranscriptions(now);
+
+  if (result.attempted > 0) {
+    logger.info('Retried transcriptions:', result);
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'transcriptions',
+  intervalMs: config.scheduler.transcriptionsIntervalMs,
+  run: () => retryTranscriptions(),
+  retryTranscriptions
+};
@@ -0,0 +1,23 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const webhookReceipts = require('../services/webhookReceipts');
+
+// Forget webhook deliveries older than the retention period; Twilio has long
+// stopped retrying them by then
+async function purgeReceipts(now = new Date()) {
+  const olderThan = new Date(now.getTime() - config.webhooks.receiptRetentionDays * 24 * 60 * 60 * 1000);
+  const deleted = await webhookReceipts.purge(olderThan);
+
+  if (deleted > 0) {
+    logger.info('Purged old webhook receipts:', { deleted, olderThan });
+  }
+
+  return { deleted };
+}
+
+module.exports = {
+  name: 'webhook-receipt-cleanup',
+  intervalMs: config.scheduler.webhookReceiptCleanupIntervalMs,
+  run: () => purgeReceipts(),
+  purgeReceipts
+};
@@ -0,0 +1,52 @@
+const authService = require('../services/auth');
+const logger = require('../utils/logger');
+const { Agent } = require('../models');
+
+const authenticationError = (message) => {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  return error;
+};
+
+// Require a valid agent session token ("Authorization: Bearer <jwt>")
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(authenticationError('Missing bearer token'));
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyToken(token);
+  } catch (error) {
+    logger.warn('Rejected agent token:', { reason: error.message, ip: req.ip });
+    return next(authenticationError('Invalid or expired token'));
+  }
+
+  try {
+    const agent = await Agent.findByPk(payload.sub);
+    if (!agent || !agent.active) {
+      return next(authenticationError('Agent is not active'));
+    }
+
+    req.agent = agent;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to agents with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.agent || !roles.includes(req.agent.role)) {
+    const error = new Error(`Requires role: ${roles.join(' or ')}`);
+    error.name = 'AuthorizationError';
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = { authenticate, requireRole };
@@ -17,6 +17,29 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // HubSpot webhook validation errors
+  if (err.name === 'HubSpotValidationError') {
+    return res.status(401).json({
+      error: 'Webhook validation failed',
+      message: err.message
+    });
+  }
+
+  // Agent authentication errors
+  if (err.name === 'AuthenticationError') {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: err.message
+    });
+  }
+
+  if (err.name === 'AuthorizationError') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: err.message
+    });
+  }
+
   // Validation errors
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Characters HubSpot decodes in the request URI before signing
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'HubSpotValidationError';
+  return error;
+};
+
+// Signature v3: base64 HMAC-SHA256, keyed with the app's client secret, of
+// method + URI + raw body + X-HubSpot-Request-Timestamp
+const computeSignature = (secret, { method, uri, body, timestamp }) => {
+  const decodedUri = uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => DECODED_URI_CHARACTERS[match.toUpperCase()]);
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${method}${decodedUri}${body}${timestamp}`)
+    .digest('base64');
+};
+
+const validateHubSpotSignature = (req, res, next) => {
+  // Skip validation in development if HUBSPOT_CLIENT_SECRET is not set
+  if (!config.hubspot.clientSecret) {
+    logger.warn('HubSpot signature validation skipped - no client secret configured');
+    return next();
+  }
+
+  const signature = req.headers['x-hubspot-signature-v3'];
+  const timestamp = req.headers['x-hubspot-request-timestamp'];
+
+  if (!signature || !timestamp) {
+    logger.error('Missing HubSpot signature headers');
+    return next(validationError('Missing HubSpot signature'));
+  }
+
+  // Reject replays of old requests
+  const age = Date.now() - Number(timestamp);
+  if (!Number.isFinite(age) || Math.abs(age) > config.hubspot.webhookMaxAgeMs) {
+    logger.error('Stale HubSpot webhook timestamp', { timestamp });
+    return next(validationError('HubSpot request timestamp is too old'));
+  }
+
+  const expected = computeSignature(config.hubspot.clientSecret, {
+    method: req.method,
+    uri: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    body: req.rawBody || '',
+    timestamp
+  });
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  const isValid = expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+
+  if (!isValid) {
+    logger.error('Invalid HubSpot signature', {
+      url: req.originalUrl,
+      signature
+    });
+    return next(validationError('Invalid HubSpot signature'));
+  }
+
+  next();
+};
+
+module.exports = { validateHubSpotSignature, computeSignature };
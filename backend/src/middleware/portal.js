@@ -0,0 +1,35 @@
+const config = require('../config/config');
+
+// Whether an agent may work with a record of a portal. Agents without a
+// portal (e.g. the deployment's admins) may work in every portal; records
+// from before portals existed have none and are visible to everyone.
+const canAccessPortal = (agent, portalId) =>
+  !agent.portalId || !portalId || agent.portalId === String(portalId);
+
+// Agents may control the calls assigned to them; supervisors may control any
+// call in their portal
+const canControlCall = (agent, call) =>
+  canAccessPortal(agent, call.portalId) && (
+    ['supervisor', 'admin'].includes(agent.role) ||
+    (call.metadata && call.metadata.agentId === agent.id)
+  );
+
+// Resolve the HubSpot portal a request works in as req.portalId: the one the
+// client asks for (the calling widget sends HubSpot's portalId), else the
+// agent's own, else the default portal
+const resolvePortal = (req, res, next) => {
+  const requested = req.get('x-hubspot-portal-id') || req.query.portalId || (req.body && req.body.portalId);
+
+  if (requested && !canAccessPortal(req.agent, requested)) {
+    const error = new Error(`No access to HubSpot portal ${requested}`);
+    error.name = 'AuthorizationError';
+    return next(error);
+  }
+
+  req.portalId = requested
+    ? String(requested)
+    : req.agent.portalId || (config.hubspot.portalId ? String(config.hubspot.portalId) : null);
+  next();
+};
+
+module.exports = { resolvePortal, canAccessPortal, canControlCall };
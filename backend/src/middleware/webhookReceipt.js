@@ -0,0 +1,43 @@
+const webhookReceipts = require('../services/webhookReceipts');
+const logger = require('../utils/logger');
+
+// Drop repeated deliveries of a Twilio webhook. `identify` maps the request
+// body to { id, resourceSid, sequenceNumber }, where id is unique per
+// delivery; bodies without an id are processed as usual. The receipt is
+// available to the handler as req.webhookReceipt, and is released if the
+// handler answers with a 5xx so that Twilio's retry goes through.
+const dedupeWebhook = (type, identify) => async (req, res, next) => {
+  try {
+    const { id, resourceSid, sequenceNumber } = identify(req.body);
+    if (!id) {
+      return next();
+    }
+
+    const receipt = await webhookReceipts.claim({
+      key: `${type}:${id}`,
+      type,
+      resourceSid,
+      sequenceNumber: Number.isInteger(sequenceNumber) ? sequenceNumber : null
+    });
+
+    if (!receipt) {
+      logger.info('Duplicate webhook ignored:', { type, id });
+      return res.status(200).send('OK');
+    }
+
+    req.webhookReceipt = receipt;
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        webhookReceipts.release(receipt).catch(error => {
+          logger.error('Failed to release webhook receipt:', error);
+        });
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { dedupeWebhook };
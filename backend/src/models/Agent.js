@@ -0,0 +1,106 @@
+module.exports = (sequelize, DataTypes) => {
+  const Agent = sequelize.define('Agent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // HubSpot portal the agent works in; admins without one see every portal
+    portalId: {
+      type: DataTypes.STRING
+    },
+    role: {
+      type: DataTypes.ENUM('agent', 'supervisor', 'admin'),
+      defaultValue: 'agent'
+    },
+    team: {
+      type: DataTypes.STRING,
+      defaultValue: 'default'
+    },
+    twilioIdentity: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    availability: {
+      type: DataTypes.ENUM('available', 'busy', 'away'),
+      defaultValue: 'available'
+    },
+    lastCallEndedAt: {
+      type: DataTypes.DATE // Used by the longest-idle queue strategy
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'agents',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['email']
+      },
+      {
+        fields: ['twilioIdentity']
+      },
+      {
+        fields: ['role']
+      },
+      {
+        fields: ['team']
+      },
+      {
+        fields: ['portalId']
+      }
+    ],
+    hooks: {
+      // Twilio client identities only allow alphanumerics and underscores
+      beforeValidate: (agent) => {
+        if (!agent.twilioIdentity) {
+          agent.twilioIdentity = `agent_${agent.id.replace(/-/g, '')}`;
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  Agent.prototype.toProfile = function() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      team: this.team,
+      portalId: this.portalId,
+      twilioIdentity: this.twilioIdentity,
+      active: this.active,
+      availability: this.availability,
+      lastLoginAt: this.lastLoginAt
+    };
+  };
+
+  return Agent;
+};
@@ -14,11 +14,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       unique: true
     },
+    // HubSpot portal (hub ID) the record belongs to
+    portalId: {
+      type: DataTypes.STRING
+    },
     contactId: {
       type: DataTypes.UUID,
       allowNull: false,
       references: {
-        model: 'HubSpotContacts',
+        model: 'hubspot_contacts',
         key: 'id'
       }
     },
@@ -30,6 +34,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM(
         'initiated',
         'ringing',
+        'answered',
         'in-progress',
         'completed',
         'failed',
@@ -48,15 +53,26 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     duration: {
-      type: DataTypes.INTEGER, // Duration in seconds
+      type: DataTypes.INTEGER, // Talk time in seconds, from answer to end
       defaultValue: 0
     },
     startTime: {
       type: DataTypes.DATE
     },
+    // Phase timestamps, set by the call state machine (services/callState.js)
+    ringingAt: {
+      type: DataTypes.DATE
+    },
+    answeredAt: {
+      type: DataTypes.DATE
+    },
     endTime: {
       type: DataTypes.DATE
     },
+    // When the reconciler last checked the call against Twilio
+    reconciledAt: {
+      type: DataTypes.DATE
+    },
     recordingUrl: {
       type: DataTypes.STRING
     },
@@ -71,6 +87,9 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'calls',
     timestamps: true,
     indexes: [
+      {
+        fields: ['portalId']
+      },
       {
         fields: ['twilioCallSid']
       },
@@ -5,11 +5,15 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    // HubSpot portal (hub ID) the record belongs to
+    portalId: {
+      type: DataTypes.STRING
+    },
     contactId: {
       type: DataTypes.UUID,
       allowNull: false,
       references: {
-        model: 'HubSpotContacts',
+        model: 'hubspot_contacts',
         key: 'id'
       }
     },
@@ -18,9 +22,15 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'expired'),
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'expired', 'failed', 'revoked'),
       defaultValue: 'pending'
     },
+    // Temporary grants last a fixed number of days and allow a fixed number
+    // of calls; permanent grants last until the contact revokes them
+    type: {
+      type: DataTypes.ENUM('temporary', 'permanent'),
+      defaultValue: 'temporary'
+    },
     requestedAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -28,14 +38,15 @@ module.exports = (sequelize, DataTypes) => {
     respondedAt: {
       type: DataTypes.DATE
     },
+    // When a pending request or temporary grant lapses; null for permanent grants
     expiresAt: {
-      type: DataTypes.DATE,
-      allowNull: false
+      type: DataTypes.DATE
     },
     callsUsed: {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Calls allowed by a temporary grant; null for permanent grants
     maxCalls: {
       type: DataTypes.INTEGER,
       defaultValue: 5 // Twilio limit
@@ -55,6 +66,9 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'call_permissions',
     timestamps: true,
     indexes: [
+      {
+        fields: ['portalId']
+      },
       {
         fields: ['contactId']
       },
@@ -79,14 +93,17 @@ module.exports = (sequelize, DataTypes) => {
 
   // Instance methods
   CallPermission.prototype.isExpired = function() {
-    return new Date() > this.expiresAt;
+    return !!this.expiresAt && new Date() > this.expiresAt;
+  };
+
+  CallPermission.prototype.isPermanent = function() {
+    return this.type === 'permanent';
   };
 
+  // The rules live in the compliance service, which requires the models
+  // itself, so it is loaded on first use
   CallPermission.prototype.canMakeCall = function() {
-    return this.status === 'approved' && 
-           !this.isExpired() && 
-           this.callsUsed < this.maxCalls &&
-           this.consecutiveMissedCalls < 4;
+    return require('../services/compliance').checkPermission(this).allowed;
   };
 
   CallPermission.prototype.incrementCallsUsed = function() {
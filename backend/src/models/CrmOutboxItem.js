@@ -0,0 +1,73 @@
+module.exports = (sequelize, DataTypes) => {
+  const CrmOutboxItem = sequelize.define('CrmOutboxItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    portalId: {
+      type: DataTypes.STRING
+    },
+    // What to write, e.g. call.sync, contact.create, contact.update
+    operation: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Local record the write is about; writes for one record run in order
+    resourceType: {
+      type: DataTypes.STRING
+    },
+    resourceId: {
+      type: DataTypes.STRING
+    },
+    payload: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    // dead: gave up after too many attempts or a permanent error; only an
+    // admin redrive retries it
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'dead'),
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    },
+    result: {
+      type: DataTypes.JSON
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'crm_outbox_items',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'nextAttemptAt']
+      },
+      {
+        fields: ['resourceType', 'resourceId']
+      },
+      {
+        fields: ['completedAt']
+      }
+    ]
+  });
+
+  return CrmOutboxItem;
+};
@@ -5,10 +5,14 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    // HubSpot portal (hub ID) the contact lives in; contact IDs are only
+    // unique within a portal
+    portalId: {
+      type: DataTypes.STRING
+    },
+    // Null until the outbox has created a new inbound caller in HubSpot
     hubspotContactId: {
-      type: DataTypes.STRING,
-      unique: true,
-      allowNull: false
+      type: DataTypes.STRING
     },
     email: {
       type: DataTypes.STRING,
@@ -31,6 +35,17 @@ module.exports = (sequelize, DataTypes) => {
     company: {
       type: DataTypes.STRING
     },
+    language: {
+      type: DataTypes.STRING // HubSpot preferred language (hs_language), e.g. en, pt-br
+    },
+    // Whether the contact lets us record calls (whatsapp_call_recording_consent);
+    // null when they haven't said
+    recordingConsent: {
+      type: DataTypes.ENUM('granted', 'denied')
+    },
+    recordingConsentAt: {
+      type: DataTypes.DATE
+    },
     lastSyncedAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -47,6 +62,10 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'hubspot_contacts',
     timestamps: true,
     indexes: [
+      {
+        unique: true,
+        fields: ['portalId', 'hubspotContactId']
+      },
       {
         fields: ['hubspotContactId']
       },
@@ -65,6 +84,19 @@ module.exports = (sequelize, DataTypes) => {
     ]
   });
 
+  // Recording consent from HubSpot contact properties, with its timestamp
+  // moved on only when the consent changes
+  HubSpotContact.recordingConsentFields = function(properties, current = null) {
+    const value = properties.whatsapp_call_recording_consent;
+    const recordingConsent = ['granted', 'denied'].includes(value) ? value : null;
+
+    if (current && current.recordingConsent === recordingConsent) {
+      return { recordingConsent };
+    }
+
+    return { recordingConsent, recordingConsentAt: recordingConsent ? new Date() : null };
+  };
+
   // Instance methods
   HubSpotContact.prototype.getFullName = function() {
     return `${this.firstName || ''} ${this.lastName || ''}`.trim();
@@ -85,6 +117,8 @@ module.exports = (sequelize, DataTypes) => {
       firstName: hubspotData.properties.firstname,
       lastName: hubspotData.properties.lastname,
       company: hubspotData.properties.company,
+      language: hubspotData.properties.hs_language,
+      ...HubSpotContact.recordingConsentFields(hubspotData.properties, this),
       hubspotProperties: hubspotData.properties,
       lastSyncedAt: new Date()
     };
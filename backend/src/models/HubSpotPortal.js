@@ -0,0 +1,82 @@
+module.exports = (sequelize, DataTypes) => {
+  const HubSpotPortal = sequelize.define('HubSpotPortal', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // HubSpot's hub ID; records of a portal carry it as portalId
+    portalId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    hubDomain: {
+      type: DataTypes.STRING
+    },
+    // OAuth tokens, encrypted with TOKEN_ENCRYPTION_KEY (utils/encryption.js)
+    accessToken: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    refreshToken: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    accessTokenExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    status: {
+      // needs_reauth: HubSpot rejected the refresh token, so the app must be installed again
+      type: DataTypes.ENUM('active', 'needs_reauth', 'uninstalled'),
+      defaultValue: 'active'
+    },
+    installedBy: {
+      type: DataTypes.UUID // Agent who installed the app
+    },
+    installedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    lastRefreshedAt: {
+      type: DataTypes.DATE
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'hubspot_portals',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  HubSpotPortal.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  // Safe to send to clients: no tokens
+  HubSpotPortal.prototype.toSummary = function() {
+    return {
+      id: this.id,
+      portalId: this.portalId,
+      hubDomain: this.hubDomain,
+      status: this.status,
+      scopes: this.scopes,
+      installedBy: this.installedBy,
+      installedAt: this.installedAt,
+      lastRefreshedAt: this.lastRefreshedAt
+    };
+  };
+
+  return HubSpotPortal;
+};
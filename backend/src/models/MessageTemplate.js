@@ -0,0 +1,70 @@
+module.exports = (sequelize, DataTypes) => {
+  const MessageTemplate = sequelize.define('MessageTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING, // Twilio friendly name, also used as the WhatsApp template name
+      allowNull: false
+    },
+    contentSid: {
+      type: DataTypes.STRING, // HX... Twilio Content SID
+      unique: true,
+      allowNull: false
+    },
+    purpose: {
+      type: DataTypes.ENUM('call_permission', 'voice_call_button'),
+      allowNull: false
+    },
+    language: {
+      type: DataTypes.STRING, // WhatsApp language code, e.g. en, en_US, pt_BR
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.ENUM('UTILITY', 'MARKETING', 'AUTHENTICATION'),
+      defaultValue: 'UTILITY'
+    },
+    approvalStatus: {
+      // WhatsApp approval status as reported by Twilio
+      type: DataTypes.ENUM('unsubmitted', 'received', 'pending', 'approved', 'rejected', 'paused', 'disabled'),
+      defaultValue: 'unsubmitted'
+    },
+    rejectionReason: {
+      type: DataTypes.STRING
+    },
+    statusCheckedAt: {
+      type: DataTypes.DATE
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'message_templates',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['contentSid']
+      },
+      {
+        fields: ['purpose', 'language']
+      },
+      {
+        fields: ['approvalStatus']
+      }
+    ]
+  });
+
+  // Instance methods
+  MessageTemplate.prototype.isUsable = function() {
+    return this.active && this.approvalStatus === 'approved';
+  };
+
+  return MessageTemplate;
+};
@@ -0,0 +1,87 @@
+module.exports = (sequelize, DataTypes) => {
+  const PermissionEvent = sequelize.define('PermissionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    permissionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'call_permissions',
+        key: 'id'
+      }
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'hubspot_contacts',
+        key: 'id'
+      }
+    },
+    whatsappNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM(
+        'requested',
+        'failed',
+        'delivered',
+        'read',
+        'approved',
+        'rejected',
+        'used',
+        'missed',
+        'revoked',
+        'expired'
+      ),
+      allowNull: false
+    },
+    // Who caused the event; the name is copied so the history survives renames
+    actorType: {
+      type: DataTypes.ENUM('agent', 'contact', 'system'),
+      defaultValue: 'system'
+    },
+    actorId: {
+      type: DataTypes.STRING
+    },
+    actorName: {
+      type: DataTypes.STRING
+    },
+    source: {
+      type: DataTypes.ENUM('api', 'twilio', 'hubspot', 'scheduler', 'system'),
+      defaultValue: 'system'
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    data: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'permission_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['permissionId']
+      },
+      {
+        fields: ['contactId', 'occurredAt']
+      },
+      {
+        fields: ['type']
+      },
+      {
+        fields: ['occurredAt']
+      }
+    ]
+  });
+
+  return PermissionEvent;
+};
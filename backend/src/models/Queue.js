@@ -0,0 +1,85 @@
+module.exports = (sequelize, DataTypes) => {
+  const Queue = sequelize.define('Queue', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    team: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    whatsappNumber: {
+      type: DataTypes.STRING // Inbound number routed to this queue
+    },
+    portalId: {
+      type: DataTypes.STRING // HubSpot portal whose contacts call this queue
+    },
+    strategy: {
+      type: DataTypes.ENUM('round-robin', 'longest-idle', 'simultaneous'),
+      defaultValue: 'round-robin'
+    },
+    ringTimeout: {
+      type: DataTypes.INTEGER, // Seconds an offer rings before moving on
+      defaultValue: 20
+    },
+    maxWaitTime: {
+      type: DataTypes.INTEGER, // Seconds a caller waits before overflow
+      defaultValue: 300
+    },
+    overflowAction: {
+      type: DataTypes.ENUM('voicemail', 'hangup'),
+      defaultValue: 'voicemail'
+    },
+    // Recording mode when RECORDING_POLICY is per-queue; null uses RECORDING_DEFAULT_MODE
+    recordingMode: {
+      type: DataTypes.ENUM('always', 'never', 'ask')
+    },
+    scheduleId: {
+      type: DataTypes.UUID, // Business hours; falls back to the default schedule
+      references: {
+        model: 'schedules',
+        key: 'id'
+      }
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    lastAssignedAgentId: {
+      type: DataTypes.UUID
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'queues',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['team']
+      },
+      {
+        fields: ['whatsappNumber']
+      },
+      {
+        fields: ['isDefault']
+      },
+      {
+        fields: ['portalId']
+      }
+    ]
+  });
+
+  return Queue;
+};
@@ -0,0 +1,83 @@
+module.exports = (sequelize, DataTypes) => {
+  const QueueEntry = sequelize.define('QueueEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    queueId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'queues',
+        key: 'id'
+      }
+    },
+    callId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'calls',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'ringing', 'connected', 'completed', 'overflowed', 'abandoned'),
+      defaultValue: 'waiting'
+    },
+    agentId: {
+      type: DataTypes.UUID // Agent who answered
+    },
+    offeredAgentIds: {
+      type: DataTypes.JSON, // Every agent this call has been offered to
+      defaultValue: []
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    enqueuedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    answeredAt: {
+      type: DataTypes.DATE
+    },
+    endedAt: {
+      type: DataTypes.DATE
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'queue_entries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['queueId']
+      },
+      {
+        fields: ['callId']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['enqueuedAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  QueueEntry.prototype.isActive = function() {
+    return ['waiting', 'ringing'].includes(this.status);
+  };
+
+  QueueEntry.prototype.getWaitSeconds = function() {
+    const end = this.answeredAt || this.endedAt || new Date();
+    return Math.round((end - this.enqueuedAt) / 1000);
+  };
+
+  return QueueEntry;
+};
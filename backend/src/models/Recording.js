@@ -0,0 +1,94 @@
+module.exports = (sequelize, DataTypes) => {
+  const Recording = sequelize.define('Recording', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    callId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'calls',
+        key: 'id'
+      }
+    },
+    recordingSid: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    // Twilio's copy, without a format extension
+    twilioUrl: {
+      type: DataTypes.STRING
+    },
+    // Twilio's RecordingSource, e.g. OutboundAPI, DialVerb, Conference
+    source: {
+      type: DataTypes.STRING
+    },
+    // pending: waiting to be downloaded; stored: our copy is in storage;
+    // failed: downloading keeps failing; deleted: removed by retention
+    status: {
+      type: DataTypes.ENUM('pending', 'downloading', 'stored', 'failed', 'deleted'),
+      defaultValue: 'pending'
+    },
+    // Storage backend holding our copy, and the key within it
+    storageBackend: {
+      type: DataTypes.STRING
+    },
+    storageKey: {
+      type: DataTypes.STRING
+    },
+    contentType: {
+      type: DataTypes.STRING
+    },
+    size: {
+      type: DataTypes.INTEGER // Bytes
+    },
+    duration: {
+      type: DataTypes.INTEGER, // Duration in seconds
+      defaultValue: 0
+    },
+    channels: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    startedAt: {
+      type: DataTypes.DATE
+    },
+    downloadAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    storedAt: {
+      type: DataTypes.DATE
+    },
+    deletedAt: {
+      type: DataTypes.DATE
+    },
+    // When Twilio's copy was deleted
+    twilioDeletedAt: {
+      type: DataTypes.DATE
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'recordings',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['callId']
+      },
+      {
+        fields: ['status', 'createdAt']
+      }
+    ]
+  });
+
+  return Recording;
+};
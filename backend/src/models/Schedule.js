@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+  const Schedule = sequelize.define('Schedule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    timezone: {
+      type: DataTypes.STRING, // IANA zone, e.g. Europe/London
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    weeklyHours: {
+      // { monday: [{ open: '09:00', close: '17:00' }], ... }; missing days are closed
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    holidays: {
+      // [{ date: '2026-12-25', name: 'Christmas', hours: [] }]; hours omitted or empty means closed
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    afterHoursAction: {
+      type: DataTypes.ENUM('voicemail', 'closed_message', 'whatsapp_reply'),
+      defaultValue: 'voicemail'
+    },
+    closedMessage: {
+      type: DataTypes.TEXT,
+      defaultValue: 'Thank you for calling. We are currently closed. Please call again during business hours.'
+    },
+    whatsappReplyMessage: {
+      type: DataTypes.TEXT,
+      defaultValue: 'Sorry we missed your call - we are closed right now. Please call us back during business hours.'
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'schedules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['isDefault']
+      }
+    ]
+  });
+
+  return Schedule;
+};
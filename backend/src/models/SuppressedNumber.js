@@ -0,0 +1,67 @@
+module.exports = (sequelize, DataTypes) => {
+  const SuppressedNumber = sequelize.define('SuppressedNumber', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    whatsappNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'hubspot_contacts',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.ENUM('opt_out', 'revoked', 'manual'),
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM('twilio', 'api', 'hubspot'),
+      defaultValue: 'twilio'
+    },
+    // The reply or button payload that triggered the opt-out
+    keyword: {
+      type: DataTypes.STRING
+    },
+    language: {
+      type: DataTypes.STRING
+    },
+    suppressedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    liftedAt: {
+      type: DataTypes.DATE
+    },
+    liftedBy: {
+      type: DataTypes.UUID
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'suppressed_numbers',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['contactId']
+      },
+      {
+        fields: ['liftedAt']
+      }
+    ]
+  });
+
+  SuppressedNumber.prototype.isActive = function() {
+    return !this.liftedAt;
+  };
+
+  return SuppressedNumber;
+};
@@ -0,0 +1,80 @@
+module.exports = (sequelize, DataTypes) => {
+  const Transcript = sequelize.define('Transcript', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    callId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'calls',
+        key: 'id'
+      }
+    },
+    recordingId: {
+      type: DataTypes.UUID,
+      unique: true,
+      allowNull: false,
+      references: {
+        model: 'recordings',
+        key: 'id'
+      }
+    },
+    // Transcription provider that produced it (see services/transcriptionProviders.js)
+    provider: {
+      type: DataTypes.STRING
+    },
+    // pending: waiting for the provider; failed: transcribing keeps failing
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+      defaultValue: 'pending'
+    },
+    language: {
+      type: DataTypes.STRING
+    },
+    // [{ speaker, start, end, text }] in order; speaker is contact or agent
+    // for two-channel recordings, speaker_1, speaker_2... otherwise.
+    // start and end are seconds into the recording.
+    segments: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    summary: {
+      type: DataTypes.TEXT
+    },
+    // [{ speaker, text, start }]
+    actionItems: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'transcripts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['callId']
+      },
+      {
+        fields: ['status', 'createdAt']
+      }
+    ]
+  });
+
+  return Transcript;
+};
@@ -0,0 +1,98 @@
+module.exports = (sequelize, DataTypes) => {
+  const Voicemail = sequelize.define('Voicemail', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    callId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'calls',
+        key: 'id'
+      }
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'hubspot_contacts',
+        key: 'id'
+      }
+    },
+    queueId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'queues',
+        key: 'id'
+      }
+    },
+    agentId: {
+      type: DataTypes.UUID, // Agent the voicemail is assigned to
+      references: {
+        model: 'agents',
+        key: 'id'
+      }
+    },
+    recordingSid: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    recordingUrl: {
+      type: DataTypes.STRING
+    },
+    duration: {
+      type: DataTypes.INTEGER, // Duration in seconds
+      defaultValue: 0
+    },
+    transcription: {
+      type: DataTypes.TEXT
+    },
+    transcriptionStatus: {
+      type: DataTypes.ENUM('pending', 'completed', 'failed'),
+      defaultValue: 'pending'
+    },
+    status: {
+      type: DataTypes.ENUM('new', 'handled'),
+      defaultValue: 'new'
+    },
+    handledBy: {
+      type: DataTypes.UUID
+    },
+    handledAt: {
+      type: DataTypes.DATE
+    },
+    // HubSpot call object the voicemail is logged on (the call's hubspotCallId)
+    hubspotEngagementId: {
+      type: DataTypes.STRING
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'voicemails',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['callId']
+      },
+      {
+        fields: ['contactId']
+      },
+      {
+        fields: ['queueId']
+      },
+      {
+        fields: ['agentId']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return Voicemail;
+};
@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataTypes) => {
+  const WebhookReceipt = sequelize.define('WebhookReceipt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Identifies one delivery (e.g. call-status:CA123:4) or one side effect
+    // (e.g. effect:hubspot-call-log:<callId>); a second insert is a duplicate
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Twilio SID (CallSid, MessageSid, ConferenceSid) or HubSpot object ID
+    // the webhook is about
+    resourceSid: {
+      type: DataTypes.STRING
+    },
+    sequenceNumber: {
+      type: DataTypes.INTEGER
+    },
+    outcome: {
+      type: DataTypes.ENUM('processed', 'stale'),
+      defaultValue: 'processed'
+    },
+    data: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'webhook_receipts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['type', 'resourceSid']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  return WebhookReceipt;
+};
@@ -2,11 +2,11 @@ const { Sequelize } = require('sequelize');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
-// Initialize Sequelize
+// Initialize Sequelize; the dialect comes from DATABASE_URL (sqlite: or postgres:).
+// The schema is managed by the migrations in src/db/migrations.
 const sequelize = new Sequelize(config.database.url, {
   logging: (msg) => logger.debug(msg),
-  dialect: 'sqlite',
-  storage: './database.sqlite'
+  dialectOptions: config.database.ssl ? { ssl: { require: true, rejectUnauthorized: false } } : {}
 });
 
 // Import models
@@ -14,23 +14,73 @@ const Call = require('./Call')(sequelize, Sequelize.DataTypes);
 const CallPermission = require('./CallPermission')(sequelize, Sequelize.DataTypes);
 const HubSpotContact = require('./HubSpotContact')(sequelize, Sequelize.DataTypes);
 const CallLog = require('./CallLog')(sequelize, Sequelize.DataTypes);
+const Agent = require('./Agent')(sequelize, Sequelize.DataTypes);
+const Queue = require('./Queue')(sequelize, Sequelize.DataTypes);
+const QueueEntry = require('./QueueEntry')(sequelize, Sequelize.DataTypes);
+const Schedule = require('./Schedule')(sequelize, Sequelize.DataTypes);
+const Voicemail = require('./Voicemail')(sequelize, Sequelize.DataTypes);
+const MessageTemplate = require('./MessageTemplate')(sequelize, Sequelize.DataTypes);
+const PermissionEvent = require('./PermissionEvent')(sequelize, Sequelize.DataTypes);
+const SuppressedNumber = require('./SuppressedNumber')(sequelize, Sequelize.DataTypes);
+const WebhookReceipt = require('./WebhookReceipt')(sequelize, Sequelize.DataTypes);
+const HubSpotPortal = require('./HubSpotPortal')(sequelize, Sequelize.DataTypes);
+const CrmOutboxItem = require('./CrmOutboxItem')(sequelize, Sequelize.DataTypes);
+const Recording = require('./Recording')(sequelize, Sequelize.DataTypes);
+const Transcript = require('./Transcript')(sequelize, Sequelize.DataTypes);
 
 // Define associations
 Call.belongsTo(HubSpotContact, { foreignKey: 'contactId', as: 'contact' });
 Call.hasMany(CallLog, { foreignKey: 'callId', as: 'logs' });
+Call.hasMany(Recording, { foreignKey: 'callId', as: 'recordings' });
+Recording.belongsTo(Call, { foreignKey: 'callId', as: 'call' });
+Call.hasMany(Transcript, { foreignKey: 'callId', as: 'transcripts' });
+Transcript.belongsTo(Call, { foreignKey: 'callId', as: 'call' });
+Recording.hasOne(Transcript, { foreignKey: 'recordingId', as: 'transcript' });
+Transcript.belongsTo(Recording, { foreignKey: 'recordingId', as: 'recording' });
 
 CallPermission.belongsTo(HubSpotContact, { foreignKey: 'contactId', as: 'contact' });
+CallPermission.hasMany(PermissionEvent, { foreignKey: 'permissionId', as: 'events' });
+PermissionEvent.belongsTo(CallPermission, { foreignKey: 'permissionId', as: 'permission' });
+PermissionEvent.belongsTo(HubSpotContact, { foreignKey: 'contactId', as: 'contact' });
+SuppressedNumber.belongsTo(HubSpotContact, { foreignKey: 'contactId', as: 'contact' });
 
 HubSpotContact.hasMany(Call, { foreignKey: 'contactId', as: 'calls' });
 HubSpotContact.hasMany(CallPermission, { foreignKey: 'contactId', as: 'permissions' });
 
 CallLog.belongsTo(Call, { foreignKey: 'callId', as: 'call' });
 
+Queue.hasMany(QueueEntry, { foreignKey: 'queueId', as: 'entries' });
+QueueEntry.belongsTo(Queue, { foreignKey: 'queueId', as: 'queue' });
+QueueEntry.belongsTo(Call, { foreignKey: 'callId', as: 'call' });
+QueueEntry.belongsTo(Agent, { foreignKey: 'agentId', as: 'agent' });
+
+Queue.belongsTo(Schedule, { foreignKey: 'scheduleId', as: 'schedule' });
+Schedule.hasMany(Queue, { foreignKey: 'scheduleId', as: 'queues' });
+
+Voicemail.belongsTo(Call, { foreignKey: 'callId', as: 'call' });
+Voicemail.belongsTo(HubSpotContact, { foreignKey: 'contactId', as: 'contact' });
+Voicemail.belongsTo(Queue, { foreignKey: 'queueId', as: 'queue' });
+Voicemail.belongsTo(Agent, { foreignKey: 'agentId', as: 'agent' });
+HubSpotContact.hasMany(Voicemail, { foreignKey: 'contactId', as: 'voicemails' });
+
 module.exports = {
   sequelize,
   Sequelize,
   Call,
   CallPermission,
   HubSpotContact,
-  CallLog
+  CallLog,
+  Agent,
+  Queue,
+  QueueEntry,
+  Schedule,
+  Voicemail,
+  MessageTemplate,
+  PermissionEvent,
+  SuppressedNumber,
+  WebhookReceipt,
+  HubSpotPortal,
+  CrmOutboxItem,
+  Recording,
+  Transcript
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Agent } = require('../models');
+const authService = require('../services/auth');
+const callQueue = require('../services/callQueue');
+const { authenticate, requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Log in and receive a session token
+router.post('/login', [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const agent = await authService.authenticate(email, password);
+    if (!agent) {
+      logger.warn('Failed agent login attempt:', { email, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    logger.info('Agent logged in:', { agentId: agent.id });
+
+    res.json({
+      token: authService.issueToken(agent),
+      expiresIn: config.security.jwtExpiresIn,
+      agent: agent.toProfile()
+    });
+  } catch (error) {
+    logger.error('Failed to log in agent:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Get the authenticated agent
+router.get('/me', authenticate, (req, res) => {
+  res.json({ agent: req.agent.toProfile() });
+});
+
+// Set the authenticated agent's availability for queued calls
+router.put('/me/availability', authenticate, [
+  body('availability').isIn(['available', 'busy', 'away']).withMessage('Availability must be available, busy or away')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { availability } = req.body;
+
+    await req.agent.update({ availability });
+
+    if (availability === 'available') {
+      await callQueue.handleAgentAvailable(req.agent.id);
+    }
+
+    res.json({ agent: req.agent.toProfile() });
+  } catch (error) {
+    logger.error('Failed to update availability:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// List agents
+router.get('/agents', authenticate, requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const agents = await Agent.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ agents: agents.map(agent => agent.toProfile()) });
+  } catch (error) {
+    logger.error('Failed to list agents:', error);
+    res.status(500).json({ error: 'Failed to list agents' });
+  }
+});
+
+// Create agent
+router.post('/agents', authenticate, requireRole('admin'), [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('name').notEmpty().withMessage('Name is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(['agent', 'supervisor', 'admin']).withMessage('Invalid role'),
+  body('team').optional().notEmpty().withMessage('Team cannot be empty'),
+  body('portalId').optional({ nullable: true }).isString().withMessage('Portal ID must be a string')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { email, name, password, role, team, portalId } = req.body;
+
+    const existing = await Agent.findOne({ where: { email: email.toLowerCase() } });
+    if (existing) {
+      return res.status(409).json({ error: 'An agent with this email already exists' });
+    }
+
+    const agent = await authService.createAgent({ email, name, password, role, team, portalId });
+
+    res.status(201).json({ agent: agent.toProfile() });
+  } catch (error) {
+    logger.error('Failed to create agent:', error);
+    res.status(500).json({ error: 'Failed to create agent' });
+  }
+});
+
+// Update agent
+router.patch('/agents/:agentId', authenticate, requireRole('admin'), [
+  param('agentId').isUUID().withMessage('Valid agent ID is required'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(['agent', 'supervisor', 'admin']).withMessage('Invalid role'),
+  body('team').optional().notEmpty().withMessage('Team cannot be empty'),
+  body('portalId').optional({ nullable: true }).isString().withMessage('Portal ID must be a string'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const agent = await Agent.findByPk(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { name, password, role, team, portalId, active } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+    if (role !== undefined) updates.role = role;
+    if (team !== undefined) updates.team = team;
+    if (portalId !== undefined) updates.portalId = portalId;
+    if (active !== undefined) updates.active = active;
+    if (password !== undefined) {
+      updates.passwordHash = await authService.hashPassword(password);
+    }
+
+    await agent.update(updates);
+
+    logger.info('Agent updated:', {
+      agentId: agent.id,
+      updatedBy: req.agent.id,
+      fields: Object.keys(updates)
+    });
+
+    res.json({ agent: agent.toProfile() });
+  } catch (error) {
+    logger.error('Failed to update agent:', error);
+    res.status(500).json({ error: 'Failed to update agent' });
+  }
+});
+
+module.exports = router;
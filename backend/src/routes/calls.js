@@ -3,6 +3,15 @@ const { body, param, query, validationResult } = require('express-validator');
 const { Call, CallPermission, HubSpotContact, CallLog } = require('../models');
 const twilioService = require('../services/twilio');
 const hubspotService = require('../services/hubspot');
+const eventBus = require('../services/eventBus');
+const callTransfer = require('../services/callTransfer');
+const callControl = require('../services/callControl');
+const callState = require('../services/callState');
+const callReconciler = require('../services/callReconciler');
+const messageTemplates = require('../services/messageTemplates');
+const compliance = require('../services/compliance');
+const permissionEvents = require('../services/permissionEvents');
+const { canAccessPortal, canControlCall } = require('../middleware/portal');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
@@ -17,12 +26,34 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get access token for WebRTC
-router.get('/token/:identity', [
-  param('identity').notEmpty().withMessage('Identity is required')
-], handleValidationErrors, (req, res) => {
+// Handler for a live-call control applied on behalf of the requesting agent.
+// ownLegOnly controls (mute) act on the agent's own leg, so any agent on the
+// call may use them; the rest require control of the call.
+const callControlHandler = (operation, failureMessage, { ownLegOnly = false } = {}) => async (req, res) => {
   try {
-    const { identity } = req.params;
+    const call = await Call.findOne({ where: { twilioCallSid: req.params.callSid } });
+    if (!call || !canAccessPortal(req.agent, call.portalId)) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    if (!ownLegOnly && !canControlCall(req.agent, call)) {
+      return res.status(403).json({ error: 'Call is not assigned to you' });
+    }
+
+    res.json(await operation(call, req.agent));
+  } catch (error) {
+    if (error.name === 'CallControlError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error(`Failed to ${failureMessage}:`, error);
+    res.status(500).json({ error: `Failed to ${failureMessage}` });
+  }
+};
+
+// Get access token for WebRTC, issued to the authenticated agent's identity
+router.get('/token', (req, res) => {
+  try {
+    const identity = req.agent.twilioIdentity;
     const token = twilioService.generateAccessToken(identity);
     
     res.json({ token, identity });
@@ -35,41 +66,38 @@ router.get('/token/:identity', [
 // Initiate outbound call
 router.post('/outbound', [
   body('contactId').isUUID().withMessage('Valid contact ID is required'),
-  body('toNumber').notEmpty().withMessage('To number is required'),
-  body('agentIdentity').notEmpty().withMessage('Agent identity is required')
+  body('toNumber').notEmpty().withMessage('To number is required')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { contactId, toNumber, agentIdentity, notes } = req.body;
+    const { contactId, toNumber, notes } = req.body;
+    const agentIdentity = req.agent.twilioIdentity;
     
     // Get contact information
     const contact = await HubSpotContact.findByPk(contactId);
-    if (!contact) {
+    if (!contact || !canAccessPortal(req.agent, contact.portalId)) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
     // Format WhatsApp number
     const whatsappNumber = toNumber.startsWith('whatsapp:') ? toNumber : `whatsapp:${toNumber}`;
     
-    // Check call permission
-    const permission = await CallPermission.findOne({
-      where: {
-        contactId,
-        whatsappNumber: whatsappNumber.replace('whatsapp:', ''),
-        status: 'approved'
-      },
-      order: [['createdAt', 'DESC']]
-    });
-
-    if (!permission || !permission.canMakeCall()) {
-      return res.status(403).json({ 
-        error: 'Call permission required',
-        requiresPermission: true,
-        canRequest: !permission || permission.status !== 'pending'
+    // Check call permission and the daily call limit
+    const decision = await compliance.checkCall(contactId, whatsappNumber.replace('whatsapp:', ''));
+    if (!decision.allowed) {
+      return res.status(403).json({
+        error: 'Call not allowed',
+        reason: decision.reason,
+        message: decision.message,
+        nextAllowedAt: decision.nextAllowedAt,
+        requiresPermission: compliance.requiresPermission(decision),
+        canRequest: compliance.requiresPermission(decision)
       });
     }
+    const { permission } = decision;
 
     // Create call record
     const call = await Call.create({
+      portalId: contact.portalId,
       contactId,
       direction: 'outbound',
       fromNumber: twilioService.whatsappNumber,
@@ -78,7 +106,7 @@ router.post('/outbound', [
       startTime: new Date(),
       notes,
       twilioCallSid: '', // Will be updated after Twilio call creation
-      metadata: { agentIdentity }
+      metadata: { agentId: req.agent.id, agentIdentity }
     });
 
     // Create callback URL
@@ -102,25 +130,24 @@ router.post('/outbound', [
         status: 'initiated',
         source: 'system',
         message: 'Outbound WhatsApp call initiated',
-        data: { twilioCallSid: twilioCall.sid, agentIdentity }
+        data: { twilioCallSid: twilioCall.sid, agentId: req.agent.id, agentIdentity }
       });
 
       // Increment permission usage
       await permission.incrementCallsUsed();
-
-      // Send event to frontend
-      const wss = req.app.get('wss');
-      wss.clients.forEach(client => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          client.send(JSON.stringify({
-            type: 'call_initiated',
-            callId: call.id,
-            twilioCallSid: twilioCall.sid,
-            status: 'initiated'
-          }));
-        }
+      await permissionEvents.record(permission, 'used', {
+        actor: permissionEvents.agent(req.agent),
+        source: 'api',
+        data: { callId: call.id, twilioCallSid: twilioCall.sid, callNumber: permission.callsUsed + 1 }
       });
 
+      // Send event to the agent and anyone watching the call or contact
+      eventBus.publish('call_initiated', {
+        callId: call.id,
+        twilioCallSid: twilioCall.sid,
+        status: 'initiated'
+      }, eventBus.audienceForCall(call));
+
       res.json({
         callId: call.id,
         twilioCallSid: twilioCall.sid,
@@ -131,13 +158,7 @@ router.post('/outbound', [
         }
       });
     } catch (twilioError) {
-      // Update call status to failed
-      await call.update({ status: 'failed' });
-      
-      await CallLog.create({
-        callId: call.id,
-        event: 'call_failed',
-        status: 'failed',
+      await callState.transition(call, 'failed', {
         source: 'twilio',
         message: 'Failed to initiate call via Twilio',
         data: { error: twilioError.message }
@@ -160,66 +181,65 @@ router.post('/permission/request', [
     const { contactId, whatsappNumber } = req.body;
     
     const contact = await HubSpotContact.findByPk(contactId);
-    if (!contact) {
+    if (!contact || !canAccessPortal(req.agent, contact.portalId)) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
     const cleanNumber = whatsappNumber.replace('whatsapp:', '');
     
     // Check if permission request can be sent (rate limiting)
-    const recentPermissions = await CallPermission.findAll({
-      where: {
-        contactId,
-        whatsappNumber: cleanNumber,
-        requestedAt: {
-          [require('sequelize').Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) // Last 24 hours
-        }
-      }
-    });
-
-    if (recentPermissions.length >= config.callPermissions.maxRequestsPerDay) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded',
-        message: 'Maximum permission requests per day reached'
+    const decision = await compliance.checkPermissionRequest(contactId, cleanNumber);
+    if (!decision.allowed) {
+      const rateLimited = [
+        compliance.REASONS.DAILY_REQUEST_LIMIT,
+        compliance.REASONS.WEEKLY_REQUEST_LIMIT
+      ].includes(decision.reason);
+
+      const suppressed = decision.reason === compliance.REASONS.NUMBER_SUPPRESSED;
+
+      return res.status(rateLimited ? 429 : suppressed ? 403 : 409).json({
+        error: rateLimited ? 'Rate limit exceeded' : suppressed ? 'Contact opted out' : 'Permission request not needed',
+        reason: decision.reason,
+        message: decision.message,
+        nextAllowedAt: decision.nextAllowedAt
       });
     }
 
-    // Check 7-day limit
-    const weeklyPermissions = await CallPermission.findAll({
-      where: {
-        contactId,
-        whatsappNumber: cleanNumber,
-        requestedAt: {
-          [require('sequelize').Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
-        }
-      }
-    });
-
-    if (weeklyPermissions.length >= config.callPermissions.maxRequestsPer7Days) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded',
-        message: 'Maximum permission requests per week reached'
+    // Pick the permission template for the contact's language
+    const template = await messageTemplates.select('call_permission', contact.language);
+    if (!template) {
+      return res.status(409).json({
+        error: 'No approved call permission template',
+        message: `Register an approved call_permission template for ${contact.language || config.templates.defaultLanguage}`
       });
     }
 
     // Create permission request
     const permission = await CallPermission.create({
+      portalId: contact.portalId,
       contactId,
       whatsappNumber: cleanNumber,
       status: 'pending',
-      requestedAt: new Date(),
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+      requestedAt: compliance.now(),
+      expiresAt: compliance.getPermissionExpiry(),
+      metadata: { requestedBy: req.agent.id, templateId: template.id, language: template.language }
     });
 
     try {
       // Send permission request via Twilio
-      const templateSid = 'HX_YOUR_PERMISSION_TEMPLATE_SID'; // Configure this
       const message = await twilioService.sendCallPermissionRequest(
         `whatsapp:${cleanNumber}`,
-        templateSid
+        template.contentSid,
+        `${req.protocol}://${req.get('host')}/webhook/messaging/status`
       );
 
       await permission.update({ twilioMessageSid: message.sid });
+      await permissionEvents.record(permission, 'requested', {
+        actor: permissionEvents.agent(req.agent),
+        source: 'api',
+        occurredAt: permission.requestedAt,
+        data: { messageSid: message.sid, templateId: template.id, language: template.language, expiresAt: permission.expiresAt }
+      });
 
       logger.info('Call permission request sent:', {
         permissionId: permission.id,
@@ -237,6 +257,11 @@ router.post('/permission/request', [
     } catch (twilioError) {
       // Update permission status
       await permission.update({ status: 'failed' });
+      await permissionEvents.record(permission, 'failed', {
+        actor: permissionEvents.agent(req.agent),
+        source: 'twilio',
+        data: { reason: 'send_failed', error: twilioError.message }
+      });
       throw twilioError;
     }
   } catch (error) {
@@ -245,6 +270,66 @@ router.post('/permission/request', [
   }
 });
 
+// Send a WhatsApp "Call now" button so the contact can call us
+router.post('/invite', [
+  body('contactId').isUUID().withMessage('Valid contact ID is required'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { contactId, variables } = req.body;
+
+    const contact = await HubSpotContact.findByPk(contactId);
+    if (!contact || !canAccessPortal(req.agent, contact.portalId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    if (!contact.whatsappNumber) {
+      return res.status(400).json({ error: 'Contact has no WhatsApp number' });
+    }
+
+    // Contacts who opted out get no further invitations
+    const suppressed = await compliance.checkSuppression(contact.whatsappNumber);
+    if (suppressed) {
+      return res.status(403).json({
+        error: 'Contact opted out',
+        reason: suppressed.reason,
+        message: suppressed.message,
+        nextAllowedAt: suppressed.nextAllowedAt
+      });
+    }
+
+    const template = await messageTemplates.select('voice_call_button', contact.language);
+    if (!template) {
+      return res.status(409).json({
+        error: 'No approved voice call button template',
+        message: `Register an approved voice_call_button template for ${contact.language || config.templates.defaultLanguage}`
+      });
+    }
+
+    const message = await twilioService.sendVoiceCallTemplate(
+      contact.getWhatsAppFormatted(),
+      template.contentSid,
+      variables
+    );
+
+    logger.info('Voice call invitation sent:', {
+      contactId,
+      templateId: template.id,
+      messageSid: message.sid,
+      sentBy: req.agent.id
+    });
+
+    res.json({
+      messageSid: message.sid,
+      templateId: template.id,
+      language: template.language
+    });
+  } catch (error) {
+    logger.error('Failed to send voice call invitation:', error);
+    res.status(500).json({ error: 'Failed to send voice call invitation' });
+  }
+});
+
 // Get call status
 router.get('/status/:callSid', [
   param('callSid').notEmpty().withMessage('Call SID is required')
@@ -260,21 +345,14 @@ router.get('/status/:callSid', [
       ]
     });
 
-    if (!call) {
+    if (!call || !canAccessPortal(req.agent, call.portalId)) {
       return res.status(404).json({ error: 'Call not found' });
     }
 
-    // Get latest status from Twilio
+    // Catch up with Twilio if a status callback was missed
     try {
-      const twilioCall = await twilioService.getCall(callSid);
-      
-      // Update local status if different
-      if (call.status !== twilioCall.status) {
-        await call.update({ 
-          status: twilioCall.status,
-          duration: twilioCall.duration || call.duration,
-          endTime: twilioCall.endTime ? new Date(twilioCall.endTime) : call.endTime
-        });
+      if (!callState.isFinal(call.status)) {
+        await callReconciler.reconcile(call, { source: 'twilio', via: 'polled' });
       }
     } catch (twilioError) {
       logger.warn('Failed to fetch Twilio call status:', twilioError);
@@ -287,12 +365,15 @@ router.get('/status/:callSid', [
       direction: call.direction,
       duration: call.duration,
       startTime: call.startTime,
+      ringingAt: call.ringingAt,
+      answeredAt: call.answeredAt,
       endTime: call.endTime,
       contact: {
         id: call.contact.id,
         name: call.contact.getFullName(),
         whatsappNumber: call.contact.whatsappNumber
       },
+      conference: callControl.getState(call),
       logs: call.logs
     });
   } catch (error) {
@@ -312,35 +393,180 @@ router.post('/:callSid/hangup', [
       where: { twilioCallSid: callSid }
     });
 
-    if (!call) {
+    if (!call || !canAccessPortal(req.agent, call.portalId)) {
       return res.status(404).json({ error: 'Call not found' });
     }
 
+    if (!canControlCall(req.agent, call)) {
+      return res.status(403).json({ error: 'Call is not assigned to you' });
+    }
+
+    if (callState.isFinal(call.status)) {
+      return res.status(409).json({ error: 'Call has already ended', status: call.status });
+    }
+
     // Hang up via Twilio
     await twilioService.hangupCall(callSid);
-    
-    // Update local status
-    await call.update({ 
-      status: 'completed',
-      endTime: new Date()
-    });
 
-    // Log the hangup
-    await CallLog.create({
-      callId: call.id,
-      event: 'call_hangup',
-      status: 'completed',
+    await callState.transition(call, 'completed', {
       source: 'system',
-      message: 'Call hung up by user'
+      message: 'Call hung up by agent',
+      data: { agentId: req.agent.id }
     });
 
-    res.json({ status: 'completed' });
+    res.json({ status: call.status, duration: call.duration });
   } catch (error) {
     logger.error('Failed to hang up call:', error);
     res.status(500).json({ error: 'Failed to hang up call' });
   }
 });
 
+// Put the customer on hold with hold music
+router.post('/:callSid/hold', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setHold(call, agent, true),
+  'hold call'
+));
+
+// Take the customer off hold
+router.post('/:callSid/unhold', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setHold(call, agent, false),
+  'resume call'
+));
+
+// Mute the requesting agent
+router.post('/:callSid/mute', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setMute(call, agent, true),
+  'mute call',
+  { ownLegOnly: true }
+));
+
+// Unmute the requesting agent
+router.post('/:callSid/unmute', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setMute(call, agent, false),
+  'unmute call',
+  { ownLegOnly: true }
+));
+
+// Pause the call recording, e.g. while taking payment details
+router.post('/:callSid/recording/pause', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setRecordingPaused(call, agent, true),
+  'pause recording'
+));
+
+// Resume the call recording
+router.post('/:callSid/recording/resume', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, callControlHandler(
+  (call, agent) => callControl.setRecordingPaused(call, agent, false),
+  'resume recording'
+));
+
+// Transfer a call to another agent or queue
+router.post('/:callSid/transfer', [
+  param('callSid').notEmpty().withMessage('Call SID is required'),
+  body('type').isIn(['blind', 'warm']).withMessage('Type must be blind or warm'),
+  body('targetAgentId').optional().isUUID().withMessage('Valid target agent ID is required'),
+  body('targetQueueId').optional().isUUID().withMessage('Valid target queue ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { callSid } = req.params;
+    const { type, targetAgentId, targetQueueId } = req.body;
+
+    if (!targetAgentId === !targetQueueId) {
+      return res.status(400).json({ error: 'Exactly one of targetAgentId or targetQueueId is required' });
+    }
+
+    if (type === 'warm' && !targetAgentId) {
+      return res.status(400).json({ error: 'Warm transfers require a target agent' });
+    }
+
+    const call = await Call.findOne({ where: { twilioCallSid: callSid } });
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    if (!canControlCall(req.agent, call)) {
+      return res.status(403).json({ error: 'Call is not assigned to you' });
+    }
+
+    const transfer = await callTransfer.transfer(call, req.agent, { type, targetAgentId, targetQueueId }, {
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    res.json({ transfer });
+  } catch (error) {
+    if (error.name === 'TransferError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to transfer call:', error);
+    res.status(500).json({ error: 'Failed to transfer call' });
+  }
+});
+
+// Complete a warm transfer, handing the customer to the consulted agent
+router.post('/:callSid/transfer/complete', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const call = await Call.findOne({ where: { twilioCallSid: req.params.callSid } });
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    if (!canControlCall(req.agent, call)) {
+      return res.status(403).json({ error: 'Call is not assigned to you' });
+    }
+
+    const transfer = await callTransfer.complete(call);
+
+    res.json({ transfer });
+  } catch (error) {
+    if (error.name === 'TransferError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to complete call transfer:', error);
+    res.status(500).json({ error: 'Failed to complete transfer' });
+  }
+});
+
+// Cancel a warm transfer; the consulted agent may also decline it
+router.post('/:callSid/transfer/cancel', [
+  param('callSid').notEmpty().withMessage('Call SID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const call = await Call.findOne({ where: { twilioCallSid: req.params.callSid } });
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const pending = call.metadata && call.metadata.transfer;
+    const isTarget = pending && pending.to.agentId === req.agent.id;
+    if (!canControlCall(req.agent, call) && !isTarget) {
+      return res.status(403).json({ error: 'Call is not assigned to you' });
+    }
+
+    const transfer = await callTransfer.cancel(call);
+
+    res.json({ transfer });
+  } catch (error) {
+    if (error.name === 'TransferError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to cancel call transfer:', error);
+    res.status(500).json({ error: 'Failed to cancel transfer' });
+  }
+});
+
 // Get call history for a contact
 router.get('/history/:contactId', [
   param('contactId').isUUID().withMessage('Valid contact ID is required'),
@@ -352,6 +578,11 @@ router.get('/history/:contactId', [
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
 
+    const contact = await HubSpotContact.findByPk(contactId);
+    if (contact && !canAccessPortal(req.agent, contact.portalId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
     const calls = await Call.findAll({
       where: { contactId },
       include: [
@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../models');
 const twilio = require('../services/twilio');
 const hubspotService = require('../services/hubspot');
+const crmOutbox = require('../services/crmOutbox');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -50,6 +51,28 @@ router.get('/detailed', async (req, res) => {
     health.status = 'DEGRADED';
   }
 
+  try {
+    // Installed portals whose tokens HubSpot no longer accepts need a reinstall
+    const portals = await db.HubSpotPortal.findAll({ where: { status: 'needs_reauth' } });
+    health.services.hubspotPortals = portals.length === 0
+      ? { status: 'OK' }
+      : { status: 'ERROR', needsReauth: portals.map(portal => portal.portalId) };
+    if (portals.length > 0) health.status = 'DEGRADED';
+  } catch (error) {
+    health.services.hubspotPortals = { status: 'ERROR', message: error.message };
+    health.status = 'DEGRADED';
+  }
+
+  try {
+    // Dead-lettered CRM writes wait for an admin to redrive them
+    const counts = await crmOutbox.counts();
+    health.services.crmOutbox = { status: counts.dead > 0 ? 'ERROR' : 'OK', ...counts };
+    if (counts.dead > 0) health.status = 'DEGRADED';
+  } catch (error) {
+    health.services.crmOutbox = { status: 'ERROR', message: error.message };
+    health.status = 'DEGRADED';
+  }
+
   const statusCode = health.status === 'OK' ? 200 : 503;
   res.status(statusCode).json(health);
 });
@@ -2,7 +2,14 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { HubSpotContact, Call, CallPermission } = require('../models');
 const hubspotService = require('../services/hubspot');
+const crmOutbox = require('../services/crmOutbox');
 const twilioService = require('../services/twilio');
+const eventBus = require('../services/eventBus');
+const compliance = require('../services/compliance');
+const callState = require('../services/callState');
+const permissionEvents = require('../services/permissionEvents');
+const optOut = require('../services/optOut');
+const { canAccessPortal } = require('../middleware/portal');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -19,7 +26,7 @@ const handleValidationErrors = (req, res, next) => {
 // Get calling settings for HubSpot portal
 router.get('/calling/settings', async (req, res) => {
   try {
-    const settings = await hubspotService.getCallingSettings();
+    const settings = await hubspotService.forPortal(req.portalId).getCallingSettings();
     
     res.json({
       enabled: true,
@@ -29,7 +36,7 @@ router.get('/calling/settings', async (req, res) => {
         supportsInbound: true,
         supportsOutbound: true,
         supportsRecording: true,
-        supportsTransfer: false,
+        supportsTransfer: true,
         supportsConference: true
       },
       settings
@@ -48,7 +55,7 @@ router.post('/calling/settings', [
   try {
     const { enabled, settings } = req.body;
     
-    const updatedSettings = await hubspotService.updateCallingSettings({
+    const updatedSettings = await hubspotService.forPortal(req.portalId).updateCallingSettings({
       enabled,
       ...settings
     });
@@ -67,10 +74,11 @@ router.post('/contacts/:hubspotContactId/sync', [
   try {
     const { hubspotContactId } = req.params;
     
-    const contact = await hubspotService.syncContact(hubspotContactId);
+    const contact = await hubspotService.forPortal(req.portalId).syncContact(hubspotContactId);
     
     res.json({
       id: contact.id,
+      portalId: contact.portalId,
       hubspotContactId: contact.hubspotContactId,
       name: contact.getFullName(),
       email: contact.email,
@@ -90,6 +98,11 @@ router.get('/contacts/:contactId/permissions', [
 ], handleValidationErrors, async (req, res) => {
   try {
     const { contactId } = req.params;
+
+    const contact = await HubSpotContact.findByPk(contactId);
+    if (contact && !canAccessPortal(req.agent, contact.portalId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
     
     const permissions = await CallPermission.findAll({
       where: { contactId },
@@ -99,13 +112,20 @@ router.get('/contacts/:contactId/permissions', [
     const activePermission = permissions.find(p => 
       p.status === 'approved' && p.canMakeCall()
     );
+
+    const suppression = contact && contact.whatsappNumber
+      ? await optOut.findSuppression(contact.whatsappNumber)
+      : null;
     
     res.json({
       hasPermission: !!activePermission,
+      optedOut: !!suppression,
+      optedOutAt: suppression ? suppression.suppressedAt : null,
       canMakeCall: activePermission ? activePermission.canMakeCall() : false,
       activePermission: activePermission ? {
         id: activePermission.id,
         status: activePermission.status,
+        type: activePermission.type,
         callsUsed: activePermission.callsUsed,
         maxCalls: activePermission.maxCalls,
         expiresAt: activePermission.expiresAt,
@@ -114,6 +134,7 @@ router.get('/contacts/:contactId/permissions', [
       recentPermissions: permissions.slice(0, 5).map(p => ({
         id: p.id,
         status: p.status,
+        type: p.type,
         requestedAt: p.requestedAt,
         respondedAt: p.respondedAt,
         expiresAt: p.expiresAt
@@ -125,6 +146,33 @@ router.get('/contacts/:contactId/permissions', [
   }
 });
 
+// Full permission history of a contact: every request with its events
+router.get('/contacts/:contactId/permissions/timeline', [
+  param('contactId').isUUID().withMessage('Valid contact ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await HubSpotContact.findByPk(req.params.contactId);
+    if (!contact || !canAccessPortal(req.agent, contact.portalId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const timeline = await permissionEvents.timeline(contact.id);
+
+    res.json({
+      contact: {
+        id: contact.id,
+        hubspotContactId: contact.hubspotContactId,
+        name: contact.getFullName(),
+        whatsappNumber: contact.whatsappNumber
+      },
+      ...timeline
+    });
+  } catch (error) {
+    logger.error('Failed to get permission timeline:', error);
+    res.status(500).json({ error: 'Failed to get permission timeline' });
+  }
+});
+
 // Handle HubSpot Calling Extension SDK events
 router.post('/calling/events', [
   body('eventType').notEmpty().withMessage('Event type is required'),
@@ -147,11 +195,11 @@ router.post('/calling/events', [
         
         // Find or create contact
         let contact = await HubSpotContact.findOne({
-          where: { hubspotContactId: calleeInfo.objectId }
+          where: { portalId: req.portalId, hubspotContactId: calleeInfo.objectId }
         });
         
         if (!contact) {
-          contact = await hubspotService.syncContact(calleeInfo.objectId);
+          contact = await hubspotService.forPortal(req.portalId).syncContact(calleeInfo.objectId);
         }
         
         // Check if it's a WhatsApp number
@@ -163,23 +211,26 @@ router.post('/calling/events', [
             ? phoneNumber 
             : `whatsapp:${phoneNumber.replace(/\D/g, '')}`;
           
-          // Check permission
-          const permission = await CallPermission.findOne({
-            where: {
-              contactId: contact.id,
-              whatsappNumber: whatsappNumber.replace('whatsapp:', ''),
-              status: 'approved'
-            },
-            order: [['createdAt', 'DESC']]
-          });
-          
-          if (!permission || !permission.canMakeCall()) {
+          // Check permission and calling limits
+          const decision = await compliance.checkCall(contact.id, whatsappNumber.replace('whatsapp:', ''));
+
+          if (!decision.allowed && compliance.requiresPermission(decision)) {
             res.json({
               action: 'requestPermission',
               contactId: contact.id,
               whatsappNumber: whatsappNumber,
+              reason: decision.reason,
               message: 'Call permission required for WhatsApp calling'
             });
+          } else if (!decision.allowed) {
+            res.json({
+              action: 'blocked',
+              contactId: contact.id,
+              whatsappNumber: whatsappNumber,
+              reason: decision.reason,
+              message: decision.message,
+              nextAllowedAt: decision.nextAllowedAt
+            });
           } else {
             res.json({
               action: 'initiateCall',
@@ -203,17 +254,8 @@ router.post('/calling/events', [
         // Call was answered in HubSpot
         const { callId } = payload;
         
-        // Send to WebSocket clients
-        const wss = req.app.get('wss');
-        wss.clients.forEach(client => {
-          if (client.readyState === 1) {
-            client.send(JSON.stringify({
-              type: 'hubspot_call_answered',
-              callId,
-              timestamp: new Date().toISOString()
-            }));
-          }
-        });
+        // Send to whoever is watching the call
+        eventBus.toWatchers(`call:${callId}`, 'hubspot_call_answered', { callId });
         
         res.json({ status: 'acknowledged' });
         break;
@@ -224,11 +266,20 @@ router.post('/calling/events', [
         
         // Update call record
         const call = await Call.findByPk(endedCallId);
-        if (call) {
-          await call.update({ 
-            hubspotCallId: engagementId,
-            endTime: new Date()
-          });
+        if (call && canAccessPortal(req.agent, call.portalId)) {
+          // The widget's call object is the one to log to, unless the call
+          // already has one
+          if (engagementId && !call.hubspotCallId) {
+            await call.update({ hubspotCallId: String(engagementId) });
+          }
+
+          if (!callState.isFinal(call.status)) {
+            await callState.transition(call, 'completed', {
+              source: 'hubspot',
+              message: 'Call ended in HubSpot',
+              data: { engagementId }
+            });
+          }
         }
         
         res.json({ status: 'acknowledged' });
@@ -239,11 +290,12 @@ router.post('/calling/events', [
         const { callId: completedCallId, notes, outcome } = payload;
         
         const completedCall = await Call.findByPk(completedCallId);
-        if (completedCall) {
+        if (completedCall && canAccessPortal(req.agent, completedCall.portalId)) {
           await completedCall.update({ 
             notes,
             metadata: { ...completedCall.metadata, outcome }
           });
+          await crmOutbox.syncCall(completedCall);
         }
         
         res.json({ status: 'acknowledged' });
@@ -272,15 +324,16 @@ router.get('/contacts/lookup', [
     
     if (hubspotId) {
       contact = await HubSpotContact.findOne({
-        where: { hubspotContactId: hubspotId }
+        where: { portalId: req.portalId, hubspotContactId: hubspotId }
       });
       
       if (!contact) {
-        contact = await hubspotService.syncContact(hubspotId);
+        contact = await hubspotService.forPortal(req.portalId).syncContact(hubspotId);
       }
     } else if (phone) {
       contact = await HubSpotContact.findOne({
         where: {
+          portalId: req.portalId,
           [require('sequelize').Op.or]: [
             { phone },
             { whatsappNumber: phone.replace(/\D/g, '') }
@@ -289,7 +342,7 @@ router.get('/contacts/lookup', [
       });
     } else if (email) {
       contact = await HubSpotContact.findOne({
-        where: { email }
+        where: { portalId: req.portalId, email }
       });
     }
     
@@ -297,16 +350,19 @@ router.get('/contacts/lookup', [
       return res.status(404).json({ error: 'Contact not found' });
     }
     
-    // Get call permissions
+    // Get call permissions; a permanent grant can be older than the latest request
     const permissions = await CallPermission.findAll({
-      where: { contactId: contact.id },
-      order: [['createdAt', 'DESC']],
-      limit: 1
+      where: { contactId: contact.id, status: 'approved' },
+      order: [['createdAt', 'DESC']]
     });
     
     const activePermission = permissions.find(p => 
       p.status === 'approved' && p.canMakeCall()
     );
+
+    const suppression = contact.whatsappNumber
+      ? await optOut.findSuppression(contact.whatsappNumber)
+      : null;
     
     res.json({
       contact: {
@@ -319,9 +375,11 @@ router.get('/contacts/lookup', [
         company: contact.company
       },
       calling: {
-        canCall: !!activePermission,
+        canCall: !!activePermission && !suppression,
         hasWhatsApp: !!contact.whatsappNumber,
+        optedOut: !!suppression,
         permission: activePermission ? {
+          type: activePermission.type,
           callsUsed: activePermission.callsUsed,
           maxCalls: activePermission.maxCalls,
           expiresAt: activePermission.expiresAt
@@ -334,68 +392,6 @@ router.get('/contacts/lookup', [
   }
 });
 
-// HubSpot webhook endpoint
-router.post('/webhooks', [
-  body('objectId').optional().notEmpty().withMessage('Object ID cannot be empty'),
-  body('eventType').notEmpty().withMessage('Event type is required'),
-  body('subscriptionType').notEmpty().withMessage('Subscription type is required')
-], handleValidationErrors, async (req, res) => {
-  try {
-    const { objectId, eventType, subscriptionType, propertyName, propertyValue } = req.body;
-    
-    logger.info('HubSpot webhook received:', {
-      objectId,
-      eventType,
-      subscriptionType,
-      propertyName
-    });
-    
-    switch (subscriptionType) {
-      case 'contact.propertyChange':
-        if (propertyName === 'whatsapp_number') {
-          // WhatsApp number updated, sync contact
-          await hubspotService.syncContact(objectId);
-          
-          logger.info('Contact WhatsApp number updated:', {
-            contactId: objectId,
-            newValue: propertyValue
-          });
-        }
-        break;
-        
-      case 'contact.creation':
-        // New contact created, sync if it has WhatsApp number
-        await hubspotService.syncContact(objectId);
-        break;
-        
-      case 'contact.deletion':
-        // Contact deleted, clean up local data
-        const deletedContact = await HubSpotContact.findOne({
-          where: { hubspotContactId: objectId }
-        });
-        
-        if (deletedContact) {
-          // Cancel any pending permissions
-          await CallPermission.update(
-            { status: 'expired' },
-            { where: { contactId: deletedContact.id, status: 'pending' } }
-          );
-          
-          // Keep call history but mark contact as deleted
-          await deletedContact.update({ 
-            metadata: { ...deletedContact.metadata, deleted: true }
-          });
-        }
-        break;
-    }
-    
-    res.status(200).json({ status: 'processed' });
-  } catch (error) {
-    logger.error('Failed to process HubSpot webhook:', error);
-    res.status(500).json({ error: 'Failed to process webhook' });
-  }
-});
-
 // Get calling analytics for dashboard
 router.get('/analytics/calls', [
   query('startDate').optional().isISO8601().withMessage('Start date must be valid ISO8601'),
@@ -405,7 +401,7 @@ router.get('/analytics/calls', [
   try {
     const { startDate, endDate, contactId } = req.query;
     
-    const whereClause = {};
+    const whereClause = { portalId: req.portalId };
     
     if (contactId) {
       whereClause.contactId = contactId;
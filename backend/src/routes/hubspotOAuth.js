@@ -0,0 +1,35 @@
+const express = require('express');
+const config = require('../config/config');
+const hubspotPortals = require('../services/hubspotPortals');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Browser lands back in the app with the outcome of the install
+const redirectTo = (params) => {
+  const url = new URL(config.hubspot.oauth.successRedirect);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// OAuth redirect target after a portal admin approves (or denies) the app
+router.get('/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code || !state) {
+    logger.warn('HubSpot install not completed:', { error: error || 'missing code or state' });
+    return res.redirect(redirectTo({ error: error || 'missing_code' }));
+  }
+
+  try {
+    const portal = await hubspotPortals.install(code, state);
+    res.redirect(redirectTo({ installed: portal.portalId }));
+  } catch (installError) {
+    logger.error('Failed to complete HubSpot install:', installError);
+    res.redirect(redirectTo({
+      error: installError.name === 'HubSpotPortalError' ? installError.message : 'install_failed'
+    }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const hubspotPortals = require('../services/hubspotPortals');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// List portals that installed the app
+router.get('/', async (req, res) => {
+  try {
+    const portals = await hubspotPortals.list();
+
+    res.json({ portals: portals.map(portal => portal.toSummary()) });
+  } catch (error) {
+    logger.error('Failed to list HubSpot portals:', error);
+    res.status(500).json({ error: 'Failed to list portals' });
+  }
+});
+
+// URL to send the browser to for installing the app in a portal
+router.get('/install', (req, res) => {
+  try {
+    res.json({ url: hubspotPortals.getAuthorizeUrl(req.agent) });
+  } catch (error) {
+    if (error.name === 'HubSpotPortalError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to build HubSpot install URL:', error);
+    res.status(500).json({ error: 'Failed to build install URL' });
+  }
+});
+
+// Stop using a portal's tokens; its contacts and call history are kept
+router.delete('/:portalId', [
+  param('portalId').notEmpty().withMessage('Portal ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const portal = await hubspotPortals.uninstall(req.params.portalId);
+
+    logger.info('HubSpot portal removed:', { portalId: portal.portalId, agentId: req.agent.id });
+    res.json({ portal: portal.toSummary() });
+  } catch (error) {
+    if (error.name === 'HubSpotPortalError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to uninstall HubSpot portal:', error);
+    res.status(500).json({ error: 'Failed to uninstall portal' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const hubspotEvents = require('../services/hubspotEvents');
+const { validateHubSpotSignature } = require('../middleware/hubspotValidator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// HubSpot webhook endpoint. HubSpot sends an array of up to 100 events; a
+// single event object is accepted too. A failing event doesn't stop the rest.
+router.post('/', validateHubSpotSignature, async (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+
+  if (events.length === 0 || events.some(event => !event || typeof event !== 'object' || !event.subscriptionType)) {
+    return res.status(400).json({ error: 'Expected HubSpot events with a subscriptionType' });
+  }
+
+  const results = [];
+  for (const event of events) {
+    try {
+      results.push({ eventId: event.eventId, status: await hubspotEvents.process(event) });
+    } catch (error) {
+      logger.error('Failed to process HubSpot event:', {
+        eventId: event.eventId,
+        subscriptionType: event.subscriptionType,
+        objectId: event.objectId,
+        error: error.message
+      });
+      results.push({ eventId: event.eventId, status: 'failed', error: error.message });
+    }
+  }
+
+  // A 5xx makes HubSpot retry the batch; events already applied are skipped then
+  const failed = results.filter(result => result.status === 'failed').length;
+  res.status(failed > 0 ? 500 : 200).json({
+    status: failed > 0 ? 'partially_failed' : 'processed',
+    failed,
+    results
+  });
+});
+
+module.exports = router;
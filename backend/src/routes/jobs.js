@@ -0,0 +1,49 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const scheduler = require('../services/scheduler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// List background jobs with their last run
+router.get('/', (req, res) => {
+  res.json({
+    enabled: scheduler.started,
+    jobs: scheduler.getStatus()
+  });
+});
+
+// Run a job immediately
+router.post('/:name/run', [
+  param('name').notEmpty().withMessage('Job name is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!scheduler.has(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await scheduler.run(name);
+    if (result === null) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    logger.info('Job run manually:', { job: name, agentId: req.agent.id });
+    res.json({ job: name, result });
+  } catch (error) {
+    logger.error('Failed to run job:', error);
+    res.status(500).json({ error: 'Job failed', message: error.message });
+  }
+});
+
+module.exports = router;
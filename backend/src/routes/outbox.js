@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const crmOutbox = require('../services/crmOutbox');
+const { CrmOutboxItem } = require('../models');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const formatItem = (item) => ({
+  id: item.id,
+  portalId: item.portalId,
+  operation: item.operation,
+  resourceType: item.resourceType,
+  resourceId: item.resourceId,
+  status: item.status,
+  attempts: item.attempts,
+  nextAttemptAt: item.nextAttemptAt,
+  lastAttemptAt: item.lastAttemptAt,
+  lastError: item.lastError,
+  completedAt: item.completedAt,
+  createdAt: item.createdAt
+});
+
+// List outbox items, newest first, with the number of items in each status
+router.get('/', [
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  query('operation').optional().notEmpty().withMessage('Operation cannot be empty if provided'),
+  query('portalId').optional().notEmpty().withMessage('Portal ID cannot be empty if provided'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { status, operation, portalId } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { total, items } = await crmOutbox.list({ status, operation, portalId, limit, offset });
+
+    res.json({
+      counts: await crmOutbox.counts(),
+      items: items.map(formatItem),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to list CRM outbox:', error);
+    res.status(500).json({ error: 'Failed to list outbox' });
+  }
+});
+
+// Redrive every dead item, optionally only of one operation or portal
+router.post('/redrive', [
+  body('operation').optional().notEmpty().withMessage('Operation cannot be empty if provided'),
+  body('portalId').optional().notEmpty().withMessage('Portal ID cannot be empty if provided')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const redriven = await crmOutbox.redriveDead({
+      operation: req.body.operation,
+      portalId: req.body.portalId
+    }, req.agent);
+
+    res.json({ redriven });
+  } catch (error) {
+    logger.error('Failed to redrive CRM outbox:', error);
+    res.status(500).json({ error: 'Failed to redrive outbox' });
+  }
+});
+
+// Get one item with its payload and result
+router.get('/:id', [
+  param('id').isUUID().withMessage('Item ID must be valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const item = await CrmOutboxItem.findByPk(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Outbox item not found' });
+    }
+
+    res.json({
+      item: {
+        ...formatItem(item),
+        payload: item.payload,
+        result: item.result,
+        metadata: item.metadata
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get CRM outbox item:', error);
+    res.status(500).json({ error: 'Failed to get outbox item' });
+  }
+});
+
+// Retry a dead (or waiting) item now
+router.post('/:id/redrive', [
+  param('id').isUUID().withMessage('Item ID must be valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const item = await crmOutbox.redrive(req.params.id, req.agent);
+
+    res.json({ item: formatItem(item) });
+  } catch (error) {
+    if (error.name === 'CrmOutboxError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to redrive CRM outbox item:', error);
+    res.status(500).json({ error: 'Failed to redrive outbox item' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { SuppressedNumber, HubSpotContact } = require('../models');
+const permissionEvents = require('../services/permissionEvents');
+const optOut = require('../services/optOut');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Export permission events for a compliance review, as CSV or JSON
+router.get('/export', [
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('contactId').optional().isUUID().withMessage('Contact ID must be valid UUID'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { from, to, contactId, format = 'csv' } = req.query;
+
+    const rows = await permissionEvents.export({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      contactId
+    });
+
+    logger.info('Permission events exported:', { agentId: req.agent.id, from, to, contactId, rows: rows.length });
+
+    if (format === 'json') {
+      return res.json({ exportedAt: new Date(), from, to, contactId, events: rows });
+    }
+
+    const filename = `permission-events-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(permissionEvents.toCsv(rows));
+  } catch (error) {
+    logger.error('Failed to export permission events:', error);
+    res.status(500).json({ error: 'Failed to export permission events' });
+  }
+});
+
+const formatSuppression = (suppression) => ({
+  id: suppression.id,
+  whatsappNumber: suppression.whatsappNumber,
+  contactId: suppression.contactId,
+  contactName: suppression.contact ? suppression.contact.getFullName() : null,
+  reason: suppression.reason,
+  source: suppression.source,
+  keyword: suppression.keyword,
+  language: suppression.language,
+  note: suppression.metadata && suppression.metadata.note,
+  active: suppression.isActive(),
+  suppressedAt: suppression.suppressedAt,
+  liftedAt: suppression.liftedAt,
+  liftedBy: suppression.liftedBy
+});
+
+// List numbers that opted out of calls (active only unless all=true)
+router.get('/suppressions', [
+  query('all').optional().isBoolean().withMessage('All must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const where = req.query.all === 'true' ? {} : { liftedAt: null };
+
+    const suppressions = await SuppressedNumber.findAll({
+      where,
+      include: [{ model: HubSpotContact, as: 'contact' }],
+      order: [['suppressedAt', 'DESC']]
+    });
+
+    res.json({ suppressions: suppressions.map(formatSuppression) });
+  } catch (error) {
+    logger.error('Failed to list suppressions:', error);
+    res.status(500).json({ error: 'Failed to list suppressions' });
+  }
+});
+
+// Suppress a number by hand, e.g. after a phone or email opt-out
+router.post('/suppressions', [
+  body('whatsappNumber').notEmpty().withMessage('WhatsApp number is required'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { suppression, revoked } = await optOut.suppress(req.body.whatsappNumber, {
+      reason: 'manual',
+      source: 'api',
+      agent: req.agent,
+      note: req.body.note
+    });
+
+    res.status(201).json({ suppression: formatSuppression(suppression), revokedPermissions: revoked });
+  } catch (error) {
+    logger.error('Failed to suppress number:', error);
+    res.status(500).json({ error: 'Failed to suppress number' });
+  }
+});
+
+// Allow a suppressed number to be asked for permission and called again
+router.post('/suppressions/:suppressionId/lift', [
+  param('suppressionId').isUUID().withMessage('Valid suppression ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const suppression = await SuppressedNumber.findByPk(req.params.suppressionId, {
+      include: [{ model: HubSpotContact, as: 'contact' }]
+    });
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    if (!suppression.isActive()) {
+      return res.status(409).json({ error: 'Suppression already lifted' });
+    }
+
+    await optOut.lift(suppression, req.agent);
+    res.json({ suppression: formatSuppression(suppression) });
+  } catch (error) {
+    logger.error('Failed to lift suppression:', error);
+    res.status(500).json({ error: 'Failed to lift suppression' });
+  }
+});
+
+module.exports = router;
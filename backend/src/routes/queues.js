@@ -0,0 +1,163 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, validationResult } = require('express-validator');
+const { Queue } = require('../models');
+const callQueue = require('../services/callQueue');
+const { requireRole } = require('../middleware/auth');
+const { canAccessPortal } = require('../middleware/portal');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STRATEGIES = ['round-robin', 'longest-idle', 'simultaneous'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const queueValidators = [
+  body('team').optional().notEmpty().withMessage('Team cannot be empty'),
+  body('whatsappNumber').optional({ nullable: true }).isString().withMessage('WhatsApp number must be a string'),
+  body('strategy').optional().isIn(STRATEGIES).withMessage(`Strategy must be one of ${STRATEGIES.join(', ')}`),
+  body('ringTimeout').optional().isInt({ min: 5, max: 120 }).withMessage('Ring timeout must be 5-120 seconds'),
+  body('maxWaitTime').optional().isInt({ min: 10 }).withMessage('Max wait time must be at least 10 seconds'),
+  body('overflowAction').optional().isIn(['voicemail', 'hangup']).withMessage('Overflow action must be voicemail or hangup'),
+  body('recordingMode').optional({ nullable: true }).isIn(['always', 'never', 'ask']).withMessage('Recording mode must be always, never or ask'),
+  body('scheduleId').optional({ nullable: true }).isUUID().withMessage('Schedule ID must be a valid UUID'),
+  body('portalId').optional({ nullable: true }).isString().withMessage('Portal ID must be a string'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+];
+
+const QUEUE_FIELDS = ['name', 'team', 'whatsappNumber', 'strategy', 'ringTimeout', 'maxWaitTime', 'overflowAction', 'recordingMode', 'scheduleId', 'portalId', 'active'];
+
+const pickQueueFields = (source) => QUEUE_FIELDS.reduce((fields, key) => {
+  if (source[key] !== undefined) fields[key] = source[key];
+  return fields;
+}, {});
+
+// List the agent's portal's queues with their current callers
+router.get('/', async (req, res) => {
+  try {
+    const queues = await Queue.findAll({
+      where: req.agent.portalId
+        ? { portalId: { [Op.or]: [null, req.agent.portalId] } }
+        : undefined,
+      order: [['name', 'ASC']]
+    });
+
+    const result = await Promise.all(queues.map(async queue => ({
+      ...queue.toJSON(),
+      waiting: await callQueue.getWaitingEntries(queue)
+    })));
+
+    res.json({ queues: result });
+  } catch (error) {
+    logger.error('Failed to list queues:', error);
+    res.status(500).json({ error: 'Failed to list queues' });
+  }
+});
+
+// Create queue
+router.post('/', requireRole('admin'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('team').notEmpty().withMessage('Team is required'),
+  ...queueValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const queue = await Queue.create(pickQueueFields(req.body));
+
+    logger.info('Queue created:', { queueId: queue.id, createdBy: req.agent.id });
+    res.status(201).json({ queue });
+  } catch (error) {
+    logger.error('Failed to create queue:', error);
+    res.status(500).json({ error: 'Failed to create queue' });
+  }
+});
+
+// Update queue
+router.patch('/:queueId', requireRole('admin'), [
+  param('queueId').isUUID().withMessage('Valid queue ID is required'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...queueValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const queue = await Queue.findByPk(req.params.queueId);
+    if (!queue || !canAccessPortal(req.agent, queue.portalId)) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    await queue.update(pickQueueFields(req.body));
+
+    logger.info('Queue updated:', { queueId: queue.id, updatedBy: req.agent.id });
+    res.json({ queue });
+  } catch (error) {
+    logger.error('Failed to update queue:', error);
+    res.status(500).json({ error: 'Failed to update queue' });
+  }
+});
+
+// Get callers waiting in a queue with position and wait time
+router.get('/:queueId/entries', [
+  param('queueId').isUUID().withMessage('Valid queue ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const queue = await Queue.findByPk(req.params.queueId);
+    if (!queue || !canAccessPortal(req.agent, queue.portalId)) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    res.json({
+      queueId: queue.id,
+      name: queue.name,
+      waiting: await callQueue.getWaitingEntries(queue)
+    });
+  } catch (error) {
+    logger.error('Failed to get queue entries:', error);
+    res.status(500).json({ error: 'Failed to get queue entries' });
+  }
+});
+
+// Answer a queued call that is ringing the agent
+router.post('/entries/:entryId/accept', [
+  param('entryId').isUUID().withMessage('Valid queue entry ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const entry = await callQueue.accept(req.params.entryId, req.agent);
+    if (!entry) {
+      return res.status(409).json({ error: 'Call is no longer available' });
+    }
+
+    res.json({
+      queueEntryId: entry.id,
+      callId: entry.callId,
+      status: entry.status
+    });
+  } catch (error) {
+    logger.error('Failed to accept queued call:', error);
+    res.status(500).json({ error: 'Failed to accept call' });
+  }
+});
+
+// Decline a queued call so it rings the next agent
+router.post('/entries/:entryId/decline', [
+  param('entryId').isUUID().withMessage('Valid queue entry ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const declined = await callQueue.decline(req.params.entryId, req.agent);
+    if (!declined) {
+      return res.status(409).json({ error: 'Call is no longer being offered to you' });
+    }
+
+    res.json({ status: 'declined' });
+  } catch (error) {
+    logger.error('Failed to decline queued call:', error);
+    res.status(500).json({ error: 'Failed to decline call' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { param, query, validationResult } = require('express-validator');
+const { Recording, Call } = require('../models');
+const recordings = require('../services/recordings');
+const { canAccessPortal } = require('../middleware/portal');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'downloading', 'stored', 'failed', 'deleted'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const formatRecording = (recording) => ({
+  id: recording.id,
+  callId: recording.callId,
+  recordingSid: recording.recordingSid,
+  source: recording.source,
+  status: recording.status,
+  contentType: recording.contentType,
+  size: recording.size,
+  duration: recording.duration,
+  channels: recording.channels,
+  startedAt: recording.startedAt,
+  storedAt: recording.storedAt,
+  deletedAt: recording.deletedAt,
+  createdAt: recording.createdAt
+});
+
+// The recording, if it belongs to a call the agent may see
+const findRecording = async (agent, recordingId) => {
+  const recording = await Recording.findByPk(recordingId, {
+    include: [{ model: Call, as: 'call' }]
+  });
+
+  return recording && canAccessPortal(agent, recording.call.portalId) ? recording : null;
+};
+
+// List recordings, newest first, optionally of one call
+router.get('/', [
+  query('callId').optional().isUUID().withMessage('Call ID must be valid UUID'),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { callId, status } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const whereClause = {};
+    if (callId) whereClause.callId = callId;
+    if (status) whereClause.status = status;
+
+    const { rows, count } = await Recording.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Call,
+        as: 'call',
+        attributes: [],
+        where: req.agent.portalId
+          ? { portalId: { [Op.or]: [null, req.agent.portalId] } }
+          : undefined
+      }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      items: rows.map(formatRecording),
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to list recordings:', error);
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+// Get recording
+router.get('/:recordingId', [
+  param('recordingId').isUUID().withMessage('Valid recording ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const recording = await findRecording(req.agent, req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    res.json({ recording: formatRecording(recording) });
+  } catch (error) {
+    logger.error('Failed to get recording:', error);
+    res.status(500).json({ error: 'Failed to get recording' });
+  }
+});
+
+// Play a recording from our storage. Supports single byte ranges
+// ("Range: bytes=start-end"), so players can seek.
+router.get('/:recordingId/stream', [
+  param('recordingId').isUUID().withMessage('Valid recording ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const recording = await findRecording(req.agent, req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (recording.status !== 'stored') {
+      return res.status(404).json({ error: `Recording is ${recording.status}` });
+    }
+
+    let range;
+    try {
+      range = recordings.parseRange(req.get('range'), recording.size);
+    } catch (error) {
+      if (error.name !== 'RecordingError') throw error;
+      res.set('Content-Range', `bytes */${recording.size}`);
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    const stream = await recordings.createReadStream(recording, range);
+
+    res.set({
+      'Content-Type': recording.contentType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store'
+    });
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${recording.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(recording.size));
+    }
+
+    stream.on('error', (error) => {
+      logger.error('Failed while streaming recording:', { recordingId: recording.id, error: error.message });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.name === 'RecordingError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Failed to stream recording:', error);
+    res.status(500).json({ error: 'Failed to stream recording' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Schedule } = require('../models');
+const businessHours = require('../services/businessHours');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const checkWith = (validate) => (value) => {
+  const message = validate(value);
+  if (message) throw new Error(message);
+  return true;
+};
+
+const scheduleValidators = [
+  body('timezone').optional().custom(value => businessHours.isValidTimezone(value))
+    .withMessage('Timezone must be a valid IANA timezone'),
+  body('weeklyHours').optional().custom(checkWith(value => businessHours.validateWeeklyHours(value))),
+  body('holidays').optional().custom(checkWith(value => businessHours.validateHolidays(value))),
+  body('afterHoursAction').optional().isIn(['voicemail', 'closed_message', 'whatsapp_reply'])
+    .withMessage('After-hours action must be voicemail, closed_message or whatsapp_reply'),
+  body('closedMessage').optional().isString().withMessage('Closed message must be a string'),
+  body('whatsappReplyMessage').optional().isString().withMessage('WhatsApp reply message must be a string'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+];
+
+const SCHEDULE_FIELDS = ['name', 'timezone', 'weeklyHours', 'holidays', 'afterHoursAction', 'closedMessage', 'whatsappReplyMessage', 'isDefault'];
+
+const pickScheduleFields = (source) => SCHEDULE_FIELDS.reduce((fields, key) => {
+  if (source[key] !== undefined) fields[key] = source[key];
+  return fields;
+}, {});
+
+// Only one schedule can be the default
+const clearOtherDefaults = async (schedule) => {
+  if (schedule.isDefault) {
+    await Schedule.update({ isDefault: false }, { where: { isDefault: true } });
+  }
+};
+
+// Current open/closed state of a schedule
+const describeStatus = (schedule) => {
+  const local = businessHours.getLocalTime(schedule.timezone);
+
+  return {
+    open: businessHours.isOpen(schedule),
+    localDate: local.date,
+    localTime: local.time,
+    timezone: schedule.timezone
+  };
+};
+
+// List schedules
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await Schedule.findAll({ order: [['name', 'ASC']] });
+
+    res.json({
+      schedules: schedules.map(schedule => ({
+        ...schedule.toJSON(),
+        status: describeStatus(schedule)
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to list schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Create schedule
+router.post('/', requireRole('admin'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('timezone').notEmpty().withMessage('Timezone is required'),
+  ...scheduleValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const fields = pickScheduleFields(req.body);
+    await clearOtherDefaults(fields);
+
+    const schedule = await Schedule.create(fields);
+
+    logger.info('Schedule created:', { scheduleId: schedule.id, createdBy: req.agent.id });
+    res.status(201).json({ schedule });
+  } catch (error) {
+    logger.error('Failed to create schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// Update schedule
+router.patch('/:scheduleId', requireRole('admin'), [
+  param('scheduleId').isUUID().withMessage('Valid schedule ID is required'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...scheduleValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const schedule = await Schedule.findByPk(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const fields = pickScheduleFields(req.body);
+    await clearOtherDefaults(fields);
+    await schedule.update(fields);
+
+    logger.info('Schedule updated:', { scheduleId: schedule.id, updatedBy: req.agent.id });
+    res.json({ schedule });
+  } catch (error) {
+    logger.error('Failed to update schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Whether a schedule is open right now
+router.get('/:scheduleId/status', [
+  param('scheduleId').isUUID().withMessage('Valid schedule ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const schedule = await Schedule.findByPk(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ scheduleId: schedule.id, ...describeStatus(schedule) });
+  } catch (error) {
+    logger.error('Failed to get schedule status:', error);
+    res.status(500).json({ error: 'Failed to get schedule status' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { MessageTemplate } = require('../models');
+const messageTemplates = require('../services/messageTemplates');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const PURPOSES = ['call_permission', 'voice_call_button'];
+const CATEGORIES = ['UTILITY', 'MARKETING', 'AUTHENTICATION'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}([_-][a-z0-9]{2,4})?$/i;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// List templates
+router.get('/', [
+  query('purpose').optional().isIn(PURPOSES).withMessage(`Purpose must be one of ${PURPOSES.join(', ')}`),
+  query('language').optional().matches(LANGUAGE_PATTERN).withMessage('Invalid language code'),
+  query('approvalStatus').optional().isString()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const where = {};
+    ['purpose', 'language', 'approvalStatus'].forEach(key => {
+      if (req.query[key]) where[key] = req.query[key];
+    });
+
+    const templates = await MessageTemplate.findAll({
+      where,
+      order: [['purpose', 'ASC'], ['language', 'ASC'], ['createdAt', 'DESC']]
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    logger.error('Failed to list templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// Show which template a purpose and language would use
+router.get('/select', [
+  query('purpose').isIn(PURPOSES).withMessage(`Purpose must be one of ${PURPOSES.join(', ')}`),
+  query('language').optional().matches(LANGUAGE_PATTERN).withMessage('Invalid language code')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const template = await messageTemplates.select(req.query.purpose, req.query.language);
+    if (!template) {
+      return res.status(404).json({ error: 'No approved template for this purpose and language' });
+    }
+
+    res.json({ template });
+  } catch (error) {
+    logger.error('Failed to select template:', error);
+    res.status(500).json({ error: 'Failed to select template' });
+  }
+});
+
+// Create a template in Twilio, or register an existing one by contentSid
+router.post('/', requireRole('admin'), [
+  body('name').matches(/^[a-z0-9_]+$/).withMessage('Name must be lowercase letters, digits and underscores'),
+  body('purpose').isIn(PURPOSES).withMessage(`Purpose must be one of ${PURPOSES.join(', ')}`),
+  body('language').matches(LANGUAGE_PATTERN).withMessage('Valid language code is required'),
+  body('category').optional().isIn(CATEGORIES).withMessage(`Category must be one of ${CATEGORIES.join(', ')}`),
+  body('contentSid').optional().matches(/^HX[0-9a-f]{32}$/i).withMessage('Content SID must be a Twilio HX SID'),
+  body('body').optional().isString().withMessage('Body must be a string'),
+  body('title').optional().isString().withMessage('Title must be a string'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('submitForApproval').optional().isBoolean().withMessage('submitForApproval must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { contentSid, purpose, title } = req.body;
+
+    if (contentSid) {
+      const existing = await MessageTemplate.findOne({ where: { contentSid } });
+      if (existing) {
+        return res.status(409).json({ error: 'Template is already registered' });
+      }
+    } else if (purpose === 'voice_call_button' && !title) {
+      return res.status(400).json({ error: 'Title is required for voice call button templates' });
+    }
+
+    const template = contentSid
+      ? await messageTemplates.register(req.body)
+      : await messageTemplates.create(req.body);
+
+    logger.info('Template added:', { templateId: template.id, createdBy: req.agent.id });
+    res.status(201).json({ template });
+  } catch (error) {
+    logger.error('Failed to create template:', error);
+    res.status(error.statusCode === 400 ? 400 : 500).json({
+      error: 'Failed to create template',
+      message: error.message
+    });
+  }
+});
+
+// Update template
+router.patch('/:templateId', requireRole('admin'), [
+  param('templateId').isUUID().withMessage('Valid template ID is required'),
+  body('purpose').optional().isIn(PURPOSES).withMessage(`Purpose must be one of ${PURPOSES.join(', ')}`),
+  body('language').optional().matches(LANGUAGE_PATTERN).withMessage('Invalid language code'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByPk(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const updates = {};
+    ['purpose', 'language', 'active'].forEach(key => {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    });
+
+    await template.update(updates);
+
+    logger.info('Template updated:', { templateId: template.id, updatedBy: req.agent.id });
+    res.json({ template });
+  } catch (error) {
+    logger.error('Failed to update template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Submit a template to WhatsApp for approval
+router.post('/:templateId/approval', requireRole('admin'), [
+  param('templateId').isUUID().withMessage('Valid template ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByPk(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await messageTemplates.submitForApproval(template);
+
+    res.json({ template });
+  } catch (error) {
+    logger.error('Failed to submit template for approval:', error);
+    res.status(500).json({ error: 'Failed to submit template for approval', message: error.message });
+  }
+});
+
+// Check a template's current WhatsApp approval status with Twilio
+router.get('/:templateId/approval', [
+  param('templateId').isUUID().withMessage('Valid template ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByPk(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await messageTemplates.refreshApprovalStatus(template);
+
+    res.json({
+      templateId: template.id,
+      contentSid: template.contentSid,
+      approvalStatus: template.approvalStatus,
+      rejectionReason: template.rejectionReason,
+      statusCheckedAt: template.statusCheckedAt
+    });
+  } catch (error) {
+    logger.error('Failed to check template approval status:', error);
+    res.status(500).json({ error: 'Failed to check approval status' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { param, query, validationResult } = require('express-validator');
+const { Transcript, Call } = require('../models');
+const { canAccessPortal } = require('../middleware/portal');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const formatTranscript = (transcript, { withSegments = false } = {}) => ({
+  id: transcript.id,
+  callId: transcript.callId,
+  recordingId: transcript.recordingId,
+  provider: transcript.provider,
+  status: transcript.status,
+  language: transcript.language,
+  summary: transcript.summary,
+  actionItems: transcript.actionItems,
+  ...(withSegments ? { segments: transcript.segments } : {}),
+  attempts: transcript.attempts,
+  lastError: transcript.lastError,
+  completedAt: transcript.completedAt,
+  createdAt: transcript.createdAt
+});
+
+// List transcripts, newest first, optionally of one call. Segments are
+// left out; get a transcript to read it.
+router.get('/', [
+  query('callId').optional().isUUID().withMessage('Call ID must be valid UUID'),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { callId, status } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const whereClause = {};
+    if (callId) whereClause.callId = callId;
+    if (status) whereClause.status = status;
+
+    const { rows, count } = await Transcript.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Call,
+        as: 'call',
+        attributes: [],
+        where: req.agent.portalId
+          ? { portalId: { [Op.or]: [null, req.agent.portalId] } }
+          : undefined
+      }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      items: rows.map(transcript => formatTranscript(transcript)),
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to list transcripts:', error);
+    res.status(500).json({ error: 'Failed to list transcripts' });
+  }
+});
+
+// Get a transcript with its segments
+router.get('/:transcriptId', [
+  param('transcriptId').isUUID().withMessage('Valid transcript ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const transcript = await Transcript.findByPk(req.params.transcriptId, {
+      include: [{ model: Call, as: 'call' }]
+    });
+    if (!transcript || !canAccessPortal(req.agent, transcript.call.portalId)) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    res.json({ transcript: formatTranscript(transcript, { withSegments: true }) });
+  } catch (error) {
+    logger.error('Failed to get transcript:', error);
+    res.status(500).json({ error: 'Failed to get transcript' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { Voicemail, HubSpotContact, Agent, Call } = require('../models');
+const twilioService = require('../services/twilio');
+const { canAccessPortal } = require('../middleware/portal');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const formatVoicemail = (voicemail) => ({
+  id: voicemail.id,
+  callId: voicemail.callId,
+  queueId: voicemail.queueId,
+  agentId: voicemail.agentId,
+  duration: voicemail.duration,
+  transcription: voicemail.transcription,
+  transcriptionStatus: voicemail.transcriptionStatus,
+  status: voicemail.status,
+  handledBy: voicemail.handledBy,
+  handledAt: voicemail.handledAt,
+  createdAt: voicemail.createdAt,
+  contact: voicemail.contact ? {
+    id: voicemail.contact.id,
+    name: voicemail.contact.getFullName(),
+    whatsappNumber: voicemail.contact.whatsappNumber
+  } : null
+});
+
+// The voicemail, if it was left on a call the agent may see
+const findVoicemail = async (agent, voicemailId) => {
+  const voicemail = await Voicemail.findByPk(voicemailId, {
+    include: [
+      { model: HubSpotContact, as: 'contact' },
+      { model: Call, as: 'call' }
+    ]
+  });
+
+  return voicemail && canAccessPortal(agent, voicemail.call.portalId) ? voicemail : null;
+};
+
+// List voicemails, filtered by status, queue or assigned agent ("me" for yourself)
+router.get('/', [
+  query('status').optional().isIn(['new', 'handled']).withMessage('Status must be new or handled'),
+  query('queueId').optional().isUUID().withMessage('Queue ID must be valid UUID'),
+  query('agentId').optional().custom(value => value === 'me' || /^[0-9a-f-]{36}$/i.test(value))
+    .withMessage('Agent ID must be a valid UUID or "me"'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { status, queueId, agentId } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (queueId) whereClause.queueId = queueId;
+    if (agentId) whereClause.agentId = agentId === 'me' ? req.agent.id : agentId;
+
+    const { rows, count } = await Voicemail.findAndCountAll({
+      where: whereClause,
+      include: [
+        { model: HubSpotContact, as: 'contact' },
+        {
+          model: Call,
+          as: 'call',
+          attributes: [],
+          where: req.agent.portalId
+            ? { portalId: { [Op.or]: [null, req.agent.portalId] } }
+            : undefined
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      voicemails: rows.map(formatVoicemail),
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to list voicemails:', error);
+    res.status(500).json({ error: 'Failed to list voicemails' });
+  }
+});
+
+// Get voicemail
+router.get('/:voicemailId', [
+  param('voicemailId').isUUID().withMessage('Valid voicemail ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const voicemail = await findVoicemail(req.agent, req.params.voicemailId);
+    if (!voicemail) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    res.json({ voicemail: formatVoicemail(voicemail) });
+  } catch (error) {
+    logger.error('Failed to get voicemail:', error);
+    res.status(500).json({ error: 'Failed to get voicemail' });
+  }
+});
+
+// Play voicemail audio, proxied from Twilio so the client never needs Twilio credentials
+router.get('/:voicemailId/recording', [
+  param('voicemailId').isUUID().withMessage('Valid voicemail ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const voicemail = await findVoicemail(req.agent, req.params.voicemailId);
+    if (!voicemail || !voicemail.recordingUrl) {
+      return res.status(404).json({ error: 'Voicemail recording not found' });
+    }
+
+    const media = await twilioService.fetchRecordingMedia(voicemail.recordingUrl);
+
+    res.set('Content-Type', media.headers.get('content-type') || 'audio/mpeg');
+    if (media.headers.get('content-length')) {
+      res.set('Content-Length', media.headers.get('content-length'));
+    }
+
+    Readable.fromWeb(media.body).pipe(res);
+  } catch (error) {
+    logger.error('Failed to stream voicemail recording:', error);
+    res.status(502).json({ error: 'Failed to fetch voicemail recording' });
+  }
+});
+
+// Mark handled / reopen, or assign to an agent
+router.patch('/:voicemailId', [
+  param('voicemailId').isUUID().withMessage('Valid voicemail ID is required'),
+  body('status').optional().isIn(['new', 'handled']).withMessage('Status must be new or handled'),
+  body('agentId').optional({ nullable: true }).isUUID().withMessage('Agent ID must be valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const voicemail = await findVoicemail(req.agent, req.params.voicemailId);
+    if (!voicemail) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    const { status, agentId } = req.body;
+    const updates = {};
+
+    if (status === 'handled' && voicemail.status !== 'handled') {
+      updates.status = 'handled';
+      updates.handledBy = req.agent.id;
+      updates.handledAt = new Date();
+    } else if (status === 'new') {
+      updates.status = 'new';
+      updates.handledBy = null;
+      updates.handledAt = null;
+    }
+
+    if (agentId !== undefined) {
+      const assignee = agentId && await Agent.findByPk(agentId);
+      if (agentId && (!assignee || !canAccessPortal(assignee, voicemail.call.portalId))) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      updates.agentId = agentId;
+    }
+
+    await voicemail.update(updates);
+
+    logger.info('Voicemail updated:', {
+      voicemailId: voicemail.id,
+      updatedBy: req.agent.id,
+      fields: Object.keys(updates)
+    });
+
+    res.json({ voicemail: formatVoicemail(voicemail) });
+  } catch (error) {
+    logger.error('Failed to update voicemail:', error);
+    res.status(500).json({ error: 'Failed to update voicemail' });
+  }
+});
+
+module.exports = router;
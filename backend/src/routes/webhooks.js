@@ -4,12 +4,83 @@ const twilio = require('twilio');
 const { Call, CallPermission, HubSpotContact, CallLog } = require('../models');
 const twilioService = require('../services/twilio');
 const hubspotService = require('../services/hubspot');
+const crmOutbox = require('../services/crmOutbox');
+const eventBus = require('../services/eventBus');
+const callQueue = require('../services/callQueue');
+const businessHours = require('../services/businessHours');
+const voicemailService = require('../services/voicemail');
+const recordings = require('../services/recordings');
+const recordingPolicy = require('../services/recordingPolicy');
+const callControl = require('../services/callControl');
+const compliance = require('../services/compliance');
+const permissionEvents = require('../services/permissionEvents');
+const optOut = require('../services/optOut');
+const webhookReceipts = require('../services/webhookReceipts');
+const callState = require('../services/callState');
 const { validateTwilioSignature } = require('../middleware/twilioValidator');
+const { dedupeWebhook } = require('../middleware/webhookReceipt');
 const logger = require('../utils/logger');
+const config = require('../config/config');
 
 const router = express.Router();
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
+// TwiML that puts the customer into their call's conference; inbound
+// callers hear hold music until an agent joins
+const conferenceTwiml = (call, baseUrl) => {
+  const twiml = new VoiceResponse();
+
+  twiml.dial().conference({
+    startConferenceOnEnter: false,
+    endConferenceOnExit: true,
+    ...(call.direction === 'inbound' && { waitUrl: config.twilio.holdMusicUrl }),
+    statusCallback: `${baseUrl}/webhook/conference/${call.id}`,
+    statusCallbackEvent: 'start end join leave mute hold',
+    statusCallbackMethod: 'POST'
+  }, call.metadata.conferenceName);
+
+  return twiml.toString();
+};
+
+const connectUrl = (call, baseUrl) => `${baseUrl}/webhook/voice/${call.id}/connect`;
+
+// Why a status callback must not be applied to the call, or null if it can be.
+// Twilio may deliver callbacks out of order; the state machine rejects the rest.
+const staleStatusReason = async (call, status, receipt) => {
+  if (receipt && receipt.sequenceNumber !== null) {
+    const last = await webhookReceipts.lastSequence('call-status', receipt.resourceSid, receipt.id);
+    if (last !== null && last > receipt.sequenceNumber) {
+      return 'out_of_order';
+    }
+  }
+
+  const reason = callState.rejectionReason(call.status, status);
+  return reason === 'unchanged' ? null : reason;
+};
+
+// Call permission reply buttons. Contacts can allow calls for a limited time
+// or permanently; WhatsApp may also flag a permanent grant with IsPermanent.
+const PERMISSION_REPLIES = {
+  ACCEPTED: { status: 'approved', type: 'temporary' },
+  ACCEPTED_TEMPORARY: { status: 'approved', type: 'temporary' },
+  ACCEPTED_PERMANENT: { status: 'approved', type: 'permanent' },
+  REJECTED: { status: 'rejected' }
+};
+
+const parsePermissionReply = ({ ButtonPayload, IsPermanent, ExpirationTimestamp }) => {
+  const reply = PERMISSION_REPLIES[ButtonPayload] || PERMISSION_REPLIES.REJECTED;
+  if (reply.status !== 'approved') {
+    return reply;
+  }
+
+  const permanent = reply.type === 'permanent' || IsPermanent === 'true';
+  return {
+    status: 'approved',
+    type: permanent ? 'permanent' : 'temporary',
+    expiresAt: !permanent && ExpirationTimestamp ? new Date(Number(ExpirationTimestamp) * 1000) : null
+  };
+};
+
 // Handle inbound WhatsApp calls
 router.post('/voice/inbound', validateTwilioSignature, async (req, res) => {
   try {
@@ -22,44 +93,57 @@ router.post('/voice/inbound', validateTwilioSignature, async (req, res) => {
       status: CallStatus
     });
 
+    // The queue for the called number decides which HubSpot portal the caller belongs to
+    const queue = await callQueue.resolveQueue(To);
+    const portalService = hubspotService.forPortal(queue && queue.portalId);
+
     // Find or create contact
     let contact = await HubSpotContact.findOne({
-      where: { whatsappNumber: From.replace('whatsapp:', '') }
+      where: { portalId: portalService.portalId, whatsappNumber: From.replace('whatsapp:', '') }
     });
 
     if (!contact) {
-      // Search in HubSpot
-      const hubspotContacts = await hubspotService.searchContactsByWhatsApp(From);
-      
+      // Search in HubSpot; the call goes ahead while HubSpot is unavailable
+      let hubspotContacts = [];
+      try {
+        hubspotContacts = await portalService.searchContactsByWhatsApp(From);
+      } catch (error) {
+        logger.warn('HubSpot contact search failed for inbound caller:', { callSid: CallSid, error: error.message });
+      }
+
       if (hubspotContacts.length > 0) {
         // Sync contact from HubSpot
-        contact = await hubspotService.syncContact(hubspotContacts[0].id);
+        contact = await portalService.syncContact(hubspotContacts[0].id);
       } else {
-        // Create new contact
-        const hubspotContact = await hubspotService.createContact({
-          whatsapp_number: From.replace('whatsapp:', ''),
-          firstname: 'WhatsApp',
-          lastname: 'Caller'
-        });
-        
+        // New caller: the outbox creates the HubSpot contact (or finds it,
+        // if the search above failed) and fills in its ID
         contact = await HubSpotContact.create({
-          hubspotContactId: hubspotContact.id,
+          portalId: portalService.portalId,
           whatsappNumber: From.replace('whatsapp:', ''),
           firstName: 'WhatsApp',
           lastName: 'Caller'
         });
+
+        await crmOutbox.createContact(contact, {
+          whatsapp_number: contact.whatsappNumber,
+          firstname: contact.firstName,
+          lastname: contact.lastName
+        });
       }
     }
 
     // Create call record
+    const receivedAt = new Date();
     const call = await Call.create({
+      portalId: portalService.portalId,
       twilioCallSid: CallSid,
       contactId: contact.id,
       direction: 'inbound',
       fromNumber: From,
       toNumber: To,
       status: 'ringing',
-      startTime: new Date()
+      startTime: receivedAt,
+      ringingAt: receivedAt
     });
 
     // Log call initiation
@@ -71,44 +155,45 @@ router.post('/voice/inbound', validateTwilioSignature, async (req, res) => {
       data: req.body
     });
 
-    // Send real-time notification to HubSpot agents
-    const wss = req.app.get('wss');
-    wss.clients.forEach(client => {
-      if (client.readyState === 1) {
-        client.send(JSON.stringify({
-          type: 'incoming_call',
-          callId: call.id,
-          twilioCallSid: CallSid,
-          contact: {
-            id: contact.id,
-            name: contact.getFullName(),
-            whatsappNumber: contact.whatsappNumber
-          },
-          from: From,
-          timestamp: new Date().toISOString()
-        }));
-      }
-    });
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
 
-    // Generate TwiML to route call to HubSpot agent
-    const twiml = new VoiceResponse();
-    
-    // Create conference for the call
-    const conferenceName = `whatsapp-call-${CallSid}`;
-    
-    twiml.dial((dial) => {
-      dial.conference(conferenceName, {
-        startConferenceOnEnter: true,
-        endConferenceOnExit: true,
-        waitUrl: 'http://twimlets.com/holdmusic?Bucket=com.twilio.music.ambient',
-        statusCallback: `${req.protocol}://${req.get('host')}/webhook/conference/${call.id}`,
-        statusCallbackEvent: 'start end join leave',
-        statusCallbackMethod: 'POST'
+    if (!queue) {
+      logger.warn('No active queue for inbound call:', { callSid: CallSid, to: To });
+
+      res.type('text/xml');
+      return res.send(twilioService.generateTwiML('unavailable'));
+    }
+
+    // Outside business hours, apply the schedule's after-hours behavior instead of queueing
+    const schedule = await businessHours.resolveSchedule(queue);
+    if (schedule && !businessHours.isOpen(schedule)) {
+      await call.update({ metadata: { ...call.metadata, queueId: queue.id, afterHours: true } });
+
+      await CallLog.create({
+        callId: call.id,
+        event: 'after_hours',
+        source: 'system',
+        message: `Call received outside business hours (${schedule.name}), handled by ${schedule.afterHoursAction}`,
+        data: { scheduleId: schedule.id, action: schedule.afterHoursAction }
       });
+
+      res.type('text/xml');
+      return res.send(await businessHours.handleAfterHours(schedule, { call, baseUrl }));
+    }
+
+    const conferenceName = `whatsapp-call-${CallSid}`;
+    const recording = recordingPolicy.decide({ queue, contact });
+
+    // Offer the call to agents through its queue
+    await call.update({
+      metadata: { ...call.metadata, conferenceName, queueId: queue.id, recording }
     });
+    await callQueue.enqueue(call, queue, { baseUrl });
 
+    // The caller hears the recording announcement or consent question, then
+    // waits in the conference until an agent joins
     res.type('text/xml');
-    res.send(twiml.toString());
+    res.send(recordingPolicy.gateTwiml(recording, connectUrl(call, baseUrl)) || conferenceTwiml(call, baseUrl));
   } catch (error) {
     logger.error('Failed to handle inbound call:', error);
     
@@ -141,35 +226,31 @@ router.post('/voice/outbound/:callId', validateTwilioSignature, async (req, res)
     // Generate TwiML based on call status
     const twiml = new VoiceResponse();
     
-    if (CallStatus === 'answered' || DialCallStatus === 'answered') {
+    // Twilio requests this URL once the customer picks up (CallStatus in-progress)
+    if (['in-progress', 'answered'].includes(CallStatus) || DialCallStatus === 'answered') {
       // Create conference bridge for agent and customer
       const conferenceName = `outbound-call-${callId}`;
       const agentIdentity = call.metadata?.agentIdentity || 'hubspot-agent';
-      
-      // Add customer to conference
-      twiml.dial((dial) => {
-        dial.conference(conferenceName, {
-          startConferenceOnEnter: false,
-          endConferenceOnExit: true,
-          statusCallback: `${req.protocol}://${req.get('host')}/webhook/conference/${callId}`,
-          statusCallbackEvent: 'start end join leave',
-          statusCallbackMethod: 'POST'
-        });
-      });
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const contact = await HubSpotContact.findByPk(call.contactId);
+      const recording = recordingPolicy.decide({ contact });
 
-      // Notify frontend to connect agent
-      const wss = req.app.get('wss');
-      wss.clients.forEach(client => {
-        if (client.readyState === 1) {
-          client.send(JSON.stringify({
-            type: 'call_answered',
-            callId,
-            twilioCallSid: CallSid,
-            conferenceName,
-            agentIdentity
-          }));
-        }
+      await call.update({
+        metadata: { ...call.metadata, conferenceName, recording }
       });
+      await callState.transition(call, 'answered', { source: 'twilio', data: req.body });
+
+      // Notify the calling agent to join the conference
+      eventBus.publish('call_answered', {
+        callId,
+        twilioCallSid: CallSid,
+        conferenceName,
+        agentIdentity
+      }, eventBus.audienceForCall(call));
+
+      // Add customer to conference, after the recording announcement or consent question
+      res.type('text/xml');
+      return res.send(recordingPolicy.gateTwiml(recording, connectUrl(call, baseUrl)) || conferenceTwiml(call, baseUrl));
     } else if (CallStatus === 'busy' || DialCallStatus === 'busy') {
       twiml.say('The number you are calling is busy. Please try again later.');
     } else if (CallStatus === 'no-answer' || DialCallStatus === 'no-answer') {
@@ -191,8 +272,52 @@ router.post('/voice/outbound/:callId', validateTwilioSignature, async (req, res)
   }
 });
 
+// Continue a call after the recording announcement or consent question:
+// apply the caller's answer, start recording if allowed, and put them into
+// the conference
+router.post('/voice/:callId/connect', validateTwilioSignature, async (req, res) => {
+  try {
+    const call = await Call.findByPk(req.params.callId);
+    if (!call) {
+      return res.status(404).send('Call not found');
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    let recording = call.metadata.recording || {};
+
+    if (recording.ask) {
+      const contact = await HubSpotContact.findByPk(call.contactId);
+      recording = await recordingPolicy.applyAnswer(call, contact, req.body.Digits);
+    }
+
+    if (recording.record) {
+      try {
+        await callControl.startRecording(call, baseUrl);
+      } catch (error) {
+        // Connect the call anyway; it just isn't recorded
+        logger.error('Failed to start call recording:', { callId: call.id, error: error.message });
+      }
+    }
+
+    res.type('text/xml');
+    res.send(conferenceTwiml(call, baseUrl));
+  } catch (error) {
+    logger.error('Failed to connect call:', error);
+
+    const twiml = new VoiceResponse();
+    twiml.say('We are currently unable to take your call. Please try again later.');
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+  }
+});
+
 // Handle call status updates
-router.post('/call-status', validateTwilioSignature, async (req, res) => {
+router.post('/call-status', validateTwilioSignature, dedupeWebhook('call-status', body => ({
+  id: body.CallSid && `${body.CallSid}:${body.SequenceNumber || body.CallStatus}`,
+  resourceSid: body.CallSid,
+  sequenceNumber: parseInt(body.SequenceNumber)
+})), async (req, res) => {
   try {
     const { CallSid, CallStatus, CallDuration, RecordingUrl } = req.body;
     
@@ -202,98 +327,45 @@ router.post('/call-status', validateTwilioSignature, async (req, res) => {
     });
 
     if (call) {
-      // Update call status
-      const updates = { status: CallStatus };
-      
-      if (CallDuration) {
-        updates.duration = parseInt(CallDuration);
-      }
-      
-      if (RecordingUrl) {
-        updates.recordingUrl = RecordingUrl;
-      }
-      
-      if (CallStatus === 'completed' && !call.endTime) {
-        updates.endTime = new Date();
-      }
-      
-      await call.update(updates);
+      const status = callState.fromTwilio(CallStatus);
 
-      // Log status change
-      await CallLog.create({
-        callId: call.id,
-        event: 'status_update',
-        status: CallStatus,
-        source: 'twilio',
-        data: req.body,
-        message: `Call status updated to ${CallStatus}`
-      });
+      // Ignore callbacks that arrive after a later status was applied
+      const staleReason = await staleStatusReason(call, status, req.webhookReceipt);
+      if (staleReason) {
+        if (req.webhookReceipt) {
+          await webhookReceipts.markStale(req.webhookReceipt, staleReason);
+        }
 
-      // Update call permission if call was missed
-      if (CallStatus === 'no-answer' && call.direction === 'outbound') {
-        const permission = await CallPermission.findOne({
-          where: {
-            contactId: call.contactId,
-            status: 'approved'
-          },
-          order: [['createdAt', 'DESC']]
+        await CallLog.create({
+          callId: call.id,
+          event: 'status_ignored',
+          status: CallStatus,
+          source: 'twilio',
+          data: { ...req.body, reason: staleReason, currentStatus: call.status },
+          message: `Ignored stale status ${CallStatus} (call is ${call.status})`
         });
 
-        if (permission) {
-          await permission.incrementMissedCalls();
-          
-          // Revoke permission after 4 consecutive missed calls
-          if (permission.consecutiveMissedCalls >= 4) {
-            await permission.update({ status: 'expired' });
-          }
-        }
-      } else if (CallStatus === 'answered' && call.direction === 'outbound') {
-        // Reset missed calls counter on successful call
-        const permission = await CallPermission.findOne({
-          where: {
-            contactId: call.contactId,
-            status: 'approved'
-          },
-          order: [['createdAt', 'DESC']]
+        logger.info('Stale call status ignored:', {
+          callId: call.id,
+          status: CallStatus,
+          currentStatus: call.status,
+          sequenceNumber: req.body.SequenceNumber,
+          reason: staleReason
         });
-
-        if (permission) {
-          await permission.resetMissedCalls();
-        }
+        return res.status(200).send('OK');
       }
 
-      // Log call activity to HubSpot
-      if (CallStatus === 'completed') {
-        try {
-          await hubspotService.logCallActivity(call.contact.hubspotContactId, {
-            direction: call.direction,
-            status: call.status,
-            duration: call.duration,
-            fromNumber: call.fromNumber,
-            toNumber: call.toNumber,
-            recordingUrl: call.recordingUrl,
-            notes: call.notes,
-            startTime: call.startTime
-          });
-        } catch (hubspotError) {
-          logger.error('Failed to log call to HubSpot:', hubspotError);
-        }
+      if (status !== call.status) {
+        await callState.transition(call, status, {
+          source: 'twilio',
+          duration: CallDuration,
+          data: req.body,
+          updates: RecordingUrl ? { recordingUrl: RecordingUrl } : {}
+        });
+      } else if (RecordingUrl && !call.recordingUrl) {
+        await call.update({ recordingUrl: RecordingUrl });
+        await crmOutbox.syncCall(call);
       }
-
-      // Send real-time update
-      const wss = req.app.get('wss');
-      wss.clients.forEach(client => {
-        if (client.readyState === 1) {
-          client.send(JSON.stringify({
-            type: 'call_status_update',
-            callId: call.id,
-            twilioCallSid: CallSid,
-            status: CallStatus,
-            duration: call.duration,
-            recordingUrl: call.recordingUrl
-          }));
-        }
-      });
     }
 
     res.status(200).send('OK');
@@ -303,8 +375,11 @@ router.post('/call-status', validateTwilioSignature, async (req, res) => {
   }
 });
 
-// Handle WhatsApp message webhooks (for call permission responses)
-router.post('/messaging', validateTwilioSignature, async (req, res) => {
+// Handle WhatsApp message webhooks (call permission responses and opt-outs)
+router.post('/messaging', validateTwilioSignature, dedupeWebhook('messaging', body => ({
+  id: body.MessageSid,
+  resourceSid: body.MessageSid
+})), async (req, res) => {
   try {
     const { 
       MessageSid, 
@@ -323,44 +398,98 @@ router.post('/messaging', validateTwilioSignature, async (req, res) => {
       buttonPayload: ButtonPayload
     });
 
+    // As for inbound calls, the queue for the number written to decides the
+    // HubSpot portal; the same number may be a contact in several portals
+    const queue = await callQueue.resolveQueue(To);
+    const { portalId } = hubspotService.forPortal(queue && queue.portalId);
+
+    // Opt-outs (STOP and similar replies, or revoking permission in WhatsApp)
+    // take precedence over everything else
+    const sender = await HubSpotContact.findOne({
+      where: { portalId, whatsappNumber: From.replace('whatsapp:', '') }
+    });
+    const optOutMatch = optOut.match({ body: Body, buttonPayload: ButtonPayload }, sender && sender.language);
+
+    if (optOutMatch) {
+      await optOut.suppress(From, { ...optOutMatch, source: 'twilio', messageSid: MessageSid });
+      return res.status(200).send('OK');
+    }
+
     // Handle call permission responses
     if (Body === 'VOICE_CALL_REQUEST' && ButtonPayload) {
       const cleanNumber = From.replace('whatsapp:', '');
       
       const permission = await CallPermission.findOne({
         where: {
+          portalId,
           whatsappNumber: cleanNumber,
           status: 'pending'
         },
+        include: [{ model: HubSpotContact, as: 'contact' }],
         order: [['createdAt', 'DESC']]
       });
 
       if (permission) {
-        const newStatus = ButtonPayload === 'ACCEPTED' ? 'approved' : 'rejected';
+        const reply = parsePermissionReply(req.body);
+        const newStatus = reply.status;
+
+        // Only one grant per number is approved at a time, so a new grant
+        // replaces one that has run out of calls
+        if (newStatus === 'approved') {
+          const superseded = await CallPermission.findAll({
+            where: { contactId: permission.contactId, whatsappNumber: cleanNumber, status: 'approved' }
+          });
+
+          for (const previous of superseded) {
+            await previous.update({
+              status: 'expired',
+              metadata: { ...previous.metadata, expiredAt: compliance.now().toISOString(), expiredReason: 'superseded' }
+            });
+            await permissionEvents.record(previous, 'expired', {
+              source: 'twilio',
+              data: { reason: 'superseded', supersededBy: permission.id }
+            });
+          }
+        }
         
+        // A temporary approval is valid for the configured period from the
+        // moment it is given; a permanent one until the contact revokes it
         await permission.update({
           status: newStatus,
-          respondedAt: new Date()
+          respondedAt: compliance.now(),
+          ...(newStatus === 'approved' && compliance.getGrantLimits(reply.type, reply.expiresAt))
+        });
+
+        await permissionEvents.record(permission, newStatus, {
+          actor: permissionEvents.contact(permission.contact),
+          source: 'twilio',
+          occurredAt: permission.respondedAt,
+          data: {
+            messageSid: MessageSid,
+            buttonPayload: ButtonPayload,
+            ...(newStatus === 'approved' && { type: permission.type, expiresAt: permission.expiresAt, maxCalls: permission.maxCalls })
+          }
         });
 
         logger.info('Call permission response processed:', {
           permissionId: permission.id,
           response: ButtonPayload,
-          status: newStatus
+          status: newStatus,
+          type: newStatus === 'approved' ? permission.type : undefined
         });
 
-        // Send real-time update
-        const wss = req.app.get('wss');
-        wss.clients.forEach(client => {
-          if (client.readyState === 1) {
-            client.send(JSON.stringify({
-              type: 'permission_response',
-              permissionId: permission.id,
-              contactId: permission.contactId,
-              status: newStatus,
-              whatsappNumber: cleanNumber
-            }));
-          }
+        // Send real-time update to the requesting agent and contact watchers
+        const requestedBy = permission.metadata && permission.metadata.requestedBy;
+        eventBus.publish('permission_response', {
+          permissionId: permission.id,
+          contactId: permission.contactId,
+          status: newStatus,
+          type: permission.type,
+          expiresAt: permission.expiresAt,
+          whatsappNumber: cleanNumber
+        }, {
+          agentIds: requestedBy ? [requestedBy] : [],
+          topics: [`contact:${permission.contactId}`]
         });
       }
     }
@@ -372,14 +501,66 @@ router.post('/messaging', validateTwilioSignature, async (req, res) => {
   }
 });
 
+// Delivery status of WhatsApp permission requests
+router.post('/messaging/status', validateTwilioSignature, dedupeWebhook('message-status', body => ({
+  id: body.MessageSid && `${body.MessageSid}:${body.MessageStatus}`,
+  resourceSid: body.MessageSid
+})), async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+    const permission = await CallPermission.findOne({
+      where: { twilioMessageSid: MessageSid }
+    });
+
+    if (!permission) {
+      return res.status(200).send('OK');
+    }
+
+    if (['delivered', 'read'].includes(MessageStatus)) {
+      await permissionEvents.record(permission, MessageStatus, {
+        source: 'twilio',
+        data: { messageSid: MessageSid }
+      });
+    } else if (['failed', 'undelivered'].includes(MessageStatus) && permission.status === 'pending') {
+      // The request never reached the contact, so it doesn't count towards the limits
+      await permission.update({ status: 'failed' });
+      await permissionEvents.record(permission, 'failed', {
+        source: 'twilio',
+        data: { reason: MessageStatus, messageSid: MessageSid, errorCode: ErrorCode }
+      });
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Failed to process message status:', error);
+    res.status(500).send('Error');
+  }
+});
+
 // Handle conference status updates
-router.post('/conference/:callId', validateTwilioSignature, async (req, res) => {
+router.post('/conference/:callId', validateTwilioSignature, dedupeWebhook('conference', body => ({
+  id: body.ConferenceSid && body.SequenceNumber && `${body.ConferenceSid}:${body.SequenceNumber}`,
+  resourceSid: body.ConferenceSid,
+  sequenceNumber: parseInt(body.SequenceNumber)
+})), async (req, res) => {
   try {
     const { callId } = req.params;
-    const { StatusCallbackEvent, ConferenceSid, FriendlyName } = req.body;
+    const { StatusCallbackEvent, ConferenceSid, CallSid } = req.body;
 
     const call = await Call.findByPk(callId);
     if (call) {
+      await callControl.handleConferenceEvent(call, req.body);
+
+      // The call is in progress once an agent's leg joins the customer
+      if (StatusCallbackEvent === 'participant-join' && CallSid && CallSid !== call.twilioCallSid) {
+        await callState.transition(call, 'in-progress', {
+          source: 'twilio',
+          message: 'Agent connected to the call',
+          data: { conferenceSid: ConferenceSid, agentCallSid: CallSid }
+        });
+      }
+
       await CallLog.create({
         callId: call.id,
         event: `conference_${StatusCallbackEvent}`,
@@ -403,7 +584,10 @@ router.post('/conference/:callId', validateTwilioSignature, async (req, res) =>
 });
 
 // Handle recording status updates
-router.post('/recording/:callId', validateTwilioSignature, async (req, res) => {
+router.post('/recording/:callId', validateTwilioSignature, dedupeWebhook('recording', body => ({
+  id: body.RecordingSid && `${body.RecordingSid}:${body.RecordingStatus}`,
+  resourceSid: body.RecordingSid
+})), async (req, res) => {
   try {
     const { callId } = req.params;
     const { RecordingSid, RecordingUrl, RecordingStatus } = req.body;
@@ -420,6 +604,17 @@ router.post('/recording/:callId', validateTwilioSignature, async (req, res) => {
         message: `Recording ${RecordingStatus}`
       });
 
+      // Recordings usually finish after the call was logged
+      await crmOutbox.syncCall(call);
+
+      if (RecordingStatus === 'completed' && RecordingSid) {
+        const recording = await recordings.capture(call, req.body);
+        // Don't keep Twilio waiting on the download; failures are retried by the recordings job
+        recordings.download(recording).catch(error => {
+          logger.error('Failed to download recording:', { callId, recordingSid: RecordingSid, error: error.message });
+        });
+      }
+
       logger.info('Recording updated:', {
         callId,
         recordingSid: RecordingSid,
@@ -435,4 +630,50 @@ router.post('/recording/:callId', validateTwilioSignature, async (req, res) => {
   }
 });
 
+// Handle voicemail recording status updates
+router.post('/voicemail/:callId/recording', validateTwilioSignature, dedupeWebhook('voicemail-recording', body => ({
+  id: body.RecordingSid && `${body.RecordingSid}:${body.RecordingStatus}`,
+  resourceSid: body.RecordingSid
+})), async (req, res) => {
+  try {
+    const call = await Call.findByPk(req.params.callId);
+    if (call && req.body.RecordingSid) {
+      await voicemailService.handleRecording(call, req.body);
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Failed to handle voicemail recording webhook:', error);
+    res.status(500).send('Error');
+  }
+});
+
+// Handle voicemail transcriptions
+router.post('/voicemail/:callId/transcription', validateTwilioSignature, dedupeWebhook('voicemail-transcription', body => ({
+  id: (body.TranscriptionSid || body.RecordingSid) && `${body.TranscriptionSid || body.RecordingSid}:${body.TranscriptionStatus}`,
+  resourceSid: body.RecordingSid
+})), async (req, res) => {
+  try {
+    const call = await Call.findByPk(req.params.callId);
+    if (call && req.body.RecordingSid) {
+      await voicemailService.handleTranscription(call, req.body);
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Failed to handle voicemail transcription webhook:', error);
+    res.status(500).send('Error');
+  }
+});
+
+// End the call once the caller has left a voicemail
+router.post('/voicemail/:callId/complete', validateTwilioSignature, (req, res) => {
+  const twiml = new VoiceResponse();
+  twiml.say('Thank you for your message. Goodbye.');
+  twiml.hangup();
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
 module.exports = router;
\ No newline at end of file
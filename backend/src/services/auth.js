@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { Agent } = require('../models');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthService {
+  constructor() {
+    this.jwtSecret = config.security.jwtSecret;
+    this.jwtExpiresIn = config.security.jwtExpiresIn;
+    this.issuer = 'whatsapp-hubspot-calling';
+  }
+
+  // Hash a password as "salt:hash" using scrypt
+  hashPassword(password) {
+    return new Promise((resolve, reject) => {
+      const salt = crypto.randomBytes(16).toString('hex');
+      crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+        if (error) return reject(error);
+        resolve(`${salt}:${derivedKey.toString('hex')}`);
+      });
+    });
+  }
+
+  // Verify a password against a stored scrypt hash
+  verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+      const [salt, hash] = (storedHash || '').split(':');
+      if (!salt || !hash) return resolve(false);
+
+      crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+        if (error) return reject(error);
+
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === derivedKey.length &&
+                crypto.timingSafeEqual(expected, derivedKey));
+      });
+    });
+  }
+
+  // Issue a signed session token for an agent
+  issueToken(agent) {
+    return jwt.sign(
+      {
+        role: agent.role,
+        identity: agent.twilioIdentity
+      },
+      this.jwtSecret,
+      {
+        subject: agent.id,
+        issuer: this.issuer,
+        expiresIn: this.jwtExpiresIn
+      }
+    );
+  }
+
+  // Verify a session token and return its payload
+  verifyToken(token) {
+    return jwt.verify(token, this.jwtSecret, { issuer: this.issuer });
+  }
+
+  // Check credentials and return the agent, or null if they don't match
+  async authenticate(email, password) {
+    const agent = await Agent.findOne({
+      where: { email: email.toLowerCase() }
+    });
+
+    if (!agent || !agent.active) {
+      return null;
+    }
+
+    const isValid = await this.verifyPassword(password, agent.passwordHash);
+    if (!isValid) {
+      return null;
+    }
+
+    await agent.update({ lastLoginAt: new Date() });
+    return agent;
+  }
+
+  // Create an agent with a hashed password
+  async createAgent({ email, name, password, role, team, portalId }) {
+    const passwordHash = await this.hashPassword(password);
+
+    const agent = await Agent.create({
+      email: email.toLowerCase(),
+      name,
+      role,
+      team,
+      portalId,
+      passwordHash
+    });
+
+    logger.info('Agent created:', { agentId: agent.id, role: agent.role });
+    return agent;
+  }
+
+  // Create the first admin from configuration when no agents exist yet
+  async ensureBootstrapAdmin() {
+    const { email, password } = config.security.bootstrapAdmin;
+
+    const agentCount = await Agent.count();
+    if (agentCount > 0) {
+      return null;
+    }
+
+    if (!email || !password) {
+      logger.warn('No agents exist and ADMIN_EMAIL/ADMIN_PASSWORD are not set - nobody can log in');
+      return null;
+    }
+
+    return this.createAgent({
+      email,
+      name: 'Administrator',
+      password,
+      role: 'admin'
+    });
+  }
+}
+
+module.exports = new AuthService();
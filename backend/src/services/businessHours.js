@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const voicemailService = require('./voicemail');
+const { Schedule } = require('../models');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "09:30" -> 570
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class BusinessHoursService {
+  // Date, weekday and minute of the day for an instant in a timezone
+  getLocalTime(timezone, at = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).reduce((result, part) => {
+      result[part.type] = part.value;
+      return result;
+    }, {});
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: parts.weekday.toLowerCase(),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  // Whether a schedule is open at an instant; holidays override the weekly hours
+  isOpen(schedule, at = new Date()) {
+    const local = this.getLocalTime(schedule.timezone, at);
+
+    const holiday = (schedule.holidays || []).find(h => h.date === local.date);
+    const intervals = holiday
+      ? holiday.hours || []
+      : (schedule.weeklyHours || {})[local.day] || [];
+
+    return intervals.some(({ open, close }) =>
+      local.minutes >= toMinutes(open) && local.minutes < toMinutes(close)
+    );
+  }
+
+  // Schedule that applies to a queue, falling back to the default schedule.
+  // Returns null when no schedule is configured, meaning always open.
+  async resolveSchedule(queue) {
+    if (queue && queue.scheduleId) {
+      const schedule = await Schedule.findByPk(queue.scheduleId);
+      if (schedule) return schedule;
+    }
+
+    return Schedule.findOne({ where: { isDefault: true } });
+  }
+
+  // TwiML for a call that arrives while the schedule is closed
+  async handleAfterHours(schedule, { call, baseUrl }) {
+    switch (schedule.afterHoursAction) {
+      case 'voicemail':
+        return voicemailService.generateTwiML(call, baseUrl);
+
+      case 'whatsapp_reply':
+        try {
+          await twilioService.sendWhatsAppMessage(call.fromNumber, schedule.whatsappReplyMessage);
+        } catch (error) {
+          logger.error('Failed to send after-hours WhatsApp reply:', error);
+        }
+        return twilioService.generateTwiML('unavailable', { message: schedule.closedMessage });
+
+      case 'closed_message':
+      default:
+        return twilioService.generateTwiML('unavailable', { message: schedule.closedMessage });
+    }
+  }
+
+  // Validate a weeklyHours object, returning an error message or null
+  validateWeeklyHours(weeklyHours) {
+    if (typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+      return 'Weekly hours must be an object keyed by day';
+    }
+
+    for (const [day, intervals] of Object.entries(weeklyHours)) {
+      if (!DAYS.includes(day)) {
+        return `Unknown day: ${day}`;
+      }
+      const error = this.validateIntervals(intervals);
+      if (error) return `${day}: ${error}`;
+    }
+
+    return null;
+  }
+
+  // Validate a holidays array, returning an error message or null
+  validateHolidays(holidays) {
+    if (!Array.isArray(holidays)) {
+      return 'Holidays must be an array';
+    }
+
+    for (const holiday of holidays) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday.date || '')) {
+        return 'Holiday date must be YYYY-MM-DD';
+      }
+      const error = holiday.hours ? this.validateIntervals(holiday.hours) : null;
+      if (error) return `${holiday.date}: ${error}`;
+    }
+
+    return null;
+  }
+
+  validateIntervals(intervals) {
+    if (!Array.isArray(intervals)) {
+      return 'hours must be an array of { open, close }';
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+    for (const { open, close } of intervals) {
+      if (!timePattern.test(open || '') || !timePattern.test(close || '')) {
+        return 'times must be HH:MM';
+      }
+      if (toMinutes(open) >= toMinutes(close)) {
+        return `open (${open}) must be before close (${close})`;
+      }
+    }
+
+    return null;
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new BusinessHoursService();
@@ -0,0 +1,277 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const eventBus = require('./eventBus');
+const { CallLog } = require('../models');
+
+const ENDED_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Error carrying the HTTP status a route should answer with
+const controlError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.name = 'CallControlError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Live-call controls on the conference that bridges the customer and agents.
+// Conference and participant SIDs are kept in the call metadata:
+// conferenceSid, agentCallSid (the assigned agent's leg) and participants,
+// keyed by call SID: { role: 'customer' | 'agent', agentId, onHold, muted }.
+// Recording state is in metadata.recording (see services/recordingPolicy.js).
+class CallControlService {
+  // Put the customer on hold with hold music, or resume the conversation
+  async setHold(call, agent, hold) {
+    this.assertControllable(call);
+
+    await this.updateCustomerHold(call, hold);
+
+    await CallLog.create({
+      callId: call.id,
+      event: hold ? 'call_held' : 'call_resumed',
+      source: 'system',
+      message: hold ? 'Customer put on hold' : 'Customer taken off hold',
+      data: { agentId: agent.id }
+    });
+
+    eventBus.publish('call_hold_changed', {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      onHold: hold,
+      agentId: agent.id
+    }, eventBus.audienceForCall(call));
+
+    return this.getState(call);
+  }
+
+  // Mute or unmute the requesting agent's own leg
+  async setMute(call, agent, muted) {
+    this.assertControllable(call);
+
+    const callSid = this.getAgentLeg(call, agent);
+    if (!callSid) {
+      throw controlError('You are not connected to this call');
+    }
+
+    await twilioService.updateConferenceParticipant(call.metadata.conferenceSid, callSid, { muted });
+    await this.updateParticipant(call, callSid, { role: 'agent', agentId: agent.id, muted });
+
+    await CallLog.create({
+      callId: call.id,
+      event: muted ? 'agent_muted' : 'agent_unmuted',
+      source: 'system',
+      message: muted ? 'Agent muted' : 'Agent unmuted',
+      data: { agentId: agent.id }
+    });
+
+    eventBus.publish('call_mute_changed', {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      agentId: agent.id,
+      muted
+    }, eventBus.audienceForCall(call));
+
+    return this.getState(call);
+  }
+
+  // Start recording the customer's leg, once the recording policy allows it.
+  // The recording is delivered to the recording webhook like any other.
+  async startRecording(call, baseUrl) {
+    const twilioRecording = await twilioService.startCallRecording(
+      call.twilioCallSid,
+      `${baseUrl}/webhook/recording/${call.id}`
+    );
+
+    await this.updateRecording(call, { status: 'recording', recordingSid: twilioRecording.sid });
+
+    await CallLog.create({
+      callId: call.id,
+      event: 'recording_started',
+      source: 'system',
+      message: 'Call recording started',
+      data: { recordingSid: twilioRecording.sid, reason: call.metadata.recording.reason }
+    });
+  }
+
+  // Pause the recording (e.g. while the customer reads out card details) or resume it
+  async setRecordingPaused(call, agent, paused) {
+    if (ENDED_STATUSES.includes(call.status)) {
+      throw controlError('Call has already ended');
+    }
+
+    const recording = call.metadata.recording || {};
+    if (!['recording', 'paused'].includes(recording.status)) {
+      throw controlError('Call is not being recorded');
+    }
+    if (recording.status === (paused ? 'paused' : 'recording')) {
+      return this.getState(call);
+    }
+
+    await twilioService.updateCallRecording(call.twilioCallSid, 'Twilio.CURRENT', paused
+      ? { status: 'paused', pauseBehavior: config.recordings.policy.pauseBehavior }
+      : { status: 'in-progress' });
+    await this.updateRecording(call, { status: paused ? 'paused' : 'recording' });
+
+    await CallLog.create({
+      callId: call.id,
+      event: paused ? 'recording_paused' : 'recording_resumed',
+      source: 'system',
+      message: paused ? 'Call recording paused' : 'Call recording resumed',
+      data: { agentId: agent.id }
+    });
+
+    eventBus.publish('call_recording_changed', {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      recording: paused ? 'paused' : 'recording',
+      agentId: agent.id
+    }, eventBus.audienceForCall(call));
+
+    return this.getState(call);
+  }
+
+  async updateRecording(call, changes) {
+    await call.update({
+      metadata: { ...call.metadata, recording: { ...call.metadata.recording, ...changes } }
+    });
+  }
+
+  // Hold or unhold the customer's leg without logging; also used by transfers and queues
+  async updateCustomerHold(call, hold) {
+    await twilioService.updateConferenceParticipant(call.metadata.conferenceSid, call.twilioCallSid, {
+      hold,
+      holdUrl: hold ? config.twilio.holdMusicUrl : undefined
+    });
+
+    await this.updateParticipant(call, call.twilioCallSid, { role: 'customer', onHold: hold });
+  }
+
+  // Track conference and participant SIDs from Twilio's conference status callbacks
+  async handleConferenceEvent(call, { StatusCallbackEvent, ConferenceSid, CallSid }) {
+    const metadata = { ...call.metadata };
+    const participants = { ...(metadata.participants || {}) };
+
+    if (ConferenceSid && !metadata.conferenceSid) {
+      metadata.conferenceSid = ConferenceSid;
+    }
+
+    switch (StatusCallbackEvent) {
+      case 'participant-join':
+        participants[CallSid] = {
+          ...this.identifyParticipant(metadata, call, CallSid),
+          onHold: false,
+          muted: false
+        };
+
+        // The first other leg to join is the agent who took the call
+        if (CallSid !== call.twilioCallSid && !metadata.agentCallSid && !this.isTransferTarget(metadata, CallSid)) {
+          metadata.agentCallSid = CallSid;
+        }
+        break;
+
+      case 'participant-leave':
+        delete participants[CallSid];
+        if (metadata.agentCallSid === CallSid) {
+          metadata.agentCallSid = null;
+        }
+        break;
+
+      case 'participant-hold':
+      case 'participant-unhold':
+        if (participants[CallSid]) {
+          participants[CallSid] = { ...participants[CallSid], onHold: StatusCallbackEvent === 'participant-hold' };
+        }
+        break;
+
+      case 'participant-mute':
+      case 'participant-unmute':
+        if (participants[CallSid]) {
+          participants[CallSid] = { ...participants[CallSid], muted: StatusCallbackEvent === 'participant-mute' };
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    await call.update({ metadata: { ...metadata, participants } });
+
+    logger.debug('Conference state updated:', {
+      callId: call.id,
+      event: StatusCallbackEvent,
+      conferenceSid: metadata.conferenceSid,
+      participants: Object.keys(participants).length
+    });
+  }
+
+  // Hold, mute and recording state of a call, for API responses
+  getState(call) {
+    const metadata = call.metadata || {};
+    const participants = metadata.participants || {};
+    const customer = participants[call.twilioCallSid] || {};
+
+    return {
+      callId: call.id,
+      conferenceSid: metadata.conferenceSid || null,
+      onHold: Boolean(customer.onHold),
+      recording: (metadata.recording && metadata.recording.status) || 'off',
+      participants: Object.entries(participants).map(([callSid, participant]) => ({
+        callSid,
+        ...participant
+      }))
+    };
+  }
+
+  // The conference leg belonging to an agent: the assigned agent's, or the
+  // consulted agent's during a warm transfer
+  getAgentLeg(call, agent) {
+    const { agentId, agentCallSid, transfer } = call.metadata;
+
+    if (agentId === agent.id && agentCallSid) {
+      return agentCallSid;
+    }
+
+    if (transfer && transfer.status === 'consulting' && transfer.to.agentId === agent.id) {
+      return transfer.targetCallSid;
+    }
+
+    return null;
+  }
+
+  identifyParticipant(metadata, call, callSid) {
+    if (callSid === call.twilioCallSid) {
+      return { role: 'customer', agentId: null };
+    }
+
+    if (this.isTransferTarget(metadata, callSid)) {
+      return { role: 'agent', agentId: metadata.transfer.to.agentId };
+    }
+
+    return { role: 'agent', agentId: metadata.agentId || null };
+  }
+
+  isTransferTarget(metadata, callSid) {
+    return Boolean(metadata.transfer && metadata.transfer.targetCallSid === callSid);
+  }
+
+  assertControllable(call) {
+    if (ENDED_STATUSES.includes(call.status)) {
+      throw controlError('Call has already ended');
+    }
+
+    if (!call.metadata || !call.metadata.conferenceSid) {
+      throw controlError('Conference has not started yet');
+    }
+  }
+
+  async updateParticipant(call, callSid, changes) {
+    const participants = { ...(call.metadata.participants || {}) };
+    participants[callSid] = { ...participants[callSid], ...changes };
+
+    await call.update({
+      metadata: { ...call.metadata, participants }
+    });
+  }
+}
+
+module.exports = new CallControlService();
@@ -0,0 +1,101 @@
+const logger = require('../utils/logger');
+const callState = require('./callState');
+const eventBus = require('./eventBus');
+const crmOutbox = require('./crmOutbox');
+const callQueue = require('./callQueue');
+const callTransfer = require('./callTransfer');
+const compliance = require('./compliance');
+const permissionEvents = require('./permissionEvents');
+const webhookReceipts = require('./webhookReceipts');
+const { CallLog, CallPermission } = require('../models');
+
+// Log every transition on the call
+const logTransition = ({ call, from, to, source, message, data }) => CallLog.create({
+  callId: call.id,
+  event: 'status_update',
+  status: to,
+  source,
+  message,
+  data: { ...data, from, to }
+});
+
+// Track consecutive missed calls against the permission an outbound call used
+const trackPermission = async ({ call, to, source }) => {
+  if (call.direction !== 'outbound' || !['answered', 'no-answer'].includes(to)) return;
+
+  const permission = await CallPermission.findOne({
+    where: {
+      contactId: call.contactId,
+      whatsappNumber: call.toNumber.replace('whatsapp:', ''),
+      status: 'approved'
+    },
+    order: [['createdAt', 'DESC']]
+  });
+  if (!permission) return;
+
+  if (to === 'answered') {
+    await webhookReceipts.once(`permission-answered:${call.id}`, () => permission.resetMissedCalls());
+    return;
+  }
+
+  await webhookReceipts.once(`permission-missed:${call.id}`, async () => {
+    const expired = await compliance.registerMissedCall(permission);
+
+    await permissionEvents.record(permission, 'missed', {
+      source,
+      data: { callId: call.id, consecutiveMissedCalls: permission.consecutiveMissedCalls }
+    });
+    if (expired) {
+      await permissionEvents.record(permission, 'expired', {
+        source,
+        data: { reason: 'consecutive_missed_calls', callId: call.id }
+      });
+    }
+  });
+};
+
+// Release the queue entry, transfer and agent once the call is over
+const releaseCall = async ({ call, to }) => {
+  if (!callState.isFinal(to)) return;
+
+  await webhookReceipts.once(`call-ended:${call.id}`, async () => {
+    await callTransfer.handleCallEnded(call);
+    await callQueue.handleCallEnded(call);
+  });
+};
+
+// Log ended calls to HubSpot as call objects, through the outbox
+const syncHubSpot = async ({ call, to }) => {
+  if (!callState.isFinal(to)) return;
+
+  await crmOutbox.syncCall(call);
+};
+
+// Push the new status to the agent and anyone watching the call
+const publishTransition = ({ call, from, to, at }) => {
+  eventBus.publish('call_status_update', {
+    callId: call.id,
+    twilioCallSid: call.twilioCallSid,
+    status: to,
+    previousStatus: from,
+    changedAt: at,
+    ringingAt: call.ringingAt,
+    answeredAt: call.answeredAt,
+    endTime: call.endTime,
+    duration: call.duration,
+    recordingUrl: call.recordingUrl
+  }, eventBus.audienceForCall(call));
+};
+
+// Subscribe the call side effects to status transitions; called once at startup
+const register = () => {
+  callState.onTransition('call-log', logTransition);
+  callState.onTransition('permissions', trackPermission);
+  callState.onTransition('call-ended', releaseCall);
+  callState.onTransition('hubspot', syncHubSpot);
+  callState.onTransition('realtime', publishTransition);
+
+  logger.info('Call lifecycle handlers registered');
+};
+
+module.exports = { register };
@@ -0,0 +1,577 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const eventBus = require('./eventBus');
+const voicemailService = require('./voicemail');
+const callControl = require('./callControl');
+const { Queue, QueueEntry, Call, CallLog, Agent, HubSpotContact } = require('../models');
+
+// Agents who have never finished a call count as idle the longest
+const idleSince = (agent) => (agent.lastCallEndedAt ? new Date(agent.lastCallEndedAt).getTime() : 0);
+
+const defaultPortal = () => (config.hubspot.portalId ? String(config.hubspot.portalId) : null);
+
+// HubSpot portal a queue's callers belong to; queues without one (like the
+// default queue) take the default portal's calls
+const queuePortal = (queue) => queue.portalId || defaultPortal();
+
+// Records of a portal, plus those without one (see canAccessPortal)
+const inPortal = (portalId) => (portalId ? { portalId: { [Op.or]: [null, portalId] } } : {});
+
+class CallQueueService {
+  constructor() {
+    // entryId -> { agentIds, ringTimer } for entries currently ringing agents
+    this.offers = new Map();
+    // entryId -> timer that overflows the entry when maxWaitTime is reached
+    this.waitTimers = new Map();
+    // Queue operations run one at a time so offers never race each other
+    this.lock = Promise.resolve();
+  }
+
+  run(operation) {
+    const result = this.lock.then(operation);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  // Create the default queue if needed and pick up entries left waiting by a restart
+  start() {
+    eventBus.on('agent_connected', (agentId) => {
+      this.handleAgentAvailable(agentId).catch(error => {
+        logger.error('Failed to dispatch queued calls for agent:', error);
+      });
+    });
+
+    return this.run(async () => {
+      const defaultQueue = await Queue.findOne({ where: { isDefault: true, ...inPortal(defaultPortal()) } });
+      if (!defaultQueue) {
+        await Queue.create({
+          name: 'Default',
+          team: config.realtime.inboundTeam,
+          strategy: config.queues.defaultStrategy,
+          ringTimeout: config.queues.ringTimeout,
+          maxWaitTime: config.queues.maxWaitTime,
+          isDefault: true
+        });
+        logger.info('Default inbound queue created');
+      }
+
+      const pending = await QueueEntry.findAll({
+        where: { status: { [Op.in]: ['waiting', 'ringing'] } },
+        include: [{ model: Queue, as: 'queue' }],
+        order: [['enqueuedAt', 'ASC']]
+      });
+
+      for (const entry of pending) {
+        await entry.update({ status: 'waiting' });
+        this.scheduleOverflow(entry, entry.queue);
+        await this.offer(entry, entry.queue);
+      }
+    });
+  }
+
+  // Queue for an inbound number, falling back to the default portal's default queue
+  async resolveQueue(toNumber) {
+    const cleanNumber = (toNumber || '').replace('whatsapp:', '');
+
+    const queue = await Queue.findOne({
+      where: { whatsappNumber: cleanNumber, active: true }
+    });
+
+    return queue || Queue.findOne({ where: { isDefault: true, active: true, ...inPortal(defaultPortal()) } });
+  }
+
+  // Put an inbound call in a queue and start offering it to agents. onHold marks
+  // a caller held in an already running conference (e.g. after a transfer), who
+  // is taken off hold when an agent answers.
+  enqueue(call, queue, { baseUrl, onHold = false }) {
+    return this.run(async () => {
+      const entry = await QueueEntry.create({
+        queueId: queue.id,
+        callId: call.id,
+        metadata: { baseUrl, onHold }
+      });
+
+      await CallLog.create({
+        callId: call.id,
+        event: 'queue_entered',
+        status: 'waiting',
+        source: 'system',
+        message: `Caller entered queue ${queue.name}`,
+        data: { queueId: queue.id, queueEntryId: entry.id, strategy: queue.strategy }
+      });
+
+      this.scheduleOverflow(entry, queue);
+      await this.publishQueueUpdate(queue);
+      await this.offer(entry, queue);
+
+      return entry;
+    });
+  }
+
+  // Agent answers a call that is ringing them
+  accept(entryId, agent) {
+    return this.run(async () => {
+      const offer = this.offers.get(entryId);
+      if (!offer || !offer.agentIds.includes(agent.id)) {
+        return null;
+      }
+
+      this.clearOffer(entryId);
+
+      const entry = await QueueEntry.findByPk(entryId, {
+        include: [
+          { model: Queue, as: 'queue' },
+          { model: Call, as: 'call' }
+        ]
+      });
+      if (!entry || entry.status !== 'ringing') {
+        return null;
+      }
+
+      const { call, queue } = entry;
+
+      let participant;
+      try {
+        participant = await twilioService.addParticipantToConference(
+          call.metadata.conferenceName,
+          `client:${agent.twilioIdentity}`,
+          {
+            startConferenceOnEnter: true,
+            endConferenceOnExit: false
+          }
+        );
+
+        if (entry.metadata.onHold) {
+          await callControl.updateCustomerHold(call, false);
+        }
+      } catch (error) {
+        logger.error('Failed to connect agent to queued call:', {
+          queueEntryId: entryId,
+          agentId: agent.id,
+          error: error.message
+        });
+
+        await entry.update({ status: 'waiting' });
+        await this.offer(entry, queue);
+        return null;
+      }
+
+      this.clearWaitTimer(entryId);
+
+      await entry.update({
+        status: 'connected',
+        agentId: agent.id,
+        answeredAt: new Date()
+      });
+      await agent.update({ availability: 'busy' });
+      await call.update({
+        metadata: {
+          ...call.metadata,
+          agentId: agent.id,
+          agentIdentity: agent.twilioIdentity,
+          agentCallSid: participant.callSid
+        }
+      });
+
+      await CallLog.create({
+        callId: call.id,
+        event: 'queue_connected',
+        status: 'connected',
+        source: 'system',
+        message: `Call answered by agent after ${entry.getWaitSeconds()}s in queue`,
+        data: { queueId: queue.id, queueEntryId: entry.id, agentId: agent.id, attempts: entry.attempts }
+      });
+
+      const otherAgentIds = offer.agentIds.filter(id => id !== agent.id);
+      if (otherAgentIds.length > 0) {
+        eventBus.publish('call_offer_taken', {
+          queueEntryId: entry.id,
+          callId: call.id,
+          agentId: agent.id
+        }, { agentIds: otherAgentIds });
+      }
+
+      eventBus.publish('call_assigned', {
+        queueEntryId: entry.id,
+        callId: call.id,
+        twilioCallSid: call.twilioCallSid,
+        conferenceName: call.metadata.conferenceName,
+        agentId: agent.id
+      }, eventBus.audienceForCall(call));
+
+      await this.publishQueueUpdate(queue);
+      return entry;
+    });
+  }
+
+  // Agent rejects a call that is ringing them; ring the next agent once nobody is left ringing
+  decline(entryId, agent) {
+    return this.run(async () => {
+      const offer = this.offers.get(entryId);
+      if (!offer || !offer.agentIds.includes(agent.id)) {
+        return false;
+      }
+
+      const entry = await QueueEntry.findByPk(entryId, {
+        include: [{ model: Queue, as: 'queue' }]
+      });
+
+      // The entry is gone or over (e.g. the caller hung up); the offer is stale
+      if (!entry || !entry.isActive()) {
+        this.clearOffer(entryId);
+        return false;
+      }
+
+      offer.agentIds = offer.agentIds.filter(id => id !== agent.id);
+
+      await CallLog.create({
+        callId: entry.callId,
+        event: 'queue_offer_declined',
+        source: 'system',
+        message: 'Agent declined queued call',
+        data: { queueEntryId: entryId, agentId: agent.id }
+      });
+
+      if (offer.agentIds.length === 0) {
+        this.clearOffer(entryId);
+        await entry.update({ status: 'waiting' });
+        await this.offer(entry, entry.queue);
+      }
+
+      return true;
+    });
+  }
+
+  // Caller hung up or the call finished; clean up the queue entry and free the agent
+  handleCallEnded(call) {
+    return this.run(async () => {
+      const entry = await QueueEntry.findOne({
+        where: { callId: call.id },
+        include: [{ model: Queue, as: 'queue' }],
+        order: [['createdAt', 'DESC']]
+      });
+
+      if (entry && entry.isActive()) {
+        const offer = this.offers.get(entry.id);
+        this.clearOffer(entry.id);
+        this.clearWaitTimer(entry.id);
+
+        await entry.update({ status: 'abandoned', endedAt: new Date() });
+
+        if (offer) {
+          eventBus.publish('call_offer_canceled', {
+            queueEntryId: entry.id,
+            callId: call.id
+          }, { agentIds: offer.agentIds });
+        }
+
+        await CallLog.create({
+          callId: call.id,
+          event: 'queue_abandoned',
+          status: 'abandoned',
+          source: 'system',
+          message: `Caller hung up after ${entry.getWaitSeconds()}s in queue`,
+          data: { queueId: entry.queueId, queueEntryId: entry.id }
+        });
+
+        await this.publishQueueUpdate(entry.queue);
+      } else if (entry && entry.status === 'connected') {
+        await entry.update({ status: 'completed', endedAt: new Date() });
+      }
+
+      const agentId = call.metadata && call.metadata.agentId;
+      const agent = agentId ? await Agent.findByPk(agentId) : null;
+      if (agent) {
+        await agent.update({
+          lastCallEndedAt: new Date(),
+          availability: agent.availability === 'busy' ? 'available' : agent.availability
+        });
+        await this.dispatchTeam(agent.team);
+      }
+    });
+  }
+
+  // Offer waiting calls to an agent who just became available
+  handleAgentAvailable(agentId) {
+    return this.run(async () => {
+      const agent = await Agent.findByPk(agentId);
+      if (agent && agent.active && agent.availability === 'available') {
+        await this.dispatchTeam(agent.team);
+      }
+    });
+  }
+
+  handleRingTimeout(entryId) {
+    return this.run(async () => {
+      const offer = this.offers.get(entryId);
+      if (!offer) return;
+      this.offers.delete(entryId);
+
+      const entry = await QueueEntry.findByPk(entryId, {
+        include: [{ model: Queue, as: 'queue' }]
+      });
+      if (!entry || entry.status !== 'ringing') return;
+
+      eventBus.publish('call_offer_expired', {
+        queueEntryId: entry.id,
+        callId: entry.callId
+      }, { agentIds: offer.agentIds });
+
+      await CallLog.create({
+        callId: entry.callId,
+        event: 'queue_ring_timeout',
+        source: 'system',
+        message: `No answer within ${entry.queue.ringTimeout}s`,
+        data: { queueEntryId: entry.id, agentIds: offer.agentIds }
+      });
+
+      await entry.update({ status: 'waiting' });
+      await this.offer(entry, entry.queue);
+    }).catch(error => {
+      logger.error('Failed to handle queue ring timeout:', error);
+    });
+  }
+
+  handleMaxWait(entryId) {
+    return this.run(async () => {
+      this.waitTimers.delete(entryId);
+
+      const entry = await QueueEntry.findByPk(entryId, {
+        include: [{ model: Queue, as: 'queue' }]
+      });
+
+      if (entry && entry.isActive()) {
+        await this.overflow(entry, entry.queue, 'max_wait_exceeded');
+      }
+    }).catch(error => {
+      logger.error('Failed to overflow queued call:', error);
+    });
+  }
+
+  // Ring the next agent(s) for an entry, or overflow once every available agent has let it ring out
+  async offer(entry, queue) {
+    if (this.offers.has(entry.id) || !entry.isActive()) {
+      return;
+    }
+
+    const candidates = await this.getCandidates(queue);
+    const untried = candidates.filter(agent => !entry.offeredAgentIds.includes(agent.id));
+
+    if (untried.length === 0) {
+      if (candidates.length > 0) {
+        await this.overflow(entry, queue, 'no_answer');
+      }
+      // Otherwise nobody is free yet; the caller keeps waiting until an agent
+      // becomes available or maxWaitTime is reached
+      return;
+    }
+
+    const agentIds = this.selectAgents(queue, untried).map(agent => agent.id);
+
+    await entry.update({
+      status: 'ringing',
+      offeredAgentIds: [...entry.offeredAgentIds, ...agentIds],
+      attempts: entry.attempts + 1
+    });
+
+    if (queue.strategy === 'round-robin') {
+      await queue.update({ lastAssignedAgentId: agentIds[0] });
+    }
+
+    const ringTimer = setTimeout(() => this.handleRingTimeout(entry.id), queue.ringTimeout * 1000);
+    this.offers.set(entry.id, { agentIds, ringTimer });
+
+    const call = await Call.findByPk(entry.callId, {
+      include: [{ model: HubSpotContact, as: 'contact' }]
+    });
+
+    eventBus.publish('incoming_call', {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      queueEntryId: entry.id,
+      queue: {
+        id: queue.id,
+        name: queue.name
+      },
+      contact: {
+        id: call.contact.id,
+        name: call.contact.getFullName(),
+        whatsappNumber: call.contact.whatsappNumber
+      },
+      from: call.fromNumber,
+      position: await this.getPosition(entry),
+      waitSeconds: entry.getWaitSeconds(),
+      ringTimeout: queue.ringTimeout
+    }, { agentIds });
+
+    logger.info('Queued call offered:', {
+      queueEntryId: entry.id,
+      strategy: queue.strategy,
+      agentIds,
+      attempt: entry.attempts
+    });
+  }
+
+  // Agents of the queue's portal and team who are available, connected and
+  // not already ringing
+  async getCandidates(queue) {
+    const agents = await Agent.findAll({
+      where: {
+        team: queue.team,
+        active: true,
+        availability: 'available',
+        ...inPortal(queuePortal(queue))
+      }
+    });
+
+    const ringing = new Set();
+    this.offers.forEach(offer => offer.agentIds.forEach(id => ringing.add(id)));
+
+    return agents.filter(agent => eventBus.isAgentConnected(agent.id) && !ringing.has(agent.id));
+  }
+
+  // Pick the agents to ring next according to the queue strategy
+  selectAgents(queue, candidates) {
+    switch (queue.strategy) {
+      case 'simultaneous':
+        return candidates;
+
+      case 'longest-idle':
+        return [...candidates].sort((a, b) => idleSince(a) - idleSince(b)).slice(0, 1);
+
+      case 'round-robin':
+      default: {
+        const ordered = [...candidates].sort((a, b) => a.id.localeCompare(b.id));
+        const lastId = queue.lastAssignedAgentId || '';
+        return [ordered.find(agent => agent.id > lastId) || ordered[0]];
+      }
+    }
+  }
+
+  // Send the caller to voicemail (or hang up) when nobody answers
+  async overflow(entry, queue, reason) {
+    this.clearOffer(entry.id);
+    this.clearWaitTimer(entry.id);
+
+    await entry.update({
+      status: 'overflowed',
+      endedAt: new Date(),
+      metadata: { ...entry.metadata, overflowReason: reason }
+    });
+
+    const call = await Call.findByPk(entry.callId);
+
+    const twiml = queue.overflowAction === 'voicemail'
+      ? voicemailService.generateTwiML(call, entry.metadata.baseUrl)
+      : twilioService.generateTwiML('unavailable');
+
+    try {
+      await twilioService.updateCall(call.twilioCallSid, { twiml });
+    } catch (error) {
+      logger.error('Failed to redirect overflowed call:', error);
+    }
+
+    await CallLog.create({
+      callId: call.id,
+      event: 'queue_overflow',
+      status: 'overflowed',
+      source: 'system',
+      message: `Queue overflow (${reason}), caller sent to ${queue.overflowAction}`,
+      data: { queueId: queue.id, queueEntryId: entry.id, reason, attempts: entry.attempts }
+    });
+
+    eventBus.toSupervisors('queue_overflow', {
+      queueId: queue.id,
+      queueEntryId: entry.id,
+      callId: call.id,
+      reason,
+      action: queue.overflowAction
+    }, queuePortal(queue));
+
+    await this.publishQueueUpdate(queue);
+  }
+
+  async dispatchTeam(team) {
+    const queues = await Queue.findAll({ where: { team, active: true } });
+
+    for (const queue of queues) {
+      const waiting = await QueueEntry.findAll({
+        where: { queueId: queue.id, status: 'waiting' },
+        order: [['enqueuedAt', 'ASC']]
+      });
+
+      for (const entry of waiting) {
+        await this.offer(entry, queue);
+      }
+    }
+  }
+
+  async getPosition(entry) {
+    const ahead = await QueueEntry.count({
+      where: {
+        queueId: entry.queueId,
+        status: { [Op.in]: ['waiting', 'ringing'] },
+        enqueuedAt: { [Op.lt]: entry.enqueuedAt }
+      }
+    });
+
+    return ahead + 1;
+  }
+
+  // Callers currently in a queue, in answer order, with position and wait time
+  async getWaitingEntries(queue) {
+    const entries = await QueueEntry.findAll({
+      where: {
+        queueId: queue.id,
+        status: { [Op.in]: ['waiting', 'ringing'] }
+      },
+      order: [['enqueuedAt', 'ASC']]
+    });
+
+    return entries.map((entry, index) => ({
+      queueEntryId: entry.id,
+      callId: entry.callId,
+      status: entry.status,
+      position: index + 1,
+      waitSeconds: entry.getWaitSeconds(),
+      attempts: entry.attempts,
+      enqueuedAt: entry.enqueuedAt
+    }));
+  }
+
+  async publishQueueUpdate(queue) {
+    eventBus.publish('queue_update', {
+      queueId: queue.id,
+      name: queue.name,
+      waiting: await this.getWaitingEntries(queue)
+    }, {
+      portalId: queuePortal(queue),
+      teams: [queue.team],
+      supervisors: true
+    });
+  }
+
+  scheduleOverflow(entry, queue) {
+    const elapsed = Date.now() - new Date(entry.enqueuedAt).getTime();
+    const remaining = Math.max(queue.maxWaitTime * 1000 - elapsed, 0);
+
+    this.waitTimers.set(entry.id, setTimeout(() => this.handleMaxWait(entry.id), remaining));
+  }
+
+  clearOffer(entryId) {
+    const offer = this.offers.get(entryId);
+    if (offer) {
+      clearTimeout(offer.ringTimer);
+      this.offers.delete(entryId);
+    }
+  }
+
+  clearWaitTimer(entryId) {
+    clearTimeout(this.waitTimers.get(entryId));
+    this.waitTimers.delete(entryId);
+  }
+}
+
+module.exports = new CallQueueService();
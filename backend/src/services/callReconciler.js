@@ -0,0 +1,104 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const callState = require('./callState');
+const { Call } = require('../models');
+
+const OPEN_STATUSES = ['initiated', 'ringing', 'answered', 'in-progress'];
+
+// Twilio's error code for a resource that doesn't exist
+const TWILIO_NOT_FOUND = 20404;
+
+// Catches calls up with Twilio when status callbacks were lost. Fixes go
+// through callState.transition like any callback would, so the call log,
+// permission counters, queue cleanup and HubSpot logging all happen.
+class CallReconcilerService {
+  // Apply Twilio's view of one call; resolves to the transition result, or
+  // null when Twilio has nothing newer. `via` says how the change was found.
+  async reconcile(call, { source = 'reconciler', via = 'reconciled' } = {}) {
+    if (!call.twilioCallSid) {
+      // The server stopped between creating the call and placing it
+      return callState.transition(call, 'failed', {
+        source,
+        message: `Call never reached Twilio (${via})`,
+        data: { reason: 'no_twilio_call' }
+      });
+    }
+
+    let twilioCall;
+    try {
+      twilioCall = await twilioService.getCall(call.twilioCallSid);
+    } catch (error) {
+      if (error.code !== TWILIO_NOT_FOUND) throw error;
+
+      return callState.transition(call, 'failed', {
+        source,
+        message: `Call not found at Twilio (${via})`,
+        data: { reason: 'twilio_call_not_found' }
+      });
+    }
+
+    const status = callState.fromTwilio(twilioCall.status);
+    if (!status || !callState.canTransition(call.status, status)) {
+      return null;
+    }
+
+    return callState.transition(call, status, {
+      source,
+      at: twilioCall.endTime && callState.isFinal(status) ? new Date(twilioCall.endTime) : new Date(),
+      duration: twilioCall.duration,
+      message: `Call status changed from ${call.status} to ${status} (${via})`,
+      data: { twilioStatus: twilioCall.status }
+    });
+  }
+
+  // Reconcile calls that haven't changed status for a while; resolves to a
+  // report of what was fixed. A call is checked at most once per
+  // CALL_RECONCILE_AFTER_MS, so long calls that are still live at Twilio
+  // don't keep the rest out of the batch.
+  async reconcileStale(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - config.callReconciler.staleAfterMs);
+    const calls = await Call.findAll({
+      where: {
+        status: { [Op.in]: OPEN_STATUSES },
+        updatedAt: { [Op.lte]: staleBefore },
+        reconciledAt: { [Op.or]: [null, { [Op.lte]: staleBefore }] }
+      },
+      order: [['updatedAt', 'ASC']],
+      limit: config.callReconciler.batchSize
+    });
+
+    const fixed = [];
+    let failures = 0;
+
+    for (const call of calls) {
+      const from = call.status;
+      try {
+        const result = await this.reconcile(call);
+        if (result && result.changed) {
+          fixed.push({ callId: call.id, twilioCallSid: call.twilioCallSid, from, to: result.to });
+        }
+      } catch (error) {
+        failures++;
+        logger.warn('Failed to reconcile call:', { callId: call.id, twilioCallSid: call.twilioCallSid, error: error.message });
+      }
+
+      // Silent, so the call doesn't look like it changed
+      await Call.update({ reconciledAt: now }, { where: { id: call.id }, silent: true });
+    }
+
+    if (fixed.length > 0) {
+      logger.info('Reconciled stale calls:', { checked: calls.length, fixed: fixed.length, failures });
+    }
+
+    return {
+      checked: calls.length,
+      fixed,
+      failures,
+      remaining: calls.length === config.callReconciler.batchSize
+    };
+  }
+}
+
+module.exports = new CallReconcilerService();
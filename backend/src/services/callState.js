@@ -0,0 +1,155 @@
+const logger = require('../utils/logger');
+const { Call } = require('../models');
+
+// Where a call can go from each status. 'answered' means the customer's leg
+// was picked up (Twilio's in-progress); 'in-progress' means an agent is
+// connected to the conference. Final statuses have no way out.
+const TRANSITIONS = {
+  initiated: ['ringing', 'answered', 'in-progress', 'completed', 'failed', 'busy', 'no-answer', 'canceled'],
+  ringing: ['answered', 'in-progress', 'completed', 'failed', 'busy', 'no-answer', 'canceled'],
+  answered: ['in-progress', 'completed', 'failed'],
+  'in-progress': ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  busy: [],
+  'no-answer': [],
+  canceled: []
+};
+
+const FINAL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+const PHASE_RANK = {
+  initiated: 0,
+  ringing: 1,
+  answered: 2,
+  'in-progress': 3
+};
+
+// Twilio call statuses in the model's terms
+const TWILIO_STATUSES = {
+  queued: 'initiated',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'answered',
+  answered: 'answered',
+  completed: 'completed',
+  busy: 'busy',
+  failed: 'failed',
+  'no-answer': 'no-answer',
+  canceled: 'canceled'
+};
+
+const rank = (status) => (FINAL_STATUSES.includes(status) ? 4 : PHASE_RANK[status]);
+
+// Moves calls between statuses. Every status change goes through transition(),
+// which stamps the phase, computes the duration and hands one event to each
+// registered handler (call log, HubSpot, queue cleanup, WebSocket pushes).
+class CallStateMachine {
+  constructor() {
+    // [{ name, handler }], run in registration order
+    this.handlers = [];
+  }
+
+  // Run handler(event) after every transition; event is
+  // { call, from, to, at, source, message, data }
+  onTransition(name, handler) {
+    this.handlers.push({ name, handler });
+  }
+
+  fromTwilio(twilioStatus) {
+    return TWILIO_STATUSES[twilioStatus] || null;
+  }
+
+  isFinal(status) {
+    return FINAL_STATUSES.includes(status);
+  }
+
+  canTransition(from, to) {
+    return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+  }
+
+  // Why a call can't move to a status, or null if it can
+  rejectionReason(from, to) {
+    if (!TRANSITIONS[to]) return 'unknown_status';
+    if (from === to) return 'unchanged';
+    if (this.isFinal(from)) return 'already_final';
+    if (rank(to) < rank(from)) return 'status_regression';
+    return this.canTransition(from, to) ? null : 'invalid_transition';
+  }
+
+  // Talk time in seconds, from answer to end. Twilio's own figure wins when
+  // it reports one, since callbacks can arrive well after the call ended.
+  computeDuration(call, endedAt, reportedDuration) {
+    const reported = parseInt(reportedDuration);
+    if (Number.isInteger(reported)) {
+      return reported;
+    }
+
+    if (!call.answeredAt) {
+      return 0;
+    }
+
+    return Math.max(0, Math.round((endedAt - new Date(call.answeredAt)) / 1000));
+  }
+
+  // Apply a status change. Resolves to { changed, from, to, reason }; a
+  // rejected or lost transition leaves the call untouched and emits nothing.
+  async transition(call, to, { source = 'system', at = new Date(), duration, message, data = {}, updates: extra = {} } = {}) {
+    const from = call.status;
+    const reason = this.rejectionReason(from, to);
+    if (reason) {
+      return { changed: false, from, to, reason };
+    }
+
+    const updates = { ...extra, status: to };
+    if (to === 'ringing') {
+      updates.ringingAt = at;
+    }
+    if ((to === 'answered' || to === 'in-progress') && !call.answeredAt) {
+      updates.answeredAt = at;
+    }
+    if (this.isFinal(to)) {
+      updates.endTime = at;
+      updates.duration = this.computeDuration(call, at, duration);
+    }
+
+    // Only the writer that still sees the old status wins, so concurrent
+    // webhooks, polling and API calls can't emit the same transition twice
+    const [updated] = await Call.update(updates, { where: { id: call.id, status: from } });
+    await call.reload();
+    if (updated === 0) {
+      return { changed: false, from, to, reason: 'concurrent_update' };
+    }
+
+    const event = {
+      call,
+      from,
+      to,
+      at,
+      source,
+      message: message || `Call status changed from ${from} to ${to}`,
+      data
+    };
+
+    for (const { name, handler } of this.handlers) {
+      try {
+        await handler(event);
+      } catch (error) {
+        logger.error('Call transition handler failed:', {
+          handler: name,
+          callId: call.id,
+          from,
+          to,
+          error: error.message
+        });
+      }
+    }
+
+    return { changed: true, from, to, reason: null };
+  }
+}
+
+module.exports = new CallStateMachine();
+module.exports.CallStateMachine = CallStateMachine;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
@@ -0,0 +1,348 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const eventBus = require('./eventBus');
+const callQueue = require('./callQueue');
+const callControl = require('./callControl');
+const { canAccessPortal } = require('../middleware/portal');
+const { Agent, Queue, QueueEntry, CallLog } = require('../models');
+
+const ENDED_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Error carrying the HTTP status a route should answer with
+const transferError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.name = 'TransferError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+class CallTransferService {
+  // Hand a connected call to another agent or queue. Blind transfers complete
+  // immediately; warm transfers put the customer on hold while the current
+  // agent consults the target, until complete() or cancel() is called.
+  async transfer(call, agent, { type, targetAgentId, targetQueueId }, { baseUrl }) {
+    this.assertTransferable(call);
+
+    if (type === 'warm') {
+      return this.startWarm(call, agent, await this.getTargetAgent(call, targetAgentId));
+    }
+
+    if (targetQueueId) {
+      return this.blindToQueue(call, agent, await this.getTargetQueue(call, targetQueueId), baseUrl);
+    }
+
+    return this.blindToAgent(call, agent, await this.getTargetAgent(call, targetAgentId));
+  }
+
+  async blindToAgent(call, agent, target) {
+    const participant = await twilioService.addParticipantToConference(
+      call.metadata.conferenceName,
+      `client:${target.twilioIdentity}`,
+      {
+        startConferenceOnEnter: true,
+        endConferenceOnExit: false
+      }
+    );
+
+    const record = await this.buildRecord(call, agent, 'blind', { agent: target });
+    await target.update({ availability: 'busy' });
+    await this.releaseCurrentAgent(call);
+
+    await this.logStep(call, 'transfer_initiated', `Blind transfer to ${target.name} started`, record);
+    await this.finish(call, { ...record, status: 'completed' }, {
+      agentId: target.id,
+      agentIdentity: target.twilioIdentity,
+      agentCallSid: participant.callSid
+    });
+
+    eventBus.publish('call_assigned', {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      conferenceName: call.metadata.conferenceName,
+      agentId: target.id,
+      transferId: record.id
+    }, eventBus.audienceForCall(call));
+
+    return this.getLastTransfer(call);
+  }
+
+  async blindToQueue(call, agent, queue, baseUrl) {
+    // Without an agent in the conference the caller would hear silence
+    await this.setCustomerHold(call, true);
+
+    const record = await this.buildRecord(call, agent, 'blind', { queue });
+    await this.releaseCurrentAgent(call);
+
+    await QueueEntry.update(
+      { status: 'completed', endedAt: new Date() },
+      { where: { callId: call.id, status: 'connected' } }
+    );
+
+    await this.logStep(call, 'transfer_initiated', `Blind transfer to queue ${queue.name} started`, record);
+    await this.finish(call, { ...record, status: 'completed' }, {
+      agentId: null,
+      agentIdentity: null,
+      agentCallSid: null,
+      queueId: queue.id
+    });
+
+    await callQueue.enqueue(call, queue, { baseUrl, onHold: true });
+    return this.getLastTransfer(call);
+  }
+
+  async startWarm(call, agent, target) {
+    await this.setCustomerHold(call, true);
+
+    let participant;
+    try {
+      participant = await twilioService.addParticipantToConference(
+        call.metadata.conferenceName,
+        `client:${target.twilioIdentity}`,
+        {
+          startConferenceOnEnter: true,
+          endConferenceOnExit: false
+        }
+      );
+    } catch (error) {
+      await this.setCustomerHold(call, false);
+      throw error;
+    }
+
+    await target.update({ availability: 'busy' });
+
+    const record = {
+      ...(await this.buildRecord(call, agent, 'warm', { agent: target })),
+      status: 'consulting',
+      targetCallSid: participant.callSid
+    };
+
+    await call.update({
+      metadata: { ...call.metadata, transfer: record }
+    });
+
+    await this.logStep(call, 'transfer_initiated', `Warm transfer to ${target.name} started, customer on hold`, record);
+    this.publish(call, 'transfer_initiated', record);
+
+    return record;
+  }
+
+  // Warm transfer: the consulting agent drops off and the target takes the customer
+  async complete(call) {
+    const transfer = this.getConsultation(call);
+
+    await this.setCustomerHold(call, false);
+    await this.releaseCurrentAgent(call);
+
+    const target = await Agent.findByPk(transfer.to.agentId);
+    await this.finish(call, { ...transfer, status: 'completed' }, {
+      agentId: transfer.to.agentId,
+      agentIdentity: target ? target.twilioIdentity : null,
+      agentCallSid: transfer.targetCallSid
+    });
+
+    return this.getLastTransfer(call);
+  }
+
+  // Warm transfer: drop the target and give the customer back to the consulting agent
+  async cancel(call) {
+    const transfer = this.getConsultation(call);
+
+    try {
+      await twilioService.removeConferenceParticipant(call.metadata.conferenceSid, transfer.targetCallSid);
+    } catch (error) {
+      logger.warn('Failed to remove transfer target from conference:', {
+        callId: call.id,
+        transferId: transfer.id,
+        error: error.message
+      });
+    }
+
+    await this.setCustomerHold(call, false);
+    await this.freeAgent(transfer.to.agentId);
+
+    await this.finish(call, { ...transfer, status: 'canceled' }, {});
+
+    return this.getLastTransfer(call);
+  }
+
+  // Close a consultation that was still open when the customer hung up
+  async handleCallEnded(call) {
+    const transfer = call.metadata && call.metadata.transfer;
+    if (!transfer || transfer.status !== 'consulting') {
+      return;
+    }
+
+    await this.freeAgent(transfer.to.agentId);
+    await this.finish(call, { ...transfer, status: 'canceled', reason: 'call_ended' }, {});
+  }
+
+  getLastTransfer(call) {
+    const transfers = call.metadata.transfers || [];
+    return transfers[transfers.length - 1];
+  }
+
+  assertTransferable(call) {
+    if (ENDED_STATUSES.includes(call.status)) {
+      throw transferError('Call has already ended');
+    }
+
+    if (!call.metadata || !call.metadata.conferenceName) {
+      throw transferError('Call is not connected through a conference');
+    }
+
+    if (call.metadata.transfer && call.metadata.transfer.status === 'consulting') {
+      throw transferError('A transfer is already in progress for this call');
+    }
+  }
+
+  getConsultation(call) {
+    const transfer = call.metadata && call.metadata.transfer;
+    if (!transfer || transfer.status !== 'consulting') {
+      throw transferError('No warm transfer is in progress for this call');
+    }
+    return transfer;
+  }
+
+  // Calls are only handed to agents and queues of the call's portal
+  async getTargetAgent(call, targetAgentId) {
+    const target = await Agent.findByPk(targetAgentId);
+    if (!target || !target.active || !canAccessPortal(target, call.portalId)) {
+      throw transferError('Target agent not found', 404);
+    }
+
+    if (target.id === call.metadata.agentId) {
+      throw transferError('Call is already assigned to this agent', 400);
+    }
+
+    if (target.availability !== 'available') {
+      throw transferError('Target agent is not available');
+    }
+
+    return target;
+  }
+
+  async getTargetQueue(call, targetQueueId) {
+    const queue = await Queue.findByPk(targetQueueId);
+    if (!queue || !queue.active || !canAccessPortal(queue, call.portalId)) {
+      throw transferError('Target queue not found', 404);
+    }
+    return queue;
+  }
+
+  async buildRecord(call, agent, type, { agent: targetAgent, queue }) {
+    const current = call.metadata.agentId ? await Agent.findByPk(call.metadata.agentId) : null;
+
+    return {
+      id: uuidv4(),
+      type,
+      from: {
+        agentId: current ? current.id : null,
+        agentName: current ? current.name : null
+      },
+      to: queue
+        ? { queueId: queue.id, queueName: queue.name }
+        : { agentId: targetAgent.id, agentName: targetAgent.name },
+      initiatedBy: agent.id,
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  // Hold or unhold the customer's leg, with hold music while they wait
+  async setCustomerHold(call, hold) {
+    if (!call.metadata.conferenceSid) {
+      throw transferError('Conference has not started yet');
+    }
+
+    await callControl.updateCustomerHold(call, hold);
+  }
+
+  // Drop the assigned agent's leg from the conference and make them available again
+  async releaseCurrentAgent(call) {
+    const { agentId, agentCallSid, conferenceSid } = call.metadata;
+
+    if (agentCallSid && conferenceSid) {
+      try {
+        await twilioService.removeConferenceParticipant(conferenceSid, agentCallSid);
+      } catch (error) {
+        logger.warn('Failed to remove transferring agent from conference:', {
+          callId: call.id,
+          agentId,
+          error: error.message
+        });
+      }
+    }
+
+    if (agentId) {
+      // Clients disconnect their own leg when Twilio did not know it
+      eventBus.toAgent(agentId, 'call_released', { callId: call.id, reason: 'transferred' });
+      await this.freeAgent(agentId);
+    }
+  }
+
+  async freeAgent(agentId) {
+    const agent = await Agent.findByPk(agentId);
+    if (!agent) return;
+
+    await agent.update({
+      lastCallEndedAt: new Date(),
+      availability: agent.availability === 'busy' ? 'available' : agent.availability
+    });
+    await callQueue.handleAgentAvailable(agent.id);
+  }
+
+  // Close a transfer: move it to the call's history, apply the metadata changes
+  // that come with it, then log and announce the outcome
+  async finish(call, transfer, metadataChanges) {
+    const record = { ...transfer, endedAt: new Date().toISOString() };
+    const transfers = [...(call.metadata.transfers || []), record];
+
+    await call.update({
+      metadata: {
+        ...call.metadata,
+        ...metadataChanges,
+        transfer: null,
+        transfers
+      }
+    });
+
+    const target = record.to.queueName ? `queue ${record.to.queueName}` : record.to.agentName;
+    const event = record.status === 'completed' ? 'transfer_completed' : 'transfer_canceled';
+    await this.logStep(call, event, `Transfer to ${target} ${record.status}`, record);
+    this.publish(call, event, record);
+
+    logger.info('Call transfer finished:', {
+      callId: call.id,
+      transferId: record.id,
+      type: record.type,
+      status: record.status
+    });
+  }
+
+  logStep(call, event, message, transfer) {
+    return CallLog.create({
+      callId: call.id,
+      event,
+      source: 'system',
+      message,
+      data: { transfer }
+    });
+  }
+
+  // Tell the call's audience, the target agent and the agent who started the transfer
+  publish(call, type, transfer) {
+    const audience = eventBus.audienceForCall(call);
+    const agentIds = [transfer.to.agentId, transfer.from.agentId, transfer.initiatedBy].filter(Boolean);
+
+    eventBus.publish(type, {
+      callId: call.id,
+      twilioCallSid: call.twilioCallSid,
+      transfer
+    }, {
+      ...audience,
+      agentIds: [...new Set([...audience.agentIds, ...agentIds])]
+    });
+  }
+}
+
+module.exports = new CallTransferService();
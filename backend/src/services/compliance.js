@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { Call, CallPermission, SuppressedNumber } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a call or permission request was refused
+const REASONS = {
+  NUMBER_SUPPRESSED: 'NUMBER_SUPPRESSED',
+  NO_PERMISSION: 'NO_PERMISSION',
+  PERMISSION_PENDING: 'PERMISSION_PENDING',
+  PERMISSION_ALREADY_GRANTED: 'PERMISSION_ALREADY_GRANTED',
+  PERMISSION_EXPIRED: 'PERMISSION_EXPIRED',
+  PERMISSION_REVOKED: 'PERMISSION_REVOKED',
+  PERMISSION_CALLS_EXHAUSTED: 'PERMISSION_CALLS_EXHAUSTED',
+  TOO_MANY_MISSED_CALLS: 'TOO_MANY_MISSED_CALLS',
+  DAILY_CALL_LIMIT: 'DAILY_CALL_LIMIT',
+  DAILY_REQUEST_LIMIT: 'DAILY_REQUEST_LIMIT',
+  WEEKLY_REQUEST_LIMIT: 'WEEKLY_REQUEST_LIMIT'
+};
+
+// Refusals that a new permission request can fix
+const PERMISSION_REASONS = [
+  REASONS.NO_PERMISSION,
+  REASONS.PERMISSION_EXPIRED,
+  REASONS.PERMISSION_REVOKED,
+  REASONS.PERMISSION_CALLS_EXHAUSTED,
+  REASONS.TOO_MANY_MISSED_CALLS
+];
+
+const allow = () => ({ allowed: true, reason: null, message: null, nextAllowedAt: null });
+
+const deny = (reason, message, nextAllowedAt = null) => ({
+  allowed: false,
+  reason,
+  message,
+  nextAllowedAt
+});
+
+// Once `limit` events have happened inside the window, the next one is
+// allowed when the oldest event that still counts leaves the window. A
+// window ends just before its start, so an event exactly `windowMs` old no
+// longer counts.
+// `times` must be sorted oldest first.
+const nextSlot = (times, limit, windowMs) =>
+  new Date(new Date(times[times.length - limit]).getTime() + windowMs);
+
+// Twilio's WhatsApp Business Calling rules, in one place. Every check returns
+// a decision: { allowed, reason, message, nextAllowedAt }. The clock and the
+// limits can be injected, so the rules can be exercised at any point in time.
+class ComplianceService {
+  constructor({ clock = () => new Date(), limits = config.callPermissions } = {}) {
+    this.clock = clock;
+    this.limits = limits;
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  // Whether a permission row on its own still allows a call (no database access)
+  checkPermission(permission) {
+    if (!permission || permission.status === 'rejected' || permission.status === 'failed') {
+      return deny(REASONS.NO_PERMISSION, 'The contact has not granted call permission');
+    }
+
+    if (permission.status === 'revoked') {
+      return deny(REASONS.PERMISSION_REVOKED, 'The contact revoked call permission');
+    }
+
+    const expiredReason = permission.metadata && permission.metadata.expiredReason;
+    if (permission.status === 'expired' && expiredReason === REASONS.TOO_MANY_MISSED_CALLS) {
+      return deny(REASONS.TOO_MANY_MISSED_CALLS, `${permission.consecutiveMissedCalls} calls in a row went unanswered`);
+    }
+
+    if (permission.status === 'expired' || (permission.expiresAt && this.now() >= new Date(permission.expiresAt))) {
+      return deny(REASONS.PERMISSION_EXPIRED, 'Call permission has expired');
+    }
+
+    if (permission.status === 'pending') {
+      return deny(REASONS.PERMISSION_PENDING, 'The permission request has not been answered yet');
+    }
+
+    if (permission.maxCalls !== null && permission.callsUsed >= permission.maxCalls) {
+      return deny(REASONS.PERMISSION_CALLS_EXHAUSTED, `All ${permission.maxCalls} calls allowed by this permission have been used`);
+    }
+
+    if (permission.consecutiveMissedCalls >= this.limits.consecutiveMissedCallLimit) {
+      return deny(REASONS.TOO_MANY_MISSED_CALLS, `${permission.consecutiveMissedCalls} calls in a row went unanswered`);
+    }
+
+    return allow();
+  }
+
+  // Whether an agent may place a WhatsApp call to a contact's number now.
+  // The decision carries the permission the call would use.
+  async checkCall(contactId, whatsappNumber) {
+    const suppressed = await this.checkSuppression(whatsappNumber);
+    if (suppressed) {
+      return { ...suppressed, permission: null };
+    }
+
+    const permission = await this.findCurrentPermission(contactId, whatsappNumber);
+
+    const decision = this.checkPermission(permission);
+    if (!decision.allowed) {
+      return { ...decision, permission };
+    }
+
+    const since = new Date(this.now().getTime() - DAY_MS);
+    const recentCalls = await Call.findAll({
+      where: {
+        contactId,
+        direction: 'outbound',
+        toNumber: { [Op.in]: [whatsappNumber, `whatsapp:${whatsappNumber}`] },
+        status: { [Op.ne]: 'failed' },
+        createdAt: { [Op.gt]: since }
+      },
+      attributes: ['createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    if (recentCalls.length >= this.limits.maxCallsPerDay) {
+      return {
+        ...deny(
+          REASONS.DAILY_CALL_LIMIT,
+          `At most ${this.limits.maxCallsPerDay} calls per day may be made to this number`,
+          nextSlot(recentCalls.map(call => call.createdAt), this.limits.maxCallsPerDay, DAY_MS)
+        ),
+        permission
+      };
+    }
+
+    return { ...allow(), permission };
+  }
+
+  // Whether a new call permission request may be sent to a contact's number now
+  async checkPermissionRequest(contactId, whatsappNumber) {
+    const suppressed = await this.checkSuppression(whatsappNumber);
+    if (suppressed) {
+      return suppressed;
+    }
+
+    const now = this.now();
+    const open = await CallPermission.findAll({
+      where: { contactId, whatsappNumber, status: { [Op.in]: ['approved', 'pending'] } },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const granted = open.find(permission => permission.status === 'approved' && this.checkPermission(permission).allowed);
+    if (granted) {
+      return deny(
+        REASONS.PERMISSION_ALREADY_GRANTED,
+        granted.type === 'permanent'
+          ? 'The contact has granted permanent call permission'
+          : 'The contact has already granted call permission',
+        granted.expiresAt ? new Date(granted.expiresAt) : null
+      );
+    }
+
+    const pending = open.find(permission => permission.status === 'pending' && now < new Date(permission.expiresAt));
+    if (pending) {
+      return deny(REASONS.PERMISSION_PENDING, 'A permission request is already waiting for an answer', new Date(pending.expiresAt));
+    }
+
+    // Requests that never reached WhatsApp don't count towards the limits
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+    const requests = await CallPermission.findAll({
+      where: {
+        contactId,
+        whatsappNumber,
+        status: { [Op.ne]: 'failed' },
+        requestedAt: { [Op.gt]: weekAgo }
+      },
+      attributes: ['requestedAt'],
+      order: [['requestedAt', 'ASC']]
+    });
+    const times = requests.map(request => request.requestedAt);
+
+    const dayAgo = new Date(now.getTime() - DAY_MS);
+    const today = times.filter(time => new Date(time) > dayAgo);
+
+    if (today.length >= this.limits.maxRequestsPerDay) {
+      return deny(
+        REASONS.DAILY_REQUEST_LIMIT,
+        `At most ${this.limits.maxRequestsPerDay} permission request(s) per day may be sent to this number`,
+        nextSlot(today, this.limits.maxRequestsPerDay, DAY_MS)
+      );
+    }
+
+    if (times.length >= this.limits.maxRequestsPer7Days) {
+      return deny(
+        REASONS.WEEKLY_REQUEST_LIMIT,
+        `At most ${this.limits.maxRequestsPer7Days} permission requests per 7 days may be sent to this number`,
+        nextSlot(times, this.limits.maxRequestsPer7Days, 7 * DAY_MS)
+      );
+    }
+
+    return allow();
+  }
+
+  // Numbers that opted out can't be called or asked for permission until an
+  // admin lifts the suppression. Resolves to a refusal, or null.
+  async checkSuppression(whatsappNumber) {
+    const suppression = await SuppressedNumber.findOne({
+      where: { whatsappNumber, liftedAt: null }
+    });
+
+    return suppression
+      ? deny(REASONS.NUMBER_SUPPRESSED, 'The contact opted out of WhatsApp calls')
+      : null;
+  }
+
+  // When a permission granted (or requested) now stops being valid
+  getPermissionExpiry() {
+    return new Date(this.now().getTime() + this.limits.permissionExpiryDays * DAY_MS);
+  }
+
+  // Expiry and call cap for a grant given now. WhatsApp may state when a
+  // temporary grant ends; it is used when sooner than our own limit.
+  getGrantLimits(type, expiresAt = null) {
+    if (type === 'permanent') {
+      return { type, expiresAt: null, maxCalls: null };
+    }
+
+    const limit = this.getPermissionExpiry();
+    return {
+      type: 'temporary',
+      expiresAt: expiresAt && expiresAt < limit ? expiresAt : limit,
+      maxCalls: this.limits.maxCallsPerPermission
+    };
+  }
+
+  // Count an unanswered call against a permission, expiring it once the
+  // consecutive missed call limit is reached. Returns true if it expired.
+  async registerMissedCall(permission) {
+    await permission.increment('consecutiveMissedCalls');
+    await permission.reload();
+
+    if (permission.consecutiveMissedCalls < this.limits.consecutiveMissedCallLimit) {
+      return false;
+    }
+
+    await permission.update({
+      status: 'expired',
+      metadata: {
+        ...permission.metadata,
+        expiredAt: this.now().toISOString(),
+        expiredReason: REASONS.TOO_MANY_MISSED_CALLS
+      }
+    });
+
+    logger.info('Call permission expired after consecutive missed calls:', {
+      permissionId: permission.id,
+      missedCalls: permission.consecutiveMissedCalls
+    });
+    return true;
+  }
+
+  // Whether a refusal can be resolved by asking the contact for permission
+  requiresPermission(decision) {
+    return PERMISSION_REASONS.includes(decision.reason);
+  }
+
+  // Permission a call to the number would use: the latest approval, else the
+  // latest request still waiting for an answer, else the latest one of any
+  // status so a refusal can say why it no longer applies
+  async findCurrentPermission(contactId, whatsappNumber) {
+    for (const status of ['approved', 'pending']) {
+      const permission = await CallPermission.findOne({
+        where: { contactId, whatsappNumber, status },
+        order: [['createdAt', 'DESC']]
+      });
+      if (permission) return permission;
+    }
+
+    return CallPermission.findOne({
+      where: { contactId, whatsappNumber },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = new ComplianceService();
+module.exports.ComplianceService = ComplianceService;
+module.exports.REASONS = REASONS;
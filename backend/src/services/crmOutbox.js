@@ -0,0 +1,415 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const hubspotService = require('./hubspot');
+const hubspotCalls = require('./hubspotCalls');
+const { CrmOutboxItem, Call, HubSpotContact } = require('../models');
+
+// HubSpot answers these when retrying the same request can't succeed
+const PERMANENT_STATUS_CODES = [400, 403, 404, 409, 422];
+
+// Error carrying the HTTP status a route should answer with
+const outboxError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.name = 'CrmOutboxError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Case-insensitive response header from a HubSpot API error
+const header = (error, name) => {
+  const headers = error.headers || {};
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+// Every write to HubSpot goes through this outbox. An item is stored before
+// it is attempted, so a HubSpot outage, rate limit or expired token delays
+// the write instead of losing it. Failed items are retried with exponential
+// backoff; after CRM_OUTBOX_MAX_ATTEMPTS, or an error retrying can't fix,
+// they are dead-lettered until an admin redrives them.
+class CrmOutboxService {
+  constructor() {
+    this.pausedUntil = new Map(); // portalId -> Date a rate limit lifts
+    this.draining = false;
+    this.drainAgain = false;
+  }
+
+  // Queue a call object create/update; the call's state when the item runs
+  // is what gets written, so one pending sync per call is enough
+  async syncCall(call) {
+    const pending = await CrmOutboxItem.findOne({
+      where: { operation: 'call.sync', resourceType: 'call', resourceId: call.id, status: 'pending' }
+    });
+    if (pending) {
+      return pending;
+    }
+
+    return this.enqueue('call.sync', { callId: call.id }, {
+      portalId: call.portalId,
+      resourceType: 'call',
+      resourceId: call.id
+    });
+  }
+
+  // Create a local contact's HubSpot record (a new inbound caller)
+  async createContact(contact, properties) {
+    return this.enqueue('contact.create', { contactId: contact.id, properties }, {
+      portalId: contact.portalId,
+      resourceType: 'contact',
+      resourceId: contact.id
+    });
+  }
+
+  async updateContact(contact, properties) {
+    return this.enqueue('contact.update', { contactId: contact.id, properties }, {
+      portalId: contact.portalId,
+      resourceType: 'contact',
+      resourceId: contact.id
+    });
+  }
+
+  // Store a write and start working through the outbox
+  async enqueue(operation, payload, { portalId = null, resourceType = null, resourceId = null } = {}) {
+    const item = await CrmOutboxItem.create({
+      portalId: portalId ? String(portalId) : null,
+      operation,
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : null,
+      payload,
+      status: 'pending',
+      nextAttemptAt: new Date()
+    });
+
+    this.drain();
+    return item;
+  }
+
+  // Process due items in the background, once at a time
+  drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+
+    this.draining = true;
+    setImmediate(async () => {
+      try {
+        do {
+          this.drainAgain = false;
+          await this.processDue();
+        } while (this.drainAgain);
+      } catch (error) {
+        logger.error('Failed to process CRM outbox:', error);
+      } finally {
+        this.draining = false;
+      }
+    });
+  }
+
+  // Attempt every item that is due; resolves to a summary of what happened
+  async processDue(now = new Date()) {
+    await this.releaseStuck(now);
+
+    const items = await CrmOutboxItem.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+      order: [['createdAt', 'ASC']],
+      limit: config.crmOutbox.batchSize
+    });
+
+    const summary = { completed: 0, retrying: 0, dead: 0, deferred: 0 };
+
+    for (const item of items) {
+      if (this.isPaused(item.portalId) || await this.isBlocked(item)) {
+        summary.deferred++;
+        continue;
+      }
+
+      const outcome = await this.attempt(item);
+      if (outcome) summary[outcome]++;
+    }
+
+    return { ...summary, remaining: items.length === config.crmOutbox.batchSize };
+  }
+
+  // Run one item; resolves to its new status, or null if another worker took it
+  async attempt(item) {
+    const attempts = item.attempts + 1;
+    const [claimed] = await CrmOutboxItem.update({
+      status: 'processing',
+      attempts,
+      lastAttemptAt: new Date()
+    }, {
+      where: { id: item.id, status: 'pending' }
+    });
+    if (claimed === 0) {
+      return null;
+    }
+    await item.reload();
+
+    try {
+      const result = await this.perform(item);
+
+      await item.update({
+        status: 'completed',
+        attempts,
+        completedAt: new Date(),
+        lastError: null,
+        result: result || {}
+      });
+      return 'completed';
+    } catch (error) {
+      return this.fail(item, attempts, error);
+    }
+  }
+
+  async fail(item, attempts, error) {
+    const lastError = this.describeError(error);
+
+    // A rate limit pauses the whole portal and doesn't count as an attempt
+    if (error.code === 429) {
+      const delayMs = this.rateLimitDelay(error);
+      this.pausedUntil.set(item.portalId, new Date(Date.now() + delayMs));
+
+      await item.update({
+        status: 'pending',
+        attempts: attempts - 1,
+        nextAttemptAt: new Date(Date.now() + delayMs),
+        lastError
+      });
+      logger.warn('HubSpot rate limit hit, pausing CRM outbox for portal:', { portalId: item.portalId, delayMs });
+      return 'retrying';
+    }
+
+    if (error.permanent || PERMANENT_STATUS_CODES.includes(error.code) || attempts >= config.crmOutbox.maxAttempts) {
+      await item.update({ status: 'dead', attempts, lastError });
+      logger.error('CRM outbox item dead-lettered:', {
+        itemId: item.id,
+        operation: item.operation,
+        resourceId: item.resourceId,
+        attempts,
+        error: lastError
+      });
+      return 'dead';
+    }
+
+    const delayMs = this.backoff(attempts);
+    await item.update({
+      status: 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delayMs),
+      lastError
+    });
+    logger.warn('CRM outbox item failed, retrying:', {
+      itemId: item.id,
+      operation: item.operation,
+      attempts,
+      retryInMs: delayMs,
+      error: lastError
+    });
+    return 'retrying';
+  }
+
+  async perform(item) {
+    const { payload } = item;
+
+    switch (item.operation) {
+      case 'call.sync': {
+        const call = await Call.findByPk(payload.callId, {
+          include: [{ model: HubSpotContact, as: 'contact' }]
+        });
+        if (!call) return { skipped: 'call_not_found' };
+
+        this.assertInHubSpot(call.contact);
+        return { hubspotCallId: await hubspotCalls.sync(call) };
+      }
+
+      case 'contact.create': {
+        const contact = await HubSpotContact.findByPk(payload.contactId);
+        if (!contact) return { skipped: 'contact_not_found' };
+        if (contact.hubspotContactId) return { hubspotContactId: contact.hubspotContactId };
+
+        // A retry after a timeout may find the contact created last time
+        const portalService = hubspotService.forPortal(contact.portalId);
+        const [existing] = contact.whatsappNumber
+          ? await portalService.searchContactsByWhatsApp(contact.whatsappNumber)
+          : [];
+        const hubspotContact = existing || await portalService.createContact(payload.properties);
+
+        await contact.update({ hubspotContactId: String(hubspotContact.id) });
+        return { hubspotContactId: contact.hubspotContactId, existing: !!existing };
+      }
+
+      case 'contact.update': {
+        const contact = await HubSpotContact.findByPk(payload.contactId);
+        if (!contact || (contact.metadata && contact.metadata.deleted)) return { skipped: 'contact_not_found' };
+
+        this.assertInHubSpot(contact);
+        await hubspotService.forPortal(contact.portalId).updateContact(contact.hubspotContactId, payload.properties);
+        return { hubspotContactId: contact.hubspotContactId };
+      }
+
+      default: {
+        const error = new Error(`Unknown CRM outbox operation ${item.operation}`);
+        error.permanent = true;
+        throw error;
+      }
+    }
+  }
+
+  // Writes about a contact the outbox hasn't created in HubSpot yet wait for it
+  assertInHubSpot(contact) {
+    if (contact && !contact.hubspotContactId) {
+      throw new Error(`Contact ${contact.id} is not in HubSpot yet`);
+    }
+  }
+
+  // Writes for one record run in the order they were queued
+  async isBlocked(item) {
+    if (!item.resourceId) {
+      return false;
+    }
+
+    const earlier = await CrmOutboxItem.count({
+      where: {
+        id: { [Op.ne]: item.id },
+        resourceType: item.resourceType,
+        resourceId: item.resourceId,
+        status: { [Op.in]: ['pending', 'processing'] },
+        createdAt: { [Op.lt]: item.createdAt }
+      }
+    });
+    return earlier > 0;
+  }
+
+  isPaused(portalId) {
+    const until = this.pausedUntil.get(portalId);
+    if (!until) return false;
+
+    if (until <= new Date()) {
+      this.pausedUntil.delete(portalId);
+      return false;
+    }
+    return true;
+  }
+
+  // How long HubSpot asks us to wait: Retry-After, else the length of the
+  // rate-limit window it reports
+  rateLimitDelay(error) {
+    const retryAfter = parseInt(header(error, 'retry-after'));
+    if (retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+
+    const interval = parseInt(header(error, 'x-hubspot-ratelimit-interval-milliseconds'));
+    return interval > 0 ? interval : config.crmOutbox.rateLimitDelayMs;
+  }
+
+  // Exponential backoff with jitter, so retries of a burst spread out
+  backoff(attempts) {
+    const delay = Math.min(config.crmOutbox.maxDelayMs, config.crmOutbox.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  describeError(error) {
+    if (error.code && error.body) {
+      return `HubSpot ${error.code}: ${error.body.message || JSON.stringify(error.body)}`.slice(0, 2000);
+    }
+    return String(error.message).slice(0, 2000);
+  }
+
+  // Items left processing by a worker that died are retried
+  async releaseStuck(now = new Date()) {
+    const [released] = await CrmOutboxItem.update({
+      status: 'pending',
+      nextAttemptAt: now
+    }, {
+      where: {
+        status: 'processing',
+        lastAttemptAt: { [Op.lt]: new Date(now.getTime() - config.crmOutbox.lockTimeoutMs) }
+      }
+    });
+
+    if (released > 0) {
+      logger.warn('Released stuck CRM outbox items:', { released });
+    }
+    return released;
+  }
+
+  // Try dead (or waiting) items again now, with a fresh attempt count
+  async redrive(id, agent) {
+    const item = await CrmOutboxItem.findByPk(id);
+    if (!item) {
+      throw outboxError('Outbox item not found', 404);
+    }
+    if (!['dead', 'pending'].includes(item.status)) {
+      throw outboxError(`Outbox item is ${item.status}`);
+    }
+
+    await item.update({
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      metadata: { ...item.metadata, redrivenAt: new Date().toISOString(), redrivenBy: agent.id }
+    });
+
+    logger.info('CRM outbox item redriven:', { itemId: item.id, agentId: agent.id });
+    this.drain();
+    return item;
+  }
+
+  // Redrive every dead item, optionally only of one operation or portal
+  async redriveDead({ operation, portalId } = {}, agent) {
+    const items = await CrmOutboxItem.findAll({
+      where: {
+        status: 'dead',
+        ...(operation && { operation }),
+        ...(portalId && { portalId: String(portalId) })
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const item of items) {
+      await this.redrive(item.id, agent);
+    }
+    return items.length;
+  }
+
+  async list({ status, operation, portalId, limit = 50, offset = 0 } = {}) {
+    const where = {
+      ...(status && { status }),
+      ...(operation && { operation }),
+      ...(portalId && { portalId: String(portalId) })
+    };
+
+    const { count, rows } = await CrmOutboxItem.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    return { total: count, items: rows };
+  }
+
+  // Number of items in each status
+  async counts() {
+    const rows = await CrmOutboxItem.findAll({
+      attributes: ['status', [CrmOutboxItem.sequelize.fn('COUNT', CrmOutboxItem.sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const counts = { pending: 0, processing: 0, completed: 0, dead: 0 };
+    rows.forEach(row => { counts[row.status] = Number(row.count); });
+    return counts;
+  }
+
+  // Delete completed items older than the given date; resolves to how many
+  async purgeCompleted(olderThan) {
+    return CrmOutboxItem.destroy({
+      where: { status: 'completed', completedAt: { [Op.lt]: olderThan } }
+    });
+  }
+}
+
+module.exports = new CrmOutboxService();
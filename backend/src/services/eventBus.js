@@ -0,0 +1,306 @@
+const { EventEmitter } = require('events');
+const { URL } = require('url');
+const WebSocket = require('ws');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const authService = require('./auth');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { Agent, Call, HubSpotContact } = require('../models');
+const { canAccessPortal, canControlCall } = require('../middleware/portal');
+
+// WebSocket close code used when a connection fails authentication
+const CLOSE_UNAUTHORIZED = 4401;
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.wss = null;
+    // ws -> { agentId, role, team, portalId, topics, inbox }
+    this.connections = new Map();
+    // Sequence numbers restart with the process, so clients resume against an epoch
+    this.epoch = uuidv4();
+    this.sequence = 0;
+    // Recent events as { message, audience }, oldest first
+    this.buffer = [];
+    this.bufferSize = config.realtime.bufferSize;
+    this.heartbeat = null;
+  }
+
+  // Take over connection handling for a WebSocket server
+  attach(wss) {
+    this.wss = wss;
+    wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), config.realtime.heartbeatIntervalMs);
+    wss.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  // Terminate sockets that did not answer the previous ping, then ping the rest
+  checkHeartbeats() {
+    this.wss.clients.forEach(ws => {
+      if (ws.isAlive === false) {
+        const connection = this.connections.get(ws);
+        logger.info('Terminating unresponsive WebSocket:', {
+          agentId: connection ? connection.agentId : null
+        });
+        this.connections.delete(ws);
+        return ws.terminate();
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }
+
+  // Authenticate a new socket from its "?token=" query parameter and register it
+  async handleConnection(ws, req) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const token = searchParams.get('token');
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    // Hold messages that arrive while the token is being checked
+    const pending = [];
+    const queueMessage = (message) => pending.push(message);
+    ws.on('message', queueMessage);
+
+    let agent;
+    try {
+      const payload = authService.verifyToken(token);
+      agent = await Agent.findByPk(payload.sub);
+    } catch (error) {
+      logger.warn('Rejected WebSocket connection:', { reason: error.message });
+    }
+
+    if (!agent || !agent.active) {
+      ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+      return;
+    }
+
+    const connection = {
+      agentId: agent.id,
+      role: agent.role,
+      team: agent.team,
+      portalId: agent.portalId,
+      topics: new Set(),
+      inbox: Promise.resolve()
+    };
+    this.connections.set(ws, connection);
+
+    logger.info('WebSocket connection established:', { agentId: agent.id });
+
+    // Handle messages one at a time, so a resume sees the subscriptions sent before it
+    const receive = (message) => {
+      connection.inbox = connection.inbox
+        .then(() => this.handleMessage(ws, connection, message))
+        .catch(error => logger.error('Failed to handle WebSocket message:', error));
+    };
+
+    ws.off('message', queueMessage);
+    ws.on('message', receive);
+
+    ws.on('close', () => {
+      this.connections.delete(ws);
+      logger.info('WebSocket connection closed:', { agentId: agent.id });
+    });
+
+    this.send(ws, {
+      type: 'connected',
+      agentId: agent.id,
+      epoch: this.epoch,
+      seq: this.sequence
+    });
+    pending.forEach(receive);
+
+    this.emit('agent_connected', agent.id);
+  }
+
+  // Handle subscribe/unsubscribe requests for watched topics and resume handshakes
+  handleMessage(ws, connection, message) {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      logger.error('Invalid WebSocket message format:', error);
+      return;
+    }
+
+    switch (data.type) {
+      case 'subscribe':
+        return this.subscribe(ws, connection, data.topic);
+
+      case 'unsubscribe':
+        connection.topics.delete(data.topic);
+        this.send(ws, { type: 'unsubscribed', topic: data.topic });
+        break;
+
+      case 'resume':
+        this.resume(ws, connection, data);
+        break;
+
+      default:
+        logger.debug('Unhandled WebSocket message:', { agentId: connection.agentId, type: data.type });
+    }
+  }
+
+  // Watch a topic, if the agent may see what it carries
+  async subscribe(ws, connection, topic) {
+    let allowed = false;
+    try {
+      allowed = typeof topic === 'string' && await this.canWatch(connection, topic);
+    } catch (error) {
+      logger.error('Failed to check WebSocket subscription:', { agentId: connection.agentId, topic, error: error.message });
+    }
+
+    if (!allowed) {
+      logger.warn('WebSocket subscription denied:', { agentId: connection.agentId, topic });
+      this.send(ws, { type: 'subscribe_denied', topic });
+      return;
+    }
+
+    connection.topics.add(topic);
+    this.send(ws, { type: 'subscribed', topic });
+  }
+
+  // Contacts may be watched within the agent's portal, the same as reading
+  // them over the API. Calls may be watched by whoever may control them, and
+  // by the target of a pending transfer.
+  async canWatch(connection, topic) {
+    const match = /^(call|contact):(.+)$/.exec(topic);
+    if (!match || !isUuid(match[2])) {
+      return false;
+    }
+
+    const agent = { id: connection.agentId, role: connection.role, portalId: connection.portalId };
+
+    if (match[1] === 'contact') {
+      const contact = await HubSpotContact.findByPk(match[2]);
+      return Boolean(contact) && canAccessPortal(agent, contact.portalId);
+    }
+
+    const call = await Call.findByPk(match[2]);
+    if (!call) {
+      return false;
+    }
+    const transfer = call.metadata && call.metadata.transfer;
+    return canControlCall(agent, call) || Boolean(transfer && transfer.to.agentId === agent.id);
+  }
+
+  // Replay buffered events the client missed since lastSeq. Clients should
+  // re-subscribe to their topics before resuming, and ignore any event whose
+  // seq they have already seen (live events may overlap the replay).
+  resume(ws, connection, { epoch, lastSeq }) {
+    const oldest = this.buffer.length > 0 ? this.buffer[0].message.seq : this.sequence + 1;
+    const canReplay = epoch === this.epoch &&
+                      Number.isInteger(lastSeq) &&
+                      lastSeq <= this.sequence &&
+                      lastSeq >= oldest - 1;
+
+    if (!canReplay) {
+      logger.info('WebSocket resume not possible, client must resync:', {
+        agentId: connection.agentId,
+        lastSeq
+      });
+      this.send(ws, { type: 'resync_required', epoch: this.epoch, seq: this.sequence });
+      return;
+    }
+
+    const missed = this.buffer.filter(entry =>
+      entry.message.seq > lastSeq && this.matches(connection, entry.audience)
+    );
+    missed.forEach(entry => this.send(ws, entry.message));
+
+    this.send(ws, {
+      type: 'resumed',
+      epoch: this.epoch,
+      seq: this.sequence,
+      replayed: missed.length
+    });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Whether a connection falls within an audience
+  // ({ portalId, agentIds, teams, supervisors, topics }). An audience with a
+  // portal never reaches agents of another portal.
+  matches(connection, audience) {
+    if (!canAccessPortal(connection, audience.portalId)) return false;
+    if (audience.agentIds && audience.agentIds.includes(connection.agentId)) return true;
+    if (audience.teams && audience.teams.includes(connection.team)) return true;
+    if (audience.supervisors && ['supervisor', 'admin'].includes(connection.role)) return true;
+    if (audience.topics && audience.topics.some(topic => connection.topics.has(topic))) return true;
+    return false;
+  }
+
+  // Sequence an event, keep it for replay, and deliver it to every
+  // connection in the audience, once per socket
+  publish(type, payload, audience) {
+    const message = {
+      type,
+      ...payload,
+      seq: ++this.sequence,
+      timestamp: payload.timestamp || new Date().toISOString()
+    };
+
+    this.buffer.push({ message, audience });
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    }
+
+    let delivered = 0;
+    this.connections.forEach((connection, ws) => {
+      if (this.matches(connection, audience)) {
+        this.send(ws, message);
+        delivered++;
+      }
+    });
+
+    logger.debug('Real-time event published:', { type, seq: message.seq, delivered });
+    return delivered;
+  }
+
+  toAgent(agentId, type, payload) {
+    return this.publish(type, payload, { agentIds: [agentId] });
+  }
+
+  toTeam(team, type, payload) {
+    return this.publish(type, payload, { teams: [team] });
+  }
+
+  toSupervisors(type, payload, portalId = null) {
+    return this.publish(type, payload, { portalId, supervisors: true });
+  }
+
+  toWatchers(topic, type, payload) {
+    return this.publish(type, payload, { topics: [topic] });
+  }
+
+  // Audience for events about a call: its agent, its portal's supervisors,
+  // and anyone watching the call or its contact
+  audienceForCall(call) {
+    const agentId = call.metadata && call.metadata.agentId;
+
+    return {
+      portalId: call.portalId,
+      agentIds: agentId ? [agentId] : [],
+      supervisors: true,
+      topics: [`call:${call.id}`, `contact:${call.contactId}`]
+    };
+  }
+
+  isAgentConnected(agentId) {
+    for (const connection of this.connections.values()) {
+      if (connection.agentId === agentId) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new EventBus();
@@ -1,20 +1,65 @@
 const hubspot = require('@hubspot/api-client');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { HubSpotContact, Call } = require('../models');
+const hubspotPortals = require('./hubspotPortals');
+const { HubSpotContact } = require('../models');
 
+// HubSpot-defined association types from a call object
+const CALL_ASSOCIATION_TYPES = {
+  contact: 194,
+  company: 182,
+  deal: 206
+};
+
+// IDs of HubSpot's default call outcomes (hs_call_disposition)
+const CALL_OUTCOMES = {
+  busy: '9d9162e7-6cf3-4944-bf63-4dff82258764',
+  connected: 'f240bbac-87c9-4f6e-bf70-924b57d47db7',
+  left_live_message: 'a4c4c377-d246-4b32-a13b-75a56a4cd0ff',
+  left_voicemail: 'b2cf5968-551e-4856-9783-52b3da59a7d0',
+  no_answer: '73a0d17f-1163-4015-bdd5-ec830791da20',
+  wrong_number: '17b47fee-58de-441e-a44c-c6300d46f273'
+};
+
+// HubSpot API access for one portal. The exported instance serves the
+// default portal (HUBSPOT_PORTAL_ID); forPortal() returns the instance for
+// any other installed portal.
 class HubSpotService {
-  constructor() {
-    this.hubspotClient = new hubspot.Client({
-      accessToken: config.hubspot.privateAppToken
-    });
-    this.portalId = config.hubspot.portalId;
+  constructor(portalId = config.hubspot.portalId) {
+    this.portalId = portalId ? String(portalId) : null;
+    this.hubspotClient = new hubspot.Client();
+    this.accessToken = null;
+    this.portals = new Map();
+  }
+
+  // Service bound to a portal; records without a portal use the default one
+  forPortal(portalId) {
+    const key = portalId ? String(portalId) : this.portalId;
+    if (key === this.portalId) {
+      return this;
+    }
+
+    if (!this.portals.has(key)) {
+      this.portals.set(key, new HubSpotService(key));
+    }
+    return this.portals.get(key);
+  }
+
+  // API client authenticated with the portal's current access token
+  async getClient() {
+    const accessToken = await hubspotPortals.getAccessToken(this.portalId);
+    if (accessToken !== this.accessToken) {
+      this.hubspotClient.setAccessToken(accessToken);
+      this.accessToken = accessToken;
+    }
+    return this.hubspotClient;
   }
 
   // Get portal information
   async getPortalInfo() {
     try {
-      const response = await this.hubspotClient.settings.users.usersApi.getById('me');
+      const client = await this.getClient();
+      const response = await client.settings.users.usersApi.getById('me');
       return response;
     } catch (error) {
       logger.error('Failed to get portal info:', error);
@@ -27,12 +72,14 @@ class HubSpotService {
     try {
       const defaultProperties = [
         'email', 'firstname', 'lastname', 'phone', 'mobilephone', 
-        'whatsapp_number', 'company', 'hs_object_id'
+        'whatsapp_number', 'company', 'hs_language', 'hs_object_id',
+        'whatsapp_call_recording_consent'
       ];
       
       const allProperties = [...defaultProperties, ...properties];
       
-      const contact = await this.hubspotClient.crm.contacts.basicApi.getById(
+      const client = await this.getClient();
+      const contact = await client.crm.contacts.basicApi.getById(
         contactId, 
         allProperties
       );
@@ -59,7 +106,8 @@ class HubSpotService {
         properties: ['email', 'firstname', 'lastname', 'phone', 'mobilephone', 'whatsapp_number', 'company']
       };
 
-      const results = await this.hubspotClient.crm.contacts.searchApi.doSearch(searchRequest);
+      const client = await this.getClient();
+      const results = await client.crm.contacts.searchApi.doSearch(searchRequest);
       return results.results;
     } catch (error) {
       logger.error(`Failed to search contacts by phone ${phoneNumber}:`, error);
@@ -91,7 +139,8 @@ class HubSpotService {
         properties: ['email', 'firstname', 'lastname', 'phone', 'mobilephone', 'whatsapp_number', 'company']
       };
 
-      const results = await this.hubspotClient.crm.contacts.searchApi.doSearch(searchRequest);
+      const client = await this.getClient();
+      const results = await client.crm.contacts.searchApi.doSearch(searchRequest);
       return results.results;
     } catch (error) {
       logger.error(`Failed to search contacts by WhatsApp ${whatsappNumber}:`, error);
@@ -126,7 +175,8 @@ class HubSpotService {
   // Create new contact
   async createContact(contactData) {
     try {
-      const contact = await this.hubspotClient.crm.contacts.basicApi.create({
+      const client = await this.getClient();
+      const contact = await client.crm.contacts.basicApi.create({
         properties: contactData
       });
       
@@ -141,7 +191,8 @@ class HubSpotService {
   // Update existing contact
   async updateContact(contactId, updates) {
     try {
-      const contact = await this.hubspotClient.crm.contacts.basicApi.update(
+      const client = await this.getClient();
+      const contact = await client.crm.contacts.basicApi.update(
         contactId,
         { properties: updates }
       );
@@ -154,6 +205,31 @@ class HubSpotService {
     }
   }
 
+  // Contact properties recording a WhatsApp calling permission state
+  permissionStatusProperties(status, changedAt = new Date()) {
+    return {
+      whatsapp_call_permission_status: status,
+      whatsapp_call_permission_updated_at: changedAt.toISOString()
+    };
+  }
+
+  // Contact properties flagging a contact as opted out of (or back into) WhatsApp calls
+  callOptOutProperties(optedOut, changedAt = new Date()) {
+    return {
+      whatsapp_call_opt_out: optedOut ? 'true' : 'false',
+      whatsapp_call_permission_status: optedOut ? 'revoked' : 'none',
+      whatsapp_call_permission_updated_at: changedAt.toISOString()
+    };
+  }
+
+  // Contact properties recording whether the contact lets us record calls
+  recordingConsentProperties(consent, changedAt = new Date()) {
+    return {
+      whatsapp_call_recording_consent: consent,
+      whatsapp_call_recording_consent_updated_at: changedAt.toISOString()
+    };
+  }
+
   // Search contacts by email
   async searchContactsByEmail(email) {
     try {
@@ -168,7 +244,8 @@ class HubSpotService {
         properties: ['email', 'firstname', 'lastname', 'phone', 'mobilephone', 'whatsapp_number', 'company']
       };
 
-      const results = await this.hubspotClient.crm.contacts.searchApi.doSearch(searchRequest);
+      const client = await this.getClient();
+      const results = await client.crm.contacts.searchApi.doSearch(searchRequest);
       return results.results;
     } catch (error) {
       logger.error(`Failed to search contacts by email ${email}:`, error);
@@ -176,76 +253,114 @@ class HubSpotService {
     }
   }
 
-  // Log call activity to HubSpot
-  async logCallActivity(contactId, callData) {
+  // Log a call as a CRM call object, associated to the contact and,
+  // optionally, the contact's companies and open deals
+  async createCall(contactId, properties, { associateCompanies = false, associateOpenDeals = false } = {}) {
     try {
-      const activity = {
-        objectId: contactId,
-        objectType: 'CONTACT',
-        activityType: 'CALL',
-        timestamp: callData.startTime || new Date().toISOString(),
-        properties: {
-          hs_call_direction: callData.direction === 'inbound' ? 'INBOUND' : 'OUTBOUND',
-          hs_call_status: this.mapCallStatus(callData.status),
-          hs_call_duration: callData.duration || 0,
-          hs_call_from_number: callData.fromNumber,
-          hs_call_to_number: callData.toNumber,
-          hs_call_recording_url: callData.recordingUrl,
-          hs_call_notes: callData.notes,
-          hs_call_source: 'WhatsApp Business Calling'
-        }
-      };
+      const associations = [this.callAssociation(contactId, CALL_ASSOCIATION_TYPES.contact)];
 
-      const result = await this.hubspotClient.crm.timeline.eventsApi.create(activity);
-      
-      logger.info('Call activity logged to HubSpot:', {
+      if (associateCompanies) {
+        const companyIds = await this.getAssociatedIds(contactId, 'companies');
+        associations.push(...companyIds.map(id => this.callAssociation(id, CALL_ASSOCIATION_TYPES.company)));
+      }
+
+      if (associateOpenDeals) {
+        const dealIds = await this.getOpenDealIds(contactId);
+        associations.push(...dealIds.map(id => this.callAssociation(id, CALL_ASSOCIATION_TYPES.deal)));
+      }
+
+      const client = await this.getClient();
+      const result = await client.crm.objects.calls.basicApi.create({ properties, associations });
+
+      logger.info('Call logged to HubSpot:', {
         contactId,
-        activityId: result.id
+        hubspotCallId: result.id,
+        associations: associations.length
       });
-      
+
       return result;
     } catch (error) {
-      logger.error('Failed to log call activity:', error);
+      logger.error('Failed to log call to HubSpot:', error);
       throw error;
     }
   }
 
-  // Create call engagement
-  async createCallEngagement(contactId, callData) {
+  // Patch a call object, e.g. when the recording or notes arrive later
+  async updateCall(hubspotCallId, properties) {
     try {
-      const engagement = {
-        engagement: {
-          active: true,
-          type: 'CALL',
-          timestamp: new Date(callData.startTime || Date.now()).getTime()
-        },
-        associations: {
-          contactIds: [contactId]
-        },
-        metadata: {
-          toNumber: callData.toNumber,
-          fromNumber: callData.fromNumber,
-          status: this.mapCallStatus(callData.status),
-          durationMilliseconds: (callData.duration || 0) * 1000,
-          recordingUrl: callData.recordingUrl,
-          body: callData.notes || 'WhatsApp Business Call'
-        }
-      };
+      const client = await this.getClient();
+      const result = await client.crm.objects.calls.basicApi.update(hubspotCallId, { properties });
 
-      const result = await this.hubspotClient.crm.engagements.engagementsApi.create(engagement);
-      
-      logger.info('Call engagement created in HubSpot:', {
-        contactId,
-        engagementId: result.engagement.id
-      });
-      
+      logger.info('HubSpot call updated:', { hubspotCallId });
       return result;
     } catch (error) {
-      logger.error('Failed to create call engagement:', error);
+      logger.error(`Failed to update HubSpot call ${hubspotCallId}:`, error);
       throw error;
     }
   }
 
+  callAssociation(id, associationTypeId) {
+    return {
+      to: { id: String(id) },
+      types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId }]
+    };
+  }
+
+  // IDs of the records of a type associated to a contact
+  async getAssociatedIds(contactId, toObjectType) {
+    const client = await this.getClient();
+    const ids = [];
+    let after;
+
+    do {
+      const page = await client.crm.associations.v4.basicApi.getPage('contacts', contactId, toObjectType, after, 500);
+      ids.push(...page.results.map(result => String(result.toObjectId)));
+      after = page.paging && page.paging.next ? page.paging.next.after : undefined;
+    } while (after);
+
+    return ids;
+  }
+
+  // Deals of a contact that are neither won nor lost
+  async getOpenDealIds(contactId) {
+    const dealIds = await this.getAssociatedIds(contactId, 'deals');
+    if (dealIds.length === 0) {
+      return [];
+    }
+
+    const client = await this.getClient();
+    const deals = await client.crm.deals.batchApi.read({
+      inputs: dealIds.slice(0, 100).map(id => ({ id })),
+      properties: ['hs_is_closed'],
+      propertiesWithHistory: []
+    });
+
+    return deals.results
+      .filter(deal => deal.properties.hs_is_closed !== 'true')
+      .map(deal => deal.id);
+  }
+
+  // hs_call_* properties of a call. Values that aren't known are left out,
+  // so an update doesn't clear what HubSpot already has.
+  buildCallProperties(callData) {
+    const properties = {
+      hs_timestamp: new Date(callData.startTime || Date.now()).toISOString(),
+      hs_call_title: callData.title,
+      hs_call_body: callData.notes,
+      hs_call_direction: callData.direction === 'inbound' ? 'INBOUND' : 'OUTBOUND',
+      hs_call_status: this.mapCallStatus(callData.status),
+      hs_call_duration: String((callData.duration || 0) * 1000),
+      hs_call_from_number: callData.fromNumber && callData.fromNumber.replace('whatsapp:', ''),
+      hs_call_to_number: callData.toNumber && callData.toNumber.replace('whatsapp:', ''),
+      hs_call_recording_url: callData.recordingUrl,
+      hs_call_disposition: this.mapCallOutcome(callData.outcome)
+    };
+
+    return Object.fromEntries(
+      Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+
   // Get calling settings for a portal
   async getCallingSettings() {
     try {
@@ -258,7 +373,7 @@ class HubSpotService {
           supportsInbound: true,
           supportsOutbound: true,
           supportsRecording: true,
-          supportsTransfer: false
+          supportsTransfer: true
         }
       };
     } catch (error) {
@@ -285,13 +400,14 @@ class HubSpotService {
       const hubspotContact = await this.getContact(hubspotContactId);
       
       let localContact = await HubSpotContact.findOne({
-        where: { hubspotContactId }
+        where: { portalId: this.portalId, hubspotContactId }
       });
 
       if (localContact) {
         await localContact.syncFromHubSpot(hubspotContact);
       } else {
         localContact = await HubSpotContact.create({
+          portalId: this.portalId,
           hubspotContactId,
           email: hubspotContact.properties.email,
           phone: hubspotContact.properties.phone,
@@ -300,6 +416,8 @@ class HubSpotService {
           firstName: hubspotContact.properties.firstname,
           lastName: hubspotContact.properties.lastname,
           company: hubspotContact.properties.company,
+          language: hubspotContact.properties.hs_language,
+          ...HubSpotContact.recordingConsentFields(hubspotContact.properties),
           hubspotProperties: hubspotContact.properties
         });
       }
@@ -311,12 +429,13 @@ class HubSpotService {
     }
   }
 
-  // Map internal call status to HubSpot status
+  // Map internal call status to HubSpot's hs_call_status
   mapCallStatus(status) {
     const statusMap = {
-      'initiated': 'CALLING',
-      'ringing': 'CALLING',
-      'in-progress': 'ANSWERED',
+      'initiated': 'CONNECTING',
+      'ringing': 'RINGING',
+      'answered': 'IN_PROGRESS',
+      'in-progress': 'IN_PROGRESS',
       'completed': 'COMPLETED',
       'failed': 'FAILED',
       'busy': 'BUSY',
@@ -327,6 +446,16 @@ class HubSpotService {
     return statusMap[status] || 'COMPLETED';
   }
 
+  // Map a call outcome (a default outcome name, or an outcome ID) to hs_call_disposition
+  mapCallOutcome(outcome) {
+    if (!outcome) return undefined;
+
+    const key = String(outcome).toLowerCase().replace(/[\s_-]+/g, '_');
+    if (CALL_OUTCOMES[key]) return CALL_OUTCOMES[key];
+
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(outcome) ? outcome : undefined;
+  }
+
   // Create webhook subscription
   async createWebhookSubscription(callbackUrl, eventTypes) {
     try {
@@ -0,0 +1,95 @@
+const config = require('../config/config');
+const hubspotService = require('./hubspot');
+const callState = require('./callState');
+const webhookReceipts = require('./webhookReceipts');
+const { HubSpotContact, Voicemail, Transcript } = require('../models');
+
+// Keeps a call's HubSpot call object in step with the call. The object is
+// created once the call has ended and its ID stored in Call.hubspotCallId;
+// whatever arrives afterwards (recording, voicemail transcript, call
+// summary, notes, outcome) patches that same object.
+class HubSpotCallService {
+  // Create or update the call's HubSpot call object; resolves to its ID, or
+  // null while there is nothing to log yet
+  async sync(call) {
+    const contact = call.contact || await HubSpotContact.findByPk(call.contactId);
+    if (!contact || (contact.metadata && contact.metadata.deleted)) {
+      return null;
+    }
+
+    const portalService = hubspotService.forPortal(contact.portalId);
+    const voicemail = await Voicemail.findOne({ where: { callId: call.id } });
+    const transcripts = await Transcript.findAll({
+      where: { callId: call.id, status: 'completed' },
+      order: [['createdAt', 'ASC']]
+    });
+    const properties = portalService.buildCallProperties(this.buildCallData(call, voicemail, transcripts));
+
+    if (call.hubspotCallId) {
+      await portalService.updateCall(call.hubspotCallId, properties);
+    } else if (callState.isFinal(call.status)) {
+      await webhookReceipts.once(`hubspot-call-log:${call.id}`, async () => {
+        const result = await portalService.createCall(contact.hubspotContactId, properties, config.hubspot.callLogging);
+        await call.update({ hubspotCallId: String(result.id) });
+      });
+    }
+
+    if (voicemail && call.hubspotCallId && voicemail.hubspotEngagementId !== call.hubspotCallId) {
+      await voicemail.update({ hubspotEngagementId: call.hubspotCallId });
+    }
+
+    return call.hubspotCallId || null;
+  }
+
+  buildCallData(call, voicemail, transcripts = []) {
+    const notes = [
+      call.notes,
+      ...transcripts.map(transcript => this.describeTranscript(transcript)),
+      this.describeTransfers(call)
+    ];
+    if (voicemail) {
+      notes.unshift(voicemail.transcription
+        ? `Voicemail transcript: ${voicemail.transcription}`
+        : 'Voicemail left');
+    }
+
+    return {
+      title: voicemail ? `WhatsApp voicemail from ${call.fromNumber.replace('whatsapp:', '')}` : `WhatsApp ${call.direction} call`,
+      direction: call.direction,
+      status: call.status,
+      duration: call.duration,
+      fromNumber: call.fromNumber,
+      toNumber: call.toNumber,
+      recordingUrl: call.recordingUrl || (voicemail && voicemail.recordingUrl),
+      notes: notes.filter(Boolean).join('\n\n'),
+      outcome: (call.metadata && call.metadata.outcome) || (voicemail ? 'left_voicemail' : undefined),
+      startTime: call.startTime || call.createdAt
+    };
+  }
+
+  // The recording's summary and action items, for the HubSpot call notes
+  describeTranscript(transcript) {
+    const parts = [];
+    if (transcript.summary) {
+      parts.push(`Call summary: ${transcript.summary}`);
+    }
+    if (transcript.actionItems.length > 0) {
+      parts.push(['Action items:', ...transcript.actionItems.map(item => `- ${item.text} (${item.speaker})`)].join('\n'));
+    }
+
+    return parts.join('\n\n');
+  }
+
+  // One line per transfer, for the HubSpot call notes
+  describeTransfers(call) {
+    const transfers = (call.metadata && call.metadata.transfers) || [];
+
+    return transfers.map(transfer => {
+      const target = transfer.to.queueName ? `queue ${transfer.to.queueName}` : transfer.to.agentName;
+      return `${transfer.type === 'warm' ? 'Warm' : 'Blind'} transfer from ${transfer.from.agentName || 'unassigned'} ` +
+             `to ${target} ${transfer.status} at ${transfer.endedAt}`;
+    }).join('\n');
+  }
+}
+
+module.exports = new HubSpotCallService();
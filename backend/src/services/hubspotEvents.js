@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const hubspotService = require('./hubspot');
+const permissionEvents = require('./permissionEvents');
+const webhookReceipts = require('./webhookReceipts');
+const {
+  HubSpotContact, Call, CallPermission, PermissionEvent, SuppressedNumber, Voicemail
+} = require('../models');
+
+// Contact properties whose changes are synced to the local contact
+const SYNCED_PROPERTIES = ['whatsapp_number', 'hs_language', 'whatsapp_call_recording_consent'];
+
+// Applies HubSpot webhook events to local contacts. HubSpot delivers events in
+// batches and retries a whole batch that failed, so each event is recorded by
+// its eventId and applied at most once.
+class HubSpotEventService {
+  // Apply one event; resolves to 'processed', 'duplicate' or 'ignored'
+  async process(event) {
+    const receipt = event.eventId
+      ? await webhookReceipts.claim({
+        key: `hubspot:${event.eventId}`,
+        type: 'hubspot',
+        resourceSid: event.objectId ? String(event.objectId) : null
+      })
+      : undefined;
+
+    if (receipt === null) {
+      logger.info('Duplicate HubSpot event ignored:', { eventId: event.eventId });
+      return 'duplicate';
+    }
+
+    try {
+      return await this.handle(event, hubspotService.forPortal(event.portalId));
+    } catch (error) {
+      // Let HubSpot's retry apply the event again
+      if (receipt) await webhookReceipts.release(receipt);
+      throw error;
+    }
+  }
+
+  async handle(event, portalService) {
+    const { subscriptionType, objectId, propertyName, propertyValue } = event;
+
+    logger.info('HubSpot event received:', {
+      eventId: event.eventId,
+      portalId: portalService.portalId,
+      objectId,
+      subscriptionType,
+      propertyName
+    });
+
+    switch (subscriptionType) {
+      case 'contact.propertyChange':
+        if (!SYNCED_PROPERTIES.includes(propertyName)) {
+          return 'ignored';
+        }
+
+        // WhatsApp number, preferred language or recording consent updated, sync contact
+        await portalService.syncContact(objectId);
+
+        logger.info('Contact property updated:', {
+          contactId: objectId,
+          propertyName,
+          newValue: propertyValue
+        });
+        return 'processed';
+
+      case 'contact.creation':
+        await portalService.syncContact(objectId);
+        return 'processed';
+
+      case 'contact.deletion':
+        await this.deleteContact(portalService.portalId, String(objectId));
+        return 'processed';
+
+      case 'contact.restore':
+        await this.restoreContact(portalService, String(objectId));
+        return 'processed';
+
+      case 'contact.merge':
+        await this.mergeContacts(portalService, event);
+        return 'processed';
+
+      default:
+        logger.warn('Unhandled HubSpot event type:', { subscriptionType });
+        return 'ignored';
+    }
+  }
+
+  // Contact deleted in HubSpot: cancel pending permissions, keep call history
+  async deleteContact(portalId, hubspotContactId) {
+    const contact = await HubSpotContact.findOne({ where: { portalId, hubspotContactId } });
+    if (!contact) return;
+
+    const pending = await CallPermission.findAll({
+      where: { contactId: contact.id, status: 'pending' }
+    });
+    for (const permission of pending) {
+      await permission.update({ status: 'expired' });
+      await permissionEvents.record(permission, 'expired', {
+        source: 'hubspot',
+        data: { reason: 'contact_deleted' }
+      });
+    }
+
+    await contact.update({
+      metadata: { ...contact.metadata, deleted: true }
+    });
+  }
+
+  // Contact restored from the recycle bin: undo the deletion and resync
+  async restoreContact(portalService, hubspotContactId) {
+    const contact = await HubSpotContact.findOne({
+      where: { portalId: portalService.portalId, hubspotContactId }
+    });
+
+    if (contact && contact.metadata && contact.metadata.deleted) {
+      const { deleted, ...metadata } = contact.metadata;
+      await contact.update({ metadata: { ...metadata, restoredAt: new Date().toISOString() } });
+    }
+
+    await portalService.syncContact(hubspotContactId);
+  }
+
+  // Contacts merged in HubSpot: move the history of every merged contact to
+  // the one that remains, and mark the others as merged
+  async mergeContacts(portalService, event) {
+    const winnerId = String(event.newObjectId || event.primaryObjectId);
+    const mergedIds = [...(event.mergedObjectIds || []), event.primaryObjectId]
+      .filter(id => id !== undefined && id !== null)
+      .map(String)
+      .filter(id => id !== winnerId);
+
+    const losers = await HubSpotContact.findAll({
+      where: {
+        portalId: portalService.portalId,
+        hubspotContactId: { [Op.in]: mergedIds }
+      }
+    });
+
+    const winner = await portalService.syncContact(winnerId);
+
+    for (const loser of losers) {
+      await this.moveHistory(loser, winner);
+      await loser.update({
+        metadata: { ...loser.metadata, deleted: true, mergedInto: winner.id }
+      });
+    }
+
+    logger.info('HubSpot contacts merged:', {
+      portalId: portalService.portalId,
+      into: winnerId,
+      merged: losers.map(loser => loser.hubspotContactId)
+    });
+  }
+
+  async moveHistory(from, to) {
+    const where = { contactId: from.id };
+
+    // A number can only have one approved permission per contact; the
+    // remaining contact's own grant wins
+    const permissions = await CallPermission.findAll({ where });
+    for (const permission of permissions) {
+      const conflicting = permission.status === 'approved' && await CallPermission.count({
+        where: { contactId: to.id, whatsappNumber: permission.whatsappNumber, status: 'approved' }
+      });
+
+      if (conflicting) {
+        await permission.update({ status: 'expired' });
+        await permissionEvents.record(permission, 'expired', {
+          source: 'hubspot',
+          data: { reason: 'contact_merged', mergedInto: to.hubspotContactId }
+        });
+      }
+
+      await permission.update({ contactId: to.id });
+    }
+
+    await PermissionEvent.update({ contactId: to.id }, { where });
+    await Call.update({ contactId: to.id }, { where });
+    await Voicemail.update({ contactId: to.id }, { where });
+    await SuppressedNumber.update({ contactId: to.id }, { where });
+  }
+}
+
+module.exports = new HubSpotEventService();
@@ -0,0 +1,204 @@
+const hubspot = require('@hubspot/api-client');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { HubSpotPortal } = require('../models');
+
+const STATE_EXPIRES_IN = '10m';
+
+// Error carrying the HTTP status a route should answer with
+const portalError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.name = 'HubSpotPortalError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// OAuth installs of the HubSpot app, one per customer portal. Tokens are
+// stored encrypted and refreshed shortly before they expire. A deployment
+// that only has a private app token keeps working for HUBSPOT_PORTAL_ID.
+class HubSpotPortalService {
+  constructor() {
+    this.oauthClient = new hubspot.Client();
+    this.tokens = new Map(); // portalId -> { accessToken, expiresAt }
+    this.refreshing = new Map(); // portalId -> in-flight refresh promise
+  }
+
+  isOAuthConfigured() {
+    return !!(config.hubspot.clientId && config.hubspot.clientSecret);
+  }
+
+  // URL that starts the install; the state ties the callback to the agent
+  // who started it and expires quickly
+  getAuthorizeUrl(agent) {
+    if (!this.isOAuthConfigured()) {
+      throw portalError('HubSpot OAuth is not configured', 503);
+    }
+
+    const state = jwt.sign({ purpose: 'hubspot-install' }, config.security.jwtSecret, {
+      subject: agent.id,
+      expiresIn: STATE_EXPIRES_IN
+    });
+
+    return this.oauthClient.oauth.getAuthorizationUrl(
+      config.hubspot.clientId,
+      config.hubspot.oauth.redirectUri,
+      config.hubspot.oauth.scopes.join(' '),
+      undefined,
+      state
+    );
+  }
+
+  // Check the state from the install callback and return the installing agent's ID
+  verifyState(state) {
+    try {
+      const payload = jwt.verify(state, config.security.jwtSecret);
+      if (payload.purpose !== 'hubspot-install') {
+        throw new Error('Wrong state purpose');
+      }
+      return payload.sub;
+    } catch (error) {
+      throw portalError('Invalid or expired install state', 400);
+    }
+  }
+
+  // Finish an install: exchange the authorization code for tokens and store
+  // them for the portal they belong to. Reinstalling replaces the tokens.
+  async install(code, state) {
+    const installedBy = this.verifyState(state);
+
+    const tokens = await this.oauthClient.oauth.tokensApi.create(
+      'authorization_code',
+      code,
+      config.hubspot.oauth.redirectUri,
+      config.hubspot.clientId,
+      config.hubspot.clientSecret
+    );
+    const info = await this.oauthClient.oauth.accessTokensApi.get(tokens.accessToken);
+    const portalId = String(info.hubId);
+
+    const values = {
+      hubDomain: info.hubDomain,
+      accessToken: encrypt(tokens.accessToken),
+      refreshToken: encrypt(tokens.refreshToken),
+      accessTokenExpiresAt: new Date(Date.now() + tokens.expiresIn * 1000),
+      scopes: info.scopes || [],
+      status: 'active',
+      installedBy,
+      installedAt: new Date(),
+      lastRefreshedAt: new Date()
+    };
+
+    let portal = await HubSpotPortal.findOne({ where: { portalId } });
+    if (portal) {
+      await portal.update(values);
+    } else {
+      portal = await HubSpotPortal.create({ portalId, ...values });
+    }
+
+    this.tokens.set(portalId, {
+      accessToken: tokens.accessToken,
+      expiresAt: values.accessTokenExpiresAt
+    });
+
+    logger.info('HubSpot app installed:', { portalId, hubDomain: info.hubDomain, installedBy });
+    return portal;
+  }
+
+  // Stop using a portal's tokens. Its contacts and calls are kept.
+  async uninstall(portalId) {
+    const portal = await HubSpotPortal.findOne({ where: { portalId: String(portalId) } });
+    if (!portal) {
+      throw portalError('Portal not found', 404);
+    }
+
+    await portal.update({ status: 'uninstalled' });
+    this.tokens.delete(portal.portalId);
+
+    logger.info('HubSpot app uninstalled:', { portalId: portal.portalId });
+    return portal;
+  }
+
+  async list() {
+    return HubSpotPortal.findAll({ order: [['installedAt', 'ASC']] });
+  }
+
+  // Access token for a portal, refreshed when it is about to expire
+  async getAccessToken(portalId = config.hubspot.portalId) {
+    const key = portalId ? String(portalId) : null;
+
+    const cached = key && this.tokens.get(key);
+    if (cached && !this.isExpiring(cached.expiresAt)) {
+      return cached.accessToken;
+    }
+
+    const portal = key && await HubSpotPortal.findOne({ where: { portalId: key } });
+    if (!portal) {
+      // Single-portal deployments authenticate with a private app token
+      if (config.hubspot.privateAppToken && (!key || key === String(config.hubspot.portalId))) {
+        return config.hubspot.privateAppToken;
+      }
+      throw portalError(`HubSpot portal ${key || '(none)'} is not installed`, 404);
+    }
+
+    if (!portal.isActive()) {
+      throw portalError(`HubSpot portal ${key} is ${portal.status}; reinstall the app`);
+    }
+
+    if (!this.isExpiring(portal.accessTokenExpiresAt)) {
+      const accessToken = decrypt(portal.accessToken);
+      this.tokens.set(key, { accessToken, expiresAt: portal.accessTokenExpiresAt });
+      return accessToken;
+    }
+
+    // Concurrent callers share one refresh
+    if (!this.refreshing.has(key)) {
+      this.refreshing.set(key, this.refresh(portal).finally(() => this.refreshing.delete(key)));
+    }
+    return this.refreshing.get(key);
+  }
+
+  isExpiring(expiresAt) {
+    return new Date(expiresAt).getTime() - Date.now() <= config.hubspot.oauth.refreshMarginMs;
+  }
+
+  async refresh(portal) {
+    try {
+      const tokens = await this.oauthClient.oauth.tokensApi.create(
+        'refresh_token',
+        undefined,
+        undefined,
+        config.hubspot.clientId,
+        config.hubspot.clientSecret,
+        decrypt(portal.refreshToken)
+      );
+      const expiresAt = new Date(Date.now() + tokens.expiresIn * 1000);
+
+      await portal.update({
+        accessToken: encrypt(tokens.accessToken),
+        refreshToken: encrypt(tokens.refreshToken || decrypt(portal.refreshToken)),
+        accessTokenExpiresAt: expiresAt,
+        lastRefreshedAt: new Date()
+      });
+      this.tokens.set(portal.portalId, { accessToken: tokens.accessToken, expiresAt });
+
+      logger.info('HubSpot access token refreshed:', { portalId: portal.portalId });
+      return tokens.accessToken;
+    } catch (error) {
+      // HubSpot answers 400 once the refresh token is revoked (app uninstalled
+      // from the portal); retrying won't help until the app is reinstalled
+      if (error.code === 400) {
+        await portal.update({ status: 'needs_reauth' });
+        this.tokens.delete(portal.portalId);
+        logger.error('HubSpot refresh token rejected; portal needs reinstall:', { portalId: portal.portalId });
+        throw portalError(`HubSpot portal ${portal.portalId} needs to reinstall the app`);
+      }
+
+      logger.error('Failed to refresh HubSpot access token:', { portalId: portal.portalId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new HubSpotPortalService();
@@ -0,0 +1,110 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const { MessageTemplate } = require('../models');
+
+const APPROVAL_STATUSES = ['unsubmitted', 'received', 'pending', 'approved', 'rejected', 'paused', 'disabled'];
+
+// Compare language codes case-insensitively, treating pt-BR and pt_BR alike
+const normalizeLanguage = (language) => (language || '').trim().toLowerCase().replace('-', '_');
+const baseLanguage = (language) => normalizeLanguage(language).split('_')[0];
+
+class MessageTemplateService {
+  // Create a content template in Twilio and register it
+  async create({ name, purpose, language, category, body, title, variables, submitForApproval = false }) {
+    const content = purpose === 'call_permission'
+      ? await twilioService.createCallPermissionTemplate(name, language, body)
+      : await twilioService.createVoiceCallTemplate(name, title, language, variables);
+
+    const template = await MessageTemplate.create({
+      name,
+      contentSid: content.sid,
+      purpose,
+      language,
+      category,
+      metadata: { body, title, variables }
+    });
+
+    logger.info('Message template created:', { templateId: template.id, contentSid: template.contentSid, purpose, language });
+
+    if (submitForApproval) {
+      await this.submitForApproval(template);
+    }
+
+    return template;
+  }
+
+  // Register a template that already exists in Twilio (e.g. made in the Console)
+  async register({ contentSid, name, purpose, language, category }) {
+    const template = await MessageTemplate.create({ name, contentSid, purpose, language, category });
+
+    logger.info('Message template registered:', { templateId: template.id, contentSid, purpose, language });
+
+    try {
+      await this.refreshApprovalStatus(template);
+    } catch (error) {
+      logger.warn('Could not check approval status of registered template:', {
+        templateId: template.id,
+        error: error.message
+      });
+    }
+
+    return template;
+  }
+
+  // Ask WhatsApp to approve a template
+  async submitForApproval(template) {
+    const approval = await twilioService.submitTemplateForApproval(template.contentSid, template.name, template.category);
+
+    return template.update({
+      approvalStatus: this.mapApprovalStatus(approval.status || 'received'),
+      rejectionReason: approval.rejection_reason || null,
+      statusCheckedAt: new Date()
+    });
+  }
+
+  // Fetch the current WhatsApp approval status from Twilio
+  async refreshApprovalStatus(template) {
+    const approval = await twilioService.getTemplateApproval(template.contentSid);
+
+    return template.update({
+      approvalStatus: this.mapApprovalStatus(approval.status),
+      rejectionReason: approval.rejection_reason || null,
+      statusCheckedAt: new Date()
+    });
+  }
+
+  // Pick the approved template for a purpose that best matches a language:
+  // the exact language, then the same base language (pt_BR -> pt), then the
+  // configured default language. Returns null when nothing matches.
+  async select(purpose, language) {
+    const templates = await MessageTemplate.findAll({
+      where: { purpose, active: true, approvalStatus: 'approved' },
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const fallback = config.templates.defaultLanguage;
+    const matchers = [];
+
+    if (language) {
+      matchers.push(code => normalizeLanguage(code) === normalizeLanguage(language));
+      matchers.push(code => baseLanguage(code) === baseLanguage(language));
+    }
+    matchers.push(code => normalizeLanguage(code) === normalizeLanguage(fallback));
+    matchers.push(code => baseLanguage(code) === baseLanguage(fallback));
+
+    for (const matches of matchers) {
+      const template = templates.find(candidate => matches(candidate.language));
+      if (template) return template;
+    }
+
+    return null;
+  }
+
+  mapApprovalStatus(status) {
+    const normalized = (status || 'unsubmitted').toLowerCase();
+    return APPROVAL_STATUSES.includes(normalized) ? normalized : 'pending';
+  }
+}
+
+module.exports = new MessageTemplateService();
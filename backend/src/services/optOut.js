@@ -0,0 +1,178 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+const hubspotService = require('./hubspot');
+const crmOutbox = require('./crmOutbox');
+const permissionEvents = require('./permissionEvents');
+const { CallPermission, HubSpotContact, SuppressedNumber } = require('../models');
+
+// Compare replies ignoring case, accents, curly quotes and punctuation
+const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019`]/g, '\'')
+  .toUpperCase()
+  .replace(/[^\p{L}\p{N}' ]+/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const baseLanguage = (language) => (language || '').toLowerCase().split(/[-_]/)[0];
+
+// Keeps WhatsApp numbers that asked not to be called on a suppression list,
+// and revokes their call permissions when they ask
+class OptOutService {
+  // Whether an inbound WhatsApp message is an opt-out. Keywords in the
+  // contact's language are tried first, then every other language.
+  match({ body, buttonPayload }, language) {
+    if (buttonPayload && config.optOut.revokePayloads.includes(buttonPayload)) {
+      return { reason: 'revoked', keyword: buttonPayload, language: null };
+    }
+
+    const text = normalize(body);
+    if (!text) return null;
+
+    const preferred = baseLanguage(language);
+    const languages = Object.keys(config.optOut.keywords)
+      .sort((a, b) => (b === preferred) - (a === preferred));
+
+    for (const keywordLanguage of languages) {
+      const keyword = config.optOut.keywords[keywordLanguage].find(candidate => {
+        const phrase = normalize(candidate);
+        return text === phrase || (phrase.includes(' ') && ` ${text} `.includes(` ${phrase} `));
+      });
+
+      if (keyword) {
+        return { reason: 'opt_out', keyword, language: keywordLanguage };
+      }
+    }
+
+    return null;
+  }
+
+  // The active suppression for a number, if any
+  findSuppression(whatsappNumber) {
+    return SuppressedNumber.findOne({
+      where: { whatsappNumber: whatsappNumber.replace('whatsapp:', ''), liftedAt: null }
+    });
+  }
+
+  // Put a number on the suppression list and revoke its open permissions.
+  // Safe to repeat: an already suppressed number keeps its original entry.
+  async suppress(whatsappNumber, { reason, keyword, language, source = 'twilio', agent, messageSid, note }) {
+    const cleanNumber = whatsappNumber.replace('whatsapp:', '');
+    const now = new Date();
+
+    // The same number can be a contact in several portals
+    const contacts = await HubSpotContact.findAll({ where: { whatsappNumber: cleanNumber } });
+    const contact = contacts[0];
+
+    let suppression = await SuppressedNumber.findOne({ where: { whatsappNumber: cleanNumber } });
+    if (!suppression) {
+      suppression = await SuppressedNumber.create({
+        whatsappNumber: cleanNumber,
+        contactId: contact ? contact.id : null,
+        reason,
+        source,
+        keyword,
+        language,
+        suppressedAt: now,
+        metadata: { messageSid, note, suppressedBy: agent ? agent.id : null }
+      });
+    } else if (!suppression.isActive()) {
+      await suppression.update({
+        contactId: contact ? contact.id : suppression.contactId,
+        reason,
+        source,
+        keyword,
+        language,
+        suppressedAt: now,
+        liftedAt: null,
+        liftedBy: null,
+        metadata: { ...suppression.metadata, messageSid, note, suppressedBy: agent ? agent.id : null }
+      });
+    }
+
+    const permissions = await CallPermission.findAll({
+      where: {
+        whatsappNumber: cleanNumber,
+        status: { [Op.in]: ['pending', 'approved'] }
+      },
+      include: [{ model: HubSpotContact, as: 'contact' }]
+    });
+
+    for (const permission of permissions) {
+      const previousStatus = permission.status;
+
+      await permission.update({
+        status: 'revoked',
+        metadata: { ...permission.metadata, revokedAt: now.toISOString(), revokedReason: reason, previousStatus }
+      });
+
+      await permissionEvents.record(permission, 'revoked', {
+        actor: agent ? permissionEvents.agent(agent) : permissionEvents.contact(permission.contact),
+        source,
+        occurredAt: now,
+        data: { reason, keyword, language, messageSid, previousStatus }
+      });
+    }
+
+    const requesters = permissions
+      .map(permission => permission.metadata && permission.metadata.requestedBy)
+      .filter(Boolean);
+    const contactIds = [...new Set(permissions.map(permission => permission.contactId).concat(contacts.map(({ id }) => id)))];
+
+    eventBus.publish('permission_revoked', {
+      whatsappNumber: cleanNumber,
+      contactIds,
+      reason,
+      revokedPermissions: permissions.map(permission => permission.id)
+    }, {
+      agentIds: [...new Set(requesters)],
+      topics: contactIds.map(contactId => `contact:${contactId}`)
+    });
+
+    for (const portalContact of contacts) {
+      await this.syncHubSpot(portalContact, true, now);
+    }
+
+    logger.info('WhatsApp number opted out of calls:', {
+      whatsappNumber: cleanNumber,
+      reason,
+      keyword,
+      revoked: permissions.length
+    });
+
+    return { suppression, revoked: permissions.length };
+  }
+
+  // Take a number off the suppression list, e.g. after the customer opts back in
+  async lift(suppression, agent) {
+    const now = new Date();
+
+    await suppression.update({
+      liftedAt: now,
+      liftedBy: agent.id
+    });
+
+    const contacts = await HubSpotContact.findAll({ where: { whatsappNumber: suppression.whatsappNumber } });
+    for (const contact of contacts) {
+      await this.syncHubSpot(contact, false, now);
+    }
+
+    logger.info('WhatsApp number suppression lifted:', {
+      whatsappNumber: suppression.whatsappNumber,
+      agentId: agent.id
+    });
+
+    return suppression;
+  }
+
+  async syncHubSpot(contact, optedOut, changedAt) {
+    if (contact.metadata && contact.metadata.deleted) return;
+
+    await crmOutbox.updateContact(contact, hubspotService.callOptOutProperties(optedOut, changedAt));
+  }
+}
+
+module.exports = new OptOutService();
@@ -0,0 +1,165 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { CallPermission, HubSpotContact, PermissionEvent } = require('../models');
+
+const SYSTEM = { actorType: 'system', actorId: null, actorName: null };
+
+// Events after which a permission can no longer be used
+const ENDING_TYPES = ['failed', 'rejected', 'revoked', 'expired'];
+
+const EXPORT_COLUMNS = [
+  'occurredAt',
+  'type',
+  'permissionId',
+  'hubspotContactId',
+  'contactName',
+  'whatsappNumber',
+  'actorType',
+  'actorId',
+  'actorName',
+  'source',
+  'details'
+];
+
+// Quote a value for CSV when it contains a separator, quote or line break
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Records the life of each call permission (requested, delivered, read,
+// approved, rejected, used, missed, revoked, expired) so that every status
+// change on a CallPermission can be explained after the fact
+class PermissionEventService {
+  agent(agent) {
+    return { actorType: 'agent', actorId: agent.id, actorName: agent.name };
+  }
+
+  contact(contact) {
+    return {
+      actorType: 'contact',
+      actorId: contact.id,
+      actorName: contact.getFullName() || null
+    };
+  }
+
+  get system() {
+    return SYSTEM;
+  }
+
+  async record(permission, type, { actor = SYSTEM, source = 'system', data = {}, occurredAt = new Date() } = {}) {
+    const event = await PermissionEvent.create({
+      permissionId: permission.id,
+      contactId: permission.contactId,
+      whatsappNumber: permission.whatsappNumber,
+      type,
+      ...actor,
+      source,
+      occurredAt,
+      data
+    });
+
+    logger.debug('Permission event recorded:', { permissionId: permission.id, type, source });
+    return event;
+  }
+
+  // Every permission of a contact with its events, plus the events in order
+  async timeline(contactId) {
+    const permissions = await CallPermission.findAll({
+      where: { contactId },
+      order: [['requestedAt', 'ASC']]
+    });
+
+    const events = await PermissionEvent.findAll({
+      where: { contactId },
+      order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    return {
+      permissions: permissions.map(permission => {
+        const own = events.filter(event => event.permissionId === permission.id);
+        const requested = own.find(event => event.type === 'requested');
+        const ended = own.find(event => ENDING_TYPES.includes(event.type));
+
+        return {
+          id: permission.id,
+          whatsappNumber: permission.whatsappNumber,
+          status: permission.status,
+          type: permission.type,
+          requestedAt: permission.requestedAt,
+          respondedAt: permission.respondedAt,
+          expiresAt: permission.expiresAt,
+          callsUsed: permission.callsUsed,
+          maxCalls: permission.maxCalls,
+          consecutiveMissedCalls: permission.consecutiveMissedCalls,
+          requestedBy: requested ? this.format(requested).actor : null,
+          callsMade: own.filter(event => event.type === 'used').length,
+          missedCalls: own.filter(event => event.type === 'missed').length,
+          ended: ended ? {
+            type: ended.type,
+            occurredAt: ended.occurredAt,
+            reason: (ended.data && ended.data.reason) || null
+          } : null
+        };
+      }),
+      events: events.map(event => this.format(event))
+    };
+  }
+
+  // Flat rows for compliance reviews, oldest first
+  async export({ from, to, contactId } = {}) {
+    const where = {};
+    if (contactId) where.contactId = contactId;
+    if (from || to) {
+      where.occurredAt = {};
+      if (from) where.occurredAt[Op.gte] = from;
+      if (to) where.occurredAt[Op.lte] = to;
+    }
+
+    const events = await PermissionEvent.findAll({
+      where,
+      include: [{ model: HubSpotContact, as: 'contact' }],
+      order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    return events.map(event => ({
+      occurredAt: event.occurredAt,
+      type: event.type,
+      permissionId: event.permissionId,
+      hubspotContactId: event.contact ? event.contact.hubspotContactId : null,
+      contactName: event.contact ? event.contact.getFullName() : null,
+      whatsappNumber: event.whatsappNumber,
+      actorType: event.actorType,
+      actorId: event.actorId,
+      actorName: event.actorName,
+      source: event.source,
+      details: event.data && Object.keys(event.data).length > 0 ? JSON.stringify(event.data) : ''
+    }));
+  }
+
+  toCsv(rows) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(EXPORT_COLUMNS.map(column => csvValue(row[column])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  format(event) {
+    return {
+      id: event.id,
+      permissionId: event.permissionId,
+      type: event.type,
+      whatsappNumber: event.whatsappNumber,
+      actor: {
+        type: event.actorType,
+        id: event.actorId,
+        name: event.actorName
+      },
+      source: event.source,
+      occurredAt: event.occurredAt,
+      data: event.data
+    };
+  }
+}
+
+module.exports = new PermissionEventService();
@@ -0,0 +1,127 @@
+const twilio = require('twilio');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const hubspotService = require('./hubspot');
+const crmOutbox = require('./crmOutbox');
+const { CallLog } = require('../models');
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+// Keypad answers to the consent prompt
+const CONSENT_DIGITS = { 1: 'granted', 2: 'denied' };
+
+// Decides whether a call is recorded. RECORDING_POLICY gives a mode (always,
+// never or ask) per call; a contact who has denied consent is never recorded,
+// and one who has granted it isn't asked again. The decision is kept in the
+// call metadata as `recording`:
+// { mode, record, ask, reason, consent, status, recordingSid }.
+class RecordingPolicyService {
+  // The policy's mode for a call to or from this contact, through this queue
+  resolveMode({ queue = null, contact = null } = {}) {
+    const { mode, defaultMode } = config.recordings.policy;
+
+    switch (mode) {
+      case 'per-queue':
+        return (queue && queue.recordingMode) || defaultMode;
+      case 'per-country':
+        return this.countryMode(contact && contact.whatsappNumber) || defaultMode;
+      default:
+        return mode;
+    }
+  }
+
+  // Mode for the longest calling code in RECORDING_COUNTRY_MODES the number starts with
+  countryMode(number) {
+    const digits = (number || '').replace(/\D/g, '');
+    const codes = Object.keys(config.recordings.policy.countries)
+      .filter(code => digits.startsWith(code))
+      .sort((a, b) => b.length - a.length);
+
+    return codes.length > 0 ? config.recordings.policy.countries[codes[0]] : null;
+  }
+
+  decide({ queue = null, contact = null } = {}) {
+    const mode = this.resolveMode({ queue, contact });
+    const consent = (contact && contact.recordingConsent) || null;
+
+    if (mode === 'never') {
+      return { mode, record: false, ask: false, reason: 'policy', consent };
+    }
+    if (consent === 'denied') {
+      return { mode, record: false, ask: false, reason: 'contact_denied', consent };
+    }
+    if (mode === 'ask' && consent !== 'granted') {
+      return { mode, record: false, ask: true, reason: 'ask', consent };
+    }
+
+    return { mode, record: true, ask: false, reason: consent === 'granted' ? 'contact_granted' : 'policy', consent };
+  }
+
+  // TwiML to play before the caller joins the conference: the consent
+  // question, or the announcement that the call is recorded. Either one
+  // continues at connectUrl. Null when there is nothing to play.
+  gateTwiml(decision, connectUrl) {
+    if (!decision.ask && !decision.record) {
+      return null;
+    }
+
+    const twiml = new VoiceResponse();
+    if (decision.ask) {
+      const gather = twiml.gather({
+        numDigits: 1,
+        timeout: 5,
+        action: connectUrl,
+        actionOnEmptyResult: true
+      });
+      gather.say(config.recordings.policy.consentPrompt);
+    } else {
+      twiml.say(config.recordings.policy.announcement);
+      twiml.redirect(connectUrl);
+    }
+
+    return twiml.toString();
+  }
+
+  // Apply the caller's answer to the consent prompt; resolves to the updated
+  // decision. No answer means no recording, without remembering anything.
+  async applyAnswer(call, contact, digits) {
+    const consent = CONSENT_DIGITS[digits] || null;
+    const decision = {
+      ...call.metadata.recording,
+      ask: false,
+      record: consent === 'granted',
+      reason: consent ? `caller_${consent}` : 'caller_no_answer',
+      consent
+    };
+
+    await call.update({ metadata: { ...call.metadata, recording: decision } });
+
+    await CallLog.create({
+      callId: call.id,
+      event: 'recording_consent',
+      source: 'twilio',
+      message: consent ? `Caller ${consent} recording consent` : 'Caller did not answer the recording consent prompt',
+      data: { digits: digits || null, consent }
+    });
+
+    if (consent && contact) {
+      await this.setConsent(contact, consent);
+    }
+
+    return decision;
+  }
+
+  // Remember a contact's consent and write it to their HubSpot contact
+  async setConsent(contact, consent, changedAt = new Date()) {
+    if (contact.recordingConsent === consent) {
+      return;
+    }
+
+    await contact.update({ recordingConsent: consent, recordingConsentAt: changedAt });
+    await crmOutbox.updateContact(contact, hubspotService.recordingConsentProperties(consent, changedAt));
+
+    logger.info('Recording consent updated:', { contactId: contact.id, consent });
+  }
+}
+
+module.exports = new RecordingPolicyService();
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+
+// Keeps recordings as files under a directory
+class LocalDiskStorage {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid recording storage key: ${key}`);
+    }
+    return file;
+  }
+
+  // Write a stream to the key; resolves to { size } in bytes. The file only
+  // appears under its key once it is complete.
+  async save(key, stream) {
+    const file = this.resolve(key);
+    const partial = `${file}.partial`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, file);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+
+    return this.stat(key);
+  }
+
+  // Resolves to { size }, or null when there is nothing under the key
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Readable stream of the bytes from start to end (inclusive)
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolve(key), { start, end });
+  }
+
+  // Deleting a missing key is not an error
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Storage backends for recordings, by name. A backend implements save, stat,
+// createReadStream and delete like LocalDiskStorage; others (e.g. S3) are
+// added with register(). Each recording remembers its backend, so changing
+// RECORDING_STORAGE only affects new recordings.
+class RecordingStorage {
+  constructor() {
+    this.factories = {
+      local: () => new LocalDiskStorage(config.recordings.local.directory)
+    };
+    this.backends = {};
+  }
+
+  register(name, factory) {
+    this.factories[name] = factory;
+    delete this.backends[name];
+  }
+
+  // The named backend, by default the one new recordings go to
+  backend(name = config.recordings.storage) {
+    if (!this.backends[name]) {
+      if (!this.factories[name]) {
+        throw new Error(`Unknown recording storage backend: ${name}`);
+      }
+      this.backends[name] = this.factories[name]();
+    }
+
+    return this.backends[name];
+  }
+}
+
+module.exports = new RecordingStorage();
+module.exports.LocalDiskStorage = LocalDiskStorage;
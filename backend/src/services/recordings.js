@@ -0,0 +1,265 @@
+const { Readable } = require('stream');
+const { Op, UniqueConstraintError } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const recordingStorage = require('./recordingStorage');
+const transcription = require('./transcription');
+const { Recording, Call } = require('../models');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/x-wav'
+};
+
+// Twilio's error code for a resource that doesn't exist
+const TWILIO_NOT_FOUND = 20404;
+
+// A download still running after this long is assumed lost and retried
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Error carrying the HTTP status a route should answer with
+const recordingError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.name = 'RecordingError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Copies call recordings out of Twilio into our own storage, serves them
+// for playback, and deletes them (ours and Twilio's) once they are older
+// than RECORDING_RETENTION_DAYS.
+class RecordingService {
+  // Remember a completed recording from Twilio's recording status callback;
+  // resolves to the Recording, ready to download
+  async capture(call, { RecordingSid, RecordingUrl, RecordingDuration, RecordingChannels, RecordingSource, RecordingStartTime }) {
+    const existing = await Recording.findOne({ where: { recordingSid: RecordingSid } });
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await Recording.create({
+        callId: call.id,
+        recordingSid: RecordingSid,
+        twilioUrl: RecordingUrl,
+        source: RecordingSource,
+        duration: parseInt(RecordingDuration) || 0,
+        channels: parseInt(RecordingChannels) || 1,
+        startedAt: RecordingStartTime ? new Date(RecordingStartTime) : null
+      });
+    } catch (error) {
+      // A concurrent callback got there first
+      if (!(error instanceof UniqueConstraintError)) throw error;
+      return Recording.findOne({ where: { recordingSid: RecordingSid } });
+    }
+  }
+
+  // Download a recording into storage; resolves to the stored Recording, or
+  // null if it failed (it is retried later) or another worker has it.
+  // Never rejects, so it can run in the background.
+  async download(recording) {
+    try {
+      const [claimed] = await Recording.update({
+        status: 'downloading',
+        downloadAttempts: recording.downloadAttempts + 1
+      }, {
+        where: { id: recording.id, status: { [Op.in]: ['pending', 'failed'] } }
+      });
+      if (claimed === 0) {
+        return null;
+      }
+      await recording.reload();
+    } catch (error) {
+      logger.error('Failed to claim recording for download:', { recordingId: recording.id, error: error.message });
+      return null;
+    }
+
+    const { format } = config.recordings;
+    const backend = config.recordings.storage;
+    const key = this.storageKey(recording, format);
+
+    try {
+      const media = await twilioService.fetchRecordingMedia(recording.twilioUrl, format);
+      const { size } = await recordingStorage.backend(backend).save(key, Readable.fromWeb(media.body));
+
+      await recording.update({
+        status: 'stored',
+        storageBackend: backend,
+        storageKey: key,
+        contentType: media.headers.get('content-type') || CONTENT_TYPES[format],
+        size,
+        storedAt: new Date(),
+        lastError: null
+      });
+
+      logger.info('Recording stored:', {
+        recordingId: recording.id,
+        callId: recording.callId,
+        recordingSid: recording.recordingSid,
+        size
+      });
+
+      await transcription.queue(recording);
+      return recording;
+    } catch (error) {
+      logger.warn('Failed to download recording:', {
+        recordingId: recording.id,
+        recordingSid: recording.recordingSid,
+        attempts: recording.downloadAttempts,
+        error: error.message
+      });
+
+      await this.markFailed(recording, error);
+      return null;
+    }
+  }
+
+  // A recording we can't mark failed stays downloading until retryDownloads
+  // times it out
+  async markFailed(recording, error) {
+    try {
+      await recording.update({ status: 'failed', lastError: error.message });
+    } catch (updateError) {
+      logger.error('Failed to mark recording download failed:', { recordingId: recording.id, error: updateError.message });
+    }
+  }
+
+  // e.g. 2026/10/RE123.mp3
+  storageKey(recording, format) {
+    const created = recording.createdAt;
+    const month = String(created.getUTCMonth() + 1).padStart(2, '0');
+    return `${created.getUTCFullYear()}/${month}/${recording.recordingSid}.${format}`;
+  }
+
+  // Retry downloads that failed or were interrupted; resolves to a report
+  async retryDownloads(now = new Date()) {
+    await Recording.update({ status: 'failed', lastError: 'Download interrupted' }, {
+      where: {
+        status: 'downloading',
+        updatedAt: { [Op.lte]: new Date(now.getTime() - DOWNLOAD_TIMEOUT_MS) }
+      }
+    });
+
+    const recordings = await Recording.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'failed'] },
+        downloadAttempts: { [Op.lt]: config.recordings.maxDownloadAttempts }
+      },
+      order: [['createdAt', 'ASC']],
+      limit: config.recordings.batchSize
+    });
+
+    let stored = 0;
+    for (const recording of recordings) {
+      if (await this.download(recording)) stored++;
+    }
+
+    return { attempted: recordings.length, stored, failed: recordings.length - stored };
+  }
+
+  // Delete recordings older than the retention period; resolves to a report
+  async purgeExpired(now = new Date()) {
+    const { retentionDays, batchSize } = config.recordings;
+    if (!retentionDays) {
+      return { deleted: 0, failures: 0, remaining: false };
+    }
+
+    const recordings = await Recording.findAll({
+      where: {
+        status: { [Op.ne]: 'deleted' },
+        createdAt: { [Op.lte]: new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000) }
+      },
+      order: [['createdAt', 'ASC']],
+      limit: batchSize
+    });
+
+    let deleted = 0;
+    let failures = 0;
+    for (const recording of recordings) {
+      try {
+        await this.remove(recording);
+        deleted++;
+      } catch (error) {
+        failures++;
+        logger.warn('Failed to delete expired recording:', {
+          recordingId: recording.id,
+          recordingSid: recording.recordingSid,
+          error: error.message
+        });
+      }
+    }
+
+    return { deleted, failures, remaining: recordings.length === batchSize };
+  }
+
+  // Delete our copy and Twilio's. Safe to repeat after a partial failure.
+  async remove(recording) {
+    if (recording.storageKey) {
+      await recordingStorage.backend(recording.storageBackend).delete(recording.storageKey);
+    }
+
+    if (!recording.twilioDeletedAt) {
+      try {
+        await twilioService.deleteRecording(recording.recordingSid);
+      } catch (error) {
+        if (error.code !== TWILIO_NOT_FOUND) throw error;
+      }
+      await recording.update({ twilioDeletedAt: new Date() });
+    }
+
+    await recording.update({ status: 'deleted', deletedAt: new Date() });
+
+    // Twilio's URL no longer plays
+    await Call.update({ recordingUrl: null }, {
+      where: { id: recording.callId, recordingUrl: recording.twilioUrl }
+    });
+
+    logger.info('Recording deleted:', { recordingId: recording.id, recordingSid: recording.recordingSid });
+  }
+
+  // The byte range a Range header asks for, as { start, end } (inclusive),
+  // or null to send the whole recording. Only single byte ranges are
+  // honoured; anything else is ignored, as RFC 9110 allows.
+  parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(match[2]);
+      if (length === 0) {
+        throw recordingError('Range not satisfiable', 416);
+      }
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1]);
+      end = match[2] === '' ? Infinity : parseInt(match[2]);
+      if (end < start) {
+        return null;
+      }
+    }
+
+    if (start >= size) {
+      throw recordingError('Range not satisfiable', 416);
+    }
+
+    return { start, end: Math.min(end, size - 1) };
+  }
+
+  // Stream a stored recording, or the given byte range of it
+  async createReadStream(recording, range) {
+    if (recording.status !== 'stored') {
+      throw recordingError('Recording is not available', 404);
+    }
+
+    return recordingStorage.backend(recording.storageBackend).createReadStream(recording.storageKey, range || {});
+  }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,106 @@
+const logger = require('../utils/logger');
+
+// Runs background jobs on fixed intervals. A job is { name, intervalMs, run },
+// where run() resolves to a summary of what it did. A job never overlaps
+// itself: a tick that arrives while the previous run is still going is skipped.
+class Scheduler {
+  constructor() {
+    // name -> job with its timer and last-run state
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  register({ name, intervalMs, run }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      run,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  // Start every job's interval, running each once right away to catch up on
+  // anything that came due while the server was down
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // Failures are logged by run() and kept in the job status
+    const tick = (name) => this.run(name).catch(() => {});
+
+    this.jobs.forEach(job => {
+      job.timer = setInterval(() => tick(job.name), job.intervalMs);
+      setImmediate(() => tick(job.name));
+    });
+
+    logger.info('Scheduler started:', { jobs: [...this.jobs.keys()] });
+  }
+
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.started = false;
+  }
+
+  // Run a job now; resolves to its result, or null if it was already running
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job ${name}`);
+    }
+
+    if (job.running) {
+      logger.debug('Skipping job run, previous run still in progress:', { job: name });
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.run();
+
+      job.lastResult = result;
+      job.lastError = null;
+      logger.debug('Job finished:', { job: name, result });
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Job ${name} failed:`, error);
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(startedAt);
+      job.lastDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    }));
+  }
+
+  has(name) {
+    return this.jobs.has(name);
+  }
+}
+
+module.exports = new Scheduler();
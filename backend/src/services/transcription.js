@@ -0,0 +1,274 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+const crmOutbox = require('./crmOutbox');
+const recordingStorage = require('./recordingStorage');
+const transcriptionProviders = require('./transcriptionProviders');
+const { Transcript, Recording, Call } = require('../models');
+
+// A transcription still running after this long is assumed lost and retried
+const TRANSCRIBE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Calls are recorded on the contact's call leg: the first channel is what
+// the contact says, the second what they hear from the agent
+const CHANNEL_SPEAKERS = ['contact', 'agent'];
+
+// Sentences in which someone commits to doing something
+const ACTION_PATTERN = /\b(i'll|i will|we'll|we will|i'm going to|we're going to|let me|i can send|send you|follow up|get back to you|call you back|remind)\b/i;
+
+// Words too common to say what a call was about
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how',
+  'i', 'if', 'in', 'is', 'it', 'its', 'just', 'know', 'like', 'll', 'me', 'my', 'no', 'not', 'now', 'of',
+  'ok', 'okay', 'on', 'or', 'our', 're', 's', 'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+  'they', 'this', 'to', 'um', 'uh', 'up', 'us', 've', 'was', 'we', 'well', 'were', 'what', 'when', 'which',
+  'will', 'with', 'would', 'yeah', 'yes', 'you', 'your'
+]);
+
+const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Transcribes stored call recordings with the TRANSCRIPTION_PROVIDER, keeps
+// the transcript per speaker, and adds a summary and action items to the
+// call's HubSpot call object.
+class TranscriptionService {
+  isEnabled() {
+    return Boolean(config.transcription.provider);
+  }
+
+  // Start transcribing a stored recording in the background; resolves to its
+  // Transcript, or null when transcription is off. Never rejects: a failure
+  // is retried by the transcriptions job.
+  async queue(recording) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      let transcript = await Transcript.findOne({ where: { recordingId: recording.id } });
+      if (!transcript) {
+        try {
+          transcript = await Transcript.create({
+            callId: recording.callId,
+            recordingId: recording.id,
+            provider: config.transcription.provider
+          });
+        } catch (error) {
+          // Queued by a concurrent download
+          if (!(error instanceof UniqueConstraintError)) throw error;
+          transcript = await Transcript.findOne({ where: { recordingId: recording.id } });
+        }
+      }
+
+      this.transcribe(transcript).catch(error => {
+        logger.error('Failed to transcribe recording:', { transcriptId: transcript.id, error: error.message });
+      });
+      return transcript;
+    } catch (error) {
+      logger.error('Failed to queue recording for transcription:', { recordingId: recording.id, error: error.message });
+      return null;
+    }
+  }
+
+  // Transcribe and summarize; resolves to the completed Transcript, or null
+  // if it failed (it is retried later) or another worker has it. Never
+  // rejects, so it can run in the background.
+  async transcribe(transcript) {
+    try {
+      const [claimed] = await Transcript.update({
+        status: 'processing',
+        attempts: transcript.attempts + 1
+      }, {
+        where: { id: transcript.id, status: { [Op.in]: ['pending', 'failed'] } }
+      });
+      if (claimed === 0) {
+        return null;
+      }
+      await transcript.reload();
+    } catch (error) {
+      logger.error('Failed to claim transcript:', { transcriptId: transcript.id, error: error.message });
+      return null;
+    }
+
+    try {
+      const recording = await Recording.findByPk(transcript.recordingId);
+      if (!recording || recording.status !== 'stored') {
+        throw new Error(`Recording is ${recording ? recording.status : 'missing'}`);
+      }
+
+      const audio = await recordingStorage.backend(recording.storageBackend).createReadStream(recording.storageKey);
+      const result = await transcriptionProviders.provider(transcript.provider).transcribe(recording, audio);
+      const segments = this.labelSpeakers(result.segments || [], recording.channels);
+
+      await transcript.update({
+        status: 'completed',
+        language: result.language || null,
+        segments,
+        summary: result.summary !== undefined ? result.summary : this.summarize(segments),
+        actionItems: result.actionItems || this.findActionItems(segments),
+        completedAt: new Date(),
+        lastError: null
+      });
+
+      logger.info('Recording transcribed:', {
+        transcriptId: transcript.id,
+        callId: transcript.callId,
+        segments: segments.length,
+        actionItems: transcript.actionItems.length
+      });
+
+      await this.publish(transcript);
+      return transcript;
+    } catch (error) {
+      logger.warn('Failed to transcribe recording:', {
+        transcriptId: transcript.id,
+        recordingId: transcript.recordingId,
+        attempts: transcript.attempts,
+        error: error.message
+      });
+
+      await this.markFailed(transcript, error);
+      return null;
+    }
+  }
+
+  // A transcript we can't mark failed stays processing until
+  // retryTranscriptions times it out
+  async markFailed(transcript, error) {
+    try {
+      await transcript.update({ status: 'failed', lastError: error.message });
+    } catch (updateError) {
+      logger.error('Failed to mark transcript failed:', { transcriptId: transcript.id, error: updateError.message });
+    }
+  }
+
+  // Tell the call's agents, and put the summary on the HubSpot call. A
+  // failure here doesn't undo the transcript.
+  async publish(transcript) {
+    try {
+      const call = await Call.findByPk(transcript.callId);
+
+      eventBus.publish('call_transcribed', {
+        callId: call.id,
+        transcriptId: transcript.id,
+        summary: transcript.summary,
+        actionItems: transcript.actionItems
+      }, eventBus.audienceForCall(call));
+
+      await crmOutbox.syncCall(call);
+    } catch (error) {
+      logger.error('Failed to publish transcript:', { transcriptId: transcript.id, error: error.message });
+    }
+  }
+
+  // Segments in order, with each provider's channel or speaker number turned
+  // into contact/agent (two-channel recordings) or speaker_1, speaker_2...
+  labelSpeakers(segments, channels) {
+    return segments
+      .filter(segment => segment.text && segment.text.trim())
+      .map(segment => ({
+        speaker: this.speakerLabel(segment, channels),
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim()
+      }))
+      .sort((a, b) => (a.start || 0) - (b.start || 0));
+  }
+
+  speakerLabel({ channel, speaker }, channels) {
+    if (typeof speaker === 'string') {
+      return speaker;
+    }
+    if (channels > 1 && Number.isInteger(channel)) {
+      return CHANNEL_SPEAKERS[channel] || `channel_${channel + 1}`;
+    }
+    return Number.isInteger(speaker) ? `speaker_${speaker + 1}` : 'unknown';
+  }
+
+  // The transcript's sentences, with who said them and when
+  sentences(segments) {
+    return segments.flatMap(segment =>
+      (segment.text.match(/[^.!?]+[.!?]*/g) || [])
+        .map(text => ({ speaker: segment.speaker, start: segment.start, text: text.trim() }))
+        .filter(sentence => sentence.text)
+    );
+  }
+
+  // Extractive summary: the sentences whose words recur most across the
+  // call, in the order they were said. Null for a call without speech.
+  summarize(segments) {
+    const sentences = this.sentences(segments).filter(sentence => words(sentence.text).length >= 4);
+    if (sentences.length === 0) {
+      return null;
+    }
+
+    const frequency = {};
+    for (const sentence of sentences) {
+      for (const word of words(sentence.text)) {
+        if (!STOP_WORDS.has(word)) frequency[word] = (frequency[word] || 0) + 1;
+      }
+    }
+
+    const score = (sentence) => {
+      const sentenceWords = words(sentence.text);
+      const total = sentenceWords.reduce((sum, word) => sum + (frequency[word] || 0), 0);
+      return total / Math.sqrt(sentenceWords.length);
+    };
+
+    return sentences
+      .map((sentence, index) => ({ index, text: sentence.text, score: score(sentence) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.transcription.summarySentences)
+      .sort((a, b) => a.index - b.index)
+      .map(sentence => sentence.text)
+      .join(' ');
+  }
+
+  // Sentences in which the agent or contact commits to something
+  findActionItems(segments) {
+    const seen = new Set();
+
+    return this.sentences(segments)
+      .filter(sentence => ACTION_PATTERN.test(sentence.text))
+      .filter(sentence => {
+        const key = sentence.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(({ speaker, text, start }) => ({ speaker, text, start }));
+  }
+
+  // Retry transcriptions that failed or were interrupted; resolves to a report
+  async retryTranscriptions(now = new Date()) {
+    await Transcript.update({ status: 'failed', lastError: 'Transcription interrupted' }, {
+      where: {
+        status: 'processing',
+        updatedAt: { [Op.lte]: new Date(now.getTime() - TRANSCRIBE_TIMEOUT_MS) }
+      }
+    });
+
+    if (!this.isEnabled()) {
+      return { attempted: 0, completed: 0, failed: 0 };
+    }
+
+    const transcripts = await Transcript.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'failed'] },
+        attempts: { [Op.lt]: config.transcription.maxAttempts }
+      },
+      order: [['createdAt', 'ASC']],
+      limit: config.transcription.batchSize
+    });
+
+    let completed = 0;
+    for (const transcript of transcripts) {
+      if (await this.transcribe(transcript)) completed++;
+    }
+
+    return { attempted: transcripts.length, completed, failed: transcripts.length - completed };
+  }
+}
+
+module.exports = new TranscriptionService();
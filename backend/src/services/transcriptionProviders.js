@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Stand-in for a speech-to-text service, for development and tests. It
+// doesn't listen to the audio: the transcript of a recording is read from
+// <directory>/<recordingSid>.json, shaped like what transcribe() resolves to.
+// A recording without one has an empty transcript.
+class LocalTranscriptionProvider {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  async transcribe(recording, audio) {
+    audio.destroy();
+
+    try {
+      const file = path.join(this.directory, `${path.basename(recording.recordingSid)}.json`);
+      const transcript = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return { language: null, segments: [], ...transcript };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { language: null, segments: [] };
+      throw error;
+    }
+  }
+}
+
+// Deepgram's pre-recorded audio API. Two-channel recordings are transcribed
+// per channel; mono ones are diarized.
+class DeepgramProvider {
+  constructor({ apiKey, model, language }) {
+    if (!apiKey) {
+      throw new Error('DEEPGRAM_API_KEY is not set');
+    }
+    this.apiKey = apiKey;
+    this.model = model;
+    this.language = language;
+  }
+
+  async transcribe(recording, audio) {
+    const params = new URLSearchParams({
+      model: this.model,
+      punctuate: 'true',
+      smart_format: 'true',
+      utterances: 'true'
+    });
+    if (recording.channels > 1) {
+      params.set('multichannel', 'true');
+    } else {
+      params.set('diarize', 'true');
+    }
+    if (this.language) {
+      params.set('language', this.language);
+    } else {
+      params.set('detect_language', 'true');
+    }
+
+    const response = await fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Token ${this.apiKey}`,
+        'Content-Type': recording.contentType
+      },
+      body: audio,
+      duplex: 'half'
+    });
+    if (!response.ok) {
+      throw new Error(`Deepgram transcription failed: HTTP ${response.status}`);
+    }
+
+    const { results } = await response.json();
+    const channel = results.channels[0] || {};
+
+    return {
+      language: this.language || channel.detected_language || null,
+      segments: (results.utterances || []).map(utterance => ({
+        channel: recording.channels > 1 ? utterance.channel : undefined,
+        speaker: recording.channels > 1 ? undefined : utterance.speaker,
+        start: utterance.start,
+        end: utterance.end,
+        text: utterance.transcript
+      }))
+    };
+  }
+}
+
+// Transcription providers, by name. A provider implements
+// transcribe(recording, audio), where audio is a readable stream of the
+// stored recording, and resolves to { language, segments }. Each segment is
+// { channel, speaker, start, end, text }: channel for per-channel
+// transcripts, speaker (a number) for diarized ones. A provider may also
+// resolve summary and actionItems, which are used instead of our own.
+// Others are added with register().
+class TranscriptionProviders {
+  constructor() {
+    this.factories = {
+      local: () => new LocalTranscriptionProvider(config.transcription.local.directory),
+      deepgram: () => new DeepgramProvider(config.transcription.deepgram)
+    };
+    this.providers = {};
+  }
+
+  register(name, factory) {
+    this.factories[name] = factory;
+    delete this.providers[name];
+  }
+
+  // The named provider, by default the configured one
+  provider(name = config.transcription.provider) {
+    if (!this.providers[name]) {
+      if (!this.factories[name]) {
+        throw new Error(`Unknown transcription provider: ${name}`);
+      }
+      this.providers[name] = this.factories[name]();
+    }
+
+    return this.providers[name];
+  }
+}
+
+module.exports = new TranscriptionProviders();
+module.exports.LocalTranscriptionProvider = LocalTranscriptionProvider;
+module.exports.DeepgramProvider = DeepgramProvider;
@@ -30,7 +30,8 @@ class TwilioService {
     return accessToken.toJwt();
   }
 
-  // Make outbound call to WhatsApp
+  // Make outbound call to WhatsApp. It isn't recorded until the recording
+  // policy allows it (see startCallRecording).
   async makeOutboundCall(toWhatsAppNumber, fromWhatsAppNumber, callbackUrl) {
     try {
       const call = await this.client.calls.create({
@@ -39,9 +40,7 @@ class TwilioService {
         url: callbackUrl,
         statusCallback: `${callbackUrl}/status`,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        statusCallbackMethod: 'POST',
-        record: true,
-        recordingStatusCallback: `${callbackUrl}/recording`
+        statusCallbackMethod: 'POST'
       });
 
       logger.info('Outbound WhatsApp call created:', {
@@ -58,12 +57,13 @@ class TwilioService {
   }
 
   // Send call permission request
-  async sendCallPermissionRequest(toWhatsAppNumber, templateSid) {
+  async sendCallPermissionRequest(toWhatsAppNumber, templateSid, statusCallback) {
     try {
       const message = await this.client.messages.create({
         contentSid: templateSid,
         from: this.whatsappNumber,
-        to: toWhatsAppNumber
+        to: toWhatsAppNumber,
+        ...(statusCallback && { statusCallback })
       });
 
       logger.info('Call permission request sent:', {
@@ -78,6 +78,27 @@ class TwilioService {
     }
   }
 
+  // Send free-form WhatsApp message
+  async sendWhatsAppMessage(toWhatsAppNumber, body) {
+    try {
+      const message = await this.client.messages.create({
+        body,
+        from: this.whatsappNumber,
+        to: toWhatsAppNumber
+      });
+
+      logger.info('WhatsApp message sent:', {
+        messageSid: message.sid,
+        to: toWhatsAppNumber
+      });
+
+      return message;
+    } catch (error) {
+      logger.error('Failed to send WhatsApp message:', error);
+      throw error;
+    }
+  }
+
   // Send voice call template message
   async sendVoiceCallTemplate(toWhatsAppNumber, templateSid, variables = {}) {
     try {
@@ -112,6 +133,62 @@ class TwilioService {
     }
   }
 
+  // Download recording media (Twilio recording URLs require account credentials)
+  async fetchRecordingMedia(recordingUrl, format = 'mp3') {
+    const response = await fetch(`${recordingUrl}.${format}`, {
+      headers: { Authorization: this.getBasicAuthHeader() }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to fetch recording: HTTP ${response.status}`);
+      error.statusCode = response.status;
+      logger.error('Failed to fetch recording media:', { recordingUrl, status: response.status });
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Start recording an in-progress call, both directions in separate channels
+  async startCallRecording(callSid, recordingStatusCallback) {
+    try {
+      const recording = await this.client.calls(callSid).recordings.create({
+        recordingChannels: 'dual',
+        recordingStatusCallback,
+        recordingStatusCallbackEvent: ['completed']
+      });
+
+      logger.info('Call recording started:', { callSid, recordingSid: recording.sid });
+      return recording;
+    } catch (error) {
+      logger.error(`Failed to start recording call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  // Pause or resume a call's recording ("Twilio.CURRENT" for the active one)
+  async updateCallRecording(callSid, recordingSid, options) {
+    try {
+      const recording = await this.client.calls(callSid).recordings(recordingSid).update(options);
+      logger.info('Call recording updated:', { callSid, recordingSid, options });
+      return recording;
+    } catch (error) {
+      logger.error(`Failed to update recording of call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  // Delete a recording from the Twilio account
+  async deleteRecording(recordingSid) {
+    try {
+      await this.client.recordings(recordingSid).remove();
+      logger.info('Recording deleted from Twilio:', { recordingSid });
+    } catch (error) {
+      logger.error(`Failed to delete recording ${recordingSid}:`, error);
+      throw error;
+    }
+  }
+
   // Update call (e.g., to hang up)
   async updateCall(callSid, options) {
     try {
@@ -137,7 +214,7 @@ class TwilioService {
         statusCallback: options.statusCallback,
         statusCallbackMethod: 'POST',
         statusCallbackEvent: ['start', 'end', 'join', 'leave'],
-        record: options.record || 'record-from-start',
+        record: options.record || 'do-not-record', // Calls are recorded per the recording policy
         ...options
       });
 
@@ -181,6 +258,35 @@ class TwilioService {
     }
   }
 
+  // Update a conference participant (e.g., to hold or unhold them)
+  async updateConferenceParticipant(conferenceSid, callSid, options) {
+    try {
+      const participant = await this.client.conferences(conferenceSid)
+        .participants(callSid)
+        .update(options);
+
+      logger.info('Conference participant updated:', { conferenceSid, callSid, options });
+      return participant;
+    } catch (error) {
+      logger.error(`Failed to update conference participant ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove participant from conference (hangs up their leg)
+  async removeConferenceParticipant(conferenceSid, callSid) {
+    try {
+      await this.client.conferences(conferenceSid)
+        .participants(callSid)
+        .remove();
+
+      logger.info('Participant removed from conference:', { conferenceSid, callSid });
+    } catch (error) {
+      logger.error(`Failed to remove conference participant ${callSid}:`, error);
+      throw error;
+    }
+  }
+
   // Generate TwiML for different scenarios
   generateTwiML(scenario, options = {}) {
     const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -188,24 +294,20 @@ class TwilioService {
 
     switch (scenario) {
       case 'inbound_to_hubspot':
-        // Route inbound call to HubSpot agent
-        twiml.dial({ callerId: this.whatsappNumber }, (dial) => {
-          dial.client(options.agentIdentity || 'hubspot-agent');
-        });
+        // Route inbound call to the agent the queue assigned
+        twiml.dial({ callerId: this.whatsappNumber }).client(options.agentIdentity);
         break;
 
       case 'conference_bridge':
         // Create conference bridge
-        twiml.dial((dial) => {
-          dial.conference(options.conferenceName, {
-            startConferenceOnEnter: true,
-            endConferenceOnExit: false,
-            waitUrl: 'http://twimlets.com/holdmusic?Bucket=com.twilio.music.ambient',
-            statusCallback: options.statusCallback,
-            statusCallbackEvent: 'start end join leave mute hold',
-            statusCallbackMethod: 'POST'
-          });
-        });
+        twiml.dial().conference({
+          startConferenceOnEnter: true,
+          endConferenceOnExit: false,
+          waitUrl: config.twilio.holdMusicUrl,
+          statusCallback: options.statusCallback,
+          statusCallbackEvent: 'start end join leave mute hold',
+          statusCallbackMethod: 'POST'
+        }, options.conferenceName);
         break;
 
       case 'voicemail':
@@ -214,10 +316,18 @@ class TwilioService {
         twiml.record({
           timeout: 30,
           transcribe: true,
-          recordingStatusCallback: options.recordingCallback
+          transcribeCallback: options.transcriptionCallback,
+          recordingStatusCallback: options.recordingCallback,
+          action: options.completedUrl
         });
         break;
 
+      case 'unavailable':
+        // Nobody can take the call
+        twiml.say(options.message || 'All of our agents are busy. Please try again later.');
+        twiml.hangup();
+        break;
+
       case 'busy':
         // Busy signal
         twiml.reject({ reason: 'busy' });
@@ -232,14 +342,14 @@ class TwilioService {
   }
 
   // Create content template for call permissions
-  async createCallPermissionTemplate(templateName, language = 'en') {
+  async createCallPermissionTemplate(templateName, language = 'en', body = 'We would like to call you. Do you approve?') {
     try {
-      const content = await this.client.content.v1.contents.create({
-        friendlyName: templateName,
+      const content = await this.contentRequest('POST', '/Content', {
+        friendly_name: templateName,
         language: language,
         types: {
           'twilio/call-to-action': {
-            body: 'We would like to call you. Do you approve?',
+            body: body,
             actions: [{
               type: 'VOICE_CALL_REQUEST',
               title: 'Call Request'
@@ -263,8 +373,8 @@ class TwilioService {
   // Create voice call button template
   async createVoiceCallTemplate(templateName, title, language = 'en', variables = {}) {
     try {
-      const content = await this.client.content.v1.contents.create({
-        friendlyName: templateName,
+      const content = await this.contentRequest('POST', '/Content', {
+        friendly_name: templateName,
         language: language,
         variables: variables,
         types: {
@@ -289,6 +399,60 @@ class TwilioService {
       throw error;
     }
   }
+
+  // Submit a content template to WhatsApp for approval
+  async submitTemplateForApproval(contentSid, name, category = 'UTILITY') {
+    try {
+      const approval = await this.contentRequest('POST', `/Content/${contentSid}/ApprovalRequests/whatsapp`, {
+        name,
+        category
+      });
+
+      logger.info('Template submitted for WhatsApp approval:', { contentSid, status: approval.status });
+      return approval;
+    } catch (error) {
+      logger.error(`Failed to submit template ${contentSid} for approval:`, error);
+      throw error;
+    }
+  }
+
+  // Get the WhatsApp approval status of a content template
+  async getTemplateApproval(contentSid) {
+    try {
+      const approval = await this.client.content.v1.contents(contentSid).approvalFetch().fetch();
+      return approval.whatsapp || {};
+    } catch (error) {
+      logger.error(`Failed to fetch approval status for template ${contentSid}:`, error);
+      throw error;
+    }
+  }
+
+  // Call the Content API directly; this SDK version can't create content or
+  // request approvals, which both take JSON bodies
+  async contentRequest(method, path, body) {
+    const response = await fetch(`https://content.twilio.com/v1${path}`, {
+      method,
+      headers: {
+        Authorization: this.getBasicAuthHeader(),
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.message || `Content API request failed: HTTP ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  getBasicAuthHeader() {
+    const credentials = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+    return `Basic ${credentials}`;
+  }
 }
 
 module.exports = new TwilioService();
\ No newline at end of file
@@ -0,0 +1,117 @@
+const logger = require('../utils/logger');
+const twilioService = require('./twilio');
+const crmOutbox = require('./crmOutbox');
+const eventBus = require('./eventBus');
+const { Voicemail, Call, CallLog, HubSpotContact, Queue } = require('../models');
+
+class VoicemailService {
+  // TwiML that records a voicemail for a call, with recording and transcription callbacks
+  generateTwiML(call, baseUrl) {
+    const voicemailUrl = `${baseUrl}/webhook/voicemail/${call.id}`;
+
+    return twilioService.generateTwiML('voicemail', {
+      recordingCallback: `${voicemailUrl}/recording`,
+      transcriptionCallback: `${voicemailUrl}/transcription`,
+      completedUrl: `${voicemailUrl}/complete`
+    });
+  }
+
+  // Store a finished voicemail recording and notify whoever owns it
+  async handleRecording(call, { RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus }) {
+    if (RecordingStatus && RecordingStatus !== 'completed') {
+      logger.warn('Voicemail recording not completed:', { callId: call.id, status: RecordingStatus });
+      return null;
+    }
+
+    const [voicemail, created] = await Voicemail.findOrCreate({
+      where: { recordingSid: RecordingSid },
+      defaults: {
+        callId: call.id,
+        contactId: call.contactId,
+        queueId: call.metadata && call.metadata.queueId,
+        recordingUrl: RecordingUrl,
+        duration: parseInt(RecordingDuration) || 0
+      }
+    });
+
+    if (!created) {
+      return voicemail;
+    }
+
+    await CallLog.create({
+      callId: call.id,
+      event: 'voicemail_recorded',
+      source: 'twilio',
+      message: `Voicemail recorded (${voicemail.duration}s)`,
+      data: { voicemailId: voicemail.id, recordingSid: RecordingSid }
+    });
+
+    const contact = await HubSpotContact.findByPk(call.contactId);
+    const queue = voicemail.queueId ? await Queue.findByPk(voicemail.queueId) : null;
+
+    eventBus.publish('voicemail_received', {
+      voicemailId: voicemail.id,
+      callId: call.id,
+      queueId: voicemail.queueId,
+      duration: voicemail.duration,
+      contact: {
+        id: contact.id,
+        name: contact.getFullName(),
+        whatsappNumber: contact.whatsappNumber
+      }
+    }, {
+      portalId: call.portalId,
+      agentIds: voicemail.agentId ? [voicemail.agentId] : [],
+      teams: queue ? [queue.team] : [],
+      supervisors: true,
+      topics: [`contact:${contact.id}`]
+    });
+
+    logger.info('Voicemail received:', { voicemailId: voicemail.id, callId: call.id });
+
+    await this.logToHubSpot(voicemail);
+    return voicemail;
+  }
+
+  // Attach the transcript and log the voicemail to the caller's HubSpot contact
+  async handleTranscription(call, { RecordingSid, TranscriptionText, TranscriptionStatus }) {
+    const voicemail = await Voicemail.findOne({ where: { recordingSid: RecordingSid } });
+    if (!voicemail) {
+      logger.warn('Transcription received for unknown voicemail:', { callId: call.id, recordingSid: RecordingSid });
+      return null;
+    }
+
+    await voicemail.update({
+      transcription: TranscriptionText || null,
+      transcriptionStatus: TranscriptionStatus === 'completed' ? 'completed' : 'failed'
+    });
+
+    eventBus.publish('voicemail_transcribed', {
+      voicemailId: voicemail.id,
+      callId: call.id,
+      transcriptionStatus: voicemail.transcriptionStatus
+    }, {
+      portalId: call.portalId,
+      agentIds: voicemail.agentId ? [voicemail.agentId] : [],
+      supervisors: true,
+      topics: [`contact:${voicemail.contactId}`]
+    });
+
+    await this.logToHubSpot(voicemail);
+    return voicemail;
+  }
+
+  // Add the voicemail to the call's HubSpot call object. Calls that are
+  // still going are logged with their voicemail once they end.
+  async logToHubSpot(voicemail) {
+    try {
+      const call = await Call.findByPk(voicemail.callId);
+
+      await crmOutbox.syncCall(call);
+    } catch (error) {
+      logger.error('Failed to log voicemail to HubSpot:', error);
+    }
+  }
+}
+
+module.exports = new VoicemailService();
@@ -0,0 +1,69 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const { WebhookReceipt } = require('../models');
+
+// Remembers which webhook deliveries and side effects have already been
+// handled. Twilio retries deliveries it didn't get a 2xx for and may deliver
+// status callbacks out of order; the unique key makes a second claim fail.
+class WebhookReceiptService {
+  // Record a delivery; resolves to the receipt, or null if it was already received
+  async claim({ key, type, resourceSid = null, sequenceNumber = null, data = {} }) {
+    try {
+      return await WebhookReceipt.create({ key, type, resourceSid, sequenceNumber, data });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Forget a delivery that failed, so Twilio's retry is processed
+  async release(receipt) {
+    await receipt.destroy();
+  }
+
+  async markStale(receipt, reason) {
+    await receipt.update({ outcome: 'stale', data: { ...receipt.data, reason } });
+  }
+
+  // Highest sequence number already applied for a resource, or null
+  async lastSequence(type, resourceSid, exceptId) {
+    return WebhookReceipt.max('sequenceNumber', {
+      where: {
+        type,
+        resourceSid,
+        outcome: 'processed',
+        sequenceNumber: { [Op.ne]: null },
+        ...(exceptId && { id: { [Op.ne]: exceptId } })
+      }
+    });
+  }
+
+  // Run a side effect at most once per key. If it throws, the key is freed
+  // so a later retry can run it again. Resolves to false if it already ran.
+  async once(key, run) {
+    const receipt = await this.claim({ key: `effect:${key}`, type: 'effect' });
+    if (!receipt) {
+      logger.debug('Side effect already performed:', { key });
+      return false;
+    }
+
+    try {
+      await run();
+      return true;
+    } catch (error) {
+      await this.release(receipt);
+      throw error;
+    }
+  }
+
+  // Delete receipts older than the given date; resolves to how many
+  async purge(olderThan) {
+    return WebhookReceipt.destroy({
+      where: { createdAt: { [Op.lt]: olderThan } }
+    });
+  }
+}
+
+module.exports = new WebhookReceiptService();
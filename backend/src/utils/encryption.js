@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// 32-byte key derived from TOKEN_ENCRYPTION_KEY
+const key = () => crypto.createHash('sha256').update(config.security.tokenEncryptionKey).digest();
+
+// Encrypt a secret for storage as "iv:authTag:ciphertext" (base64 parts)
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a value produced by encrypt(); throws if it was tampered with
+// or encrypted under another key
+const decrypt = (stored) => {
+  const [iv, authTag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
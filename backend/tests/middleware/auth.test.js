@@ -0,0 +1,202 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
+
+const { createServer } = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const WebSocket = require('ws');
+
+const config = require('../../src/config/config');
+const { sequelize, Agent } = require('../../src/models');
+const authService = require('../../src/services/auth');
+const eventBus = require('../../src/services/eventBus');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { authenticate, requireRole } = require('../../src/middleware/auth');
+const authRoutes = require('../../src/routes/auth');
+const jobRoutes = require('../../src/routes/jobs');
+
+// Mounted the way src/index.js mounts them
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/jobs', authenticate, requireRole('admin'), jobRoutes);
+app.use(errorHandler);
+
+describe('agent authentication', () => {
+  let agent;
+  let supervisor;
+  let admin;
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeAll(async () => {
+    await sequelize.sync();
+    agent = await authService.createAgent({ email: 'Agent@example.com', name: 'Agent', password: 'agent-password', role: 'agent' });
+    supervisor = await authService.createAgent({ email: 'supervisor@example.com', name: 'Supervisor', password: 'x', role: 'supervisor' });
+    admin = await authService.createAgent({ email: 'admin@example.com', name: 'Admin', password: 'x', role: 'admin' });
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('tokens', () => {
+    it('carry the agent, role and identity', () => {
+      const payload = authService.verifyToken(authService.issueToken(agent));
+
+      expect(payload).toMatchObject({
+        sub: agent.id,
+        role: 'agent',
+        identity: agent.twilioIdentity,
+        iss: 'whatsapp-hubspot-calling'
+      });
+    });
+
+    it('are refused when signed with another secret, by another issuer, or expired', () => {
+      const options = { subject: agent.id, issuer: 'whatsapp-hubspot-calling' };
+
+      expect(() => authService.verifyToken(jwt.sign({}, 'another-secret', options))).toThrow(/signature/);
+      expect(() => authService.verifyToken(jwt.sign({}, config.security.jwtSecret, { ...options, issuer: 'someone-else' })))
+        .toThrow(/issuer/);
+      expect(() => authService.verifyToken(jwt.sign({ exp: Math.floor(Date.now() / 1000) - 10 }, config.security.jwtSecret, options)))
+        .toThrow(/expired/);
+    });
+  });
+
+  describe('login', () => {
+    it('issues a token for the right password, whatever the email case', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'AGENT@example.com', password: 'agent-password' })
+        .expect(200);
+
+      expect(response.body.agent.id).toBe(agent.id);
+      expect(authService.verifyToken(response.body.token).sub).toBe(agent.id);
+    });
+
+    it('refuses a wrong password or unknown email', async () => {
+      await request(app).post('/api/auth/login').send({ email: 'agent@example.com', password: 'wrong' }).expect(401);
+      await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'agent-password' }).expect(401);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('lets an agent with a valid token through', async () => {
+      const response = await request(app).get('/api/auth/me').set(bearer(authService.issueToken(agent))).expect(200);
+
+      expect(response.body.agent).toMatchObject({ id: agent.id, role: 'agent' });
+      expect(response.body.agent.passwordHash).toBeUndefined();
+    });
+
+    it('answers 401 without a bearer token', async () => {
+      await request(app).get('/api/auth/me').expect(401);
+      await request(app).get('/api/auth/me').set('Authorization', `Basic ${authService.issueToken(agent)}`).expect(401);
+      await request(app).get('/api/auth/me').set('Authorization', 'Bearer').expect(401);
+    });
+
+    it('answers 401 for a forged or expired token', async () => {
+      const forged = jwt.sign({ role: 'admin' }, 'another-secret', { subject: admin.id, issuer: 'whatsapp-hubspot-calling' });
+      const expired = jwt.sign({ role: 'agent', exp: Math.floor(Date.now() / 1000) - 10 }, config.security.jwtSecret, {
+        subject: agent.id,
+        issuer: 'whatsapp-hubspot-calling'
+      });
+
+      const response = await request(app).get('/api/auth/me').set(bearer(forged)).expect(401);
+      expect(response.body).toEqual({ error: 'Authentication required', message: 'Invalid or expired token' });
+      await request(app).get('/api/auth/me').set(bearer(expired)).expect(401);
+      await request(app).get('/api/auth/me').set(bearer('not-a-jwt')).expect(401);
+    });
+
+    it('answers 401 once the agent is deactivated or deleted', async () => {
+      const leaver = await authService.createAgent({ email: 'leaver@example.com', name: 'Leaver', password: 'x', role: 'admin' });
+      const token = authService.issueToken(leaver);
+
+      await leaver.update({ active: false });
+      await request(app).get('/api/auth/me').set(bearer(token)).expect(401);
+
+      await leaver.destroy();
+      await request(app).get('/api/auth/me').set(bearer(token)).expect(401);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('answers 403 to agents without the role', async () => {
+      const response = await request(app).get('/api/auth/agents').set(bearer(authService.issueToken(agent))).expect(403);
+      expect(response.body).toEqual({ error: 'Forbidden', message: 'Requires role: supervisor or admin' });
+
+      await request(app).get('/api/jobs').set(bearer(authService.issueToken(supervisor))).expect(403);
+    });
+
+    it('lets agents with the role through', async () => {
+      await request(app).get('/api/auth/agents').set(bearer(authService.issueToken(supervisor))).expect(200);
+      await request(app).get('/api/jobs').set(bearer(authService.issueToken(admin))).expect(200);
+    });
+
+    it('checks the role stored for the agent, not the one in the token', async () => {
+      const promoted = jwt.sign({ role: 'admin' }, config.security.jwtSecret, {
+        subject: agent.id,
+        issuer: 'whatsapp-hubspot-calling'
+      });
+
+      await request(app).get('/api/jobs').set(bearer(promoted)).expect(403);
+    });
+
+    it('refuses a request that was not authenticated', () => {
+      const next = jest.fn();
+      requireRole('admin')({}, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'AuthorizationError' }));
+    });
+  });
+
+  describe('WebSocket upgrades', () => {
+    let server;
+    let wss;
+    let url;
+
+    beforeAll(async () => {
+      server = createServer();
+      wss = new WebSocket.Server({ server });
+      eventBus.attach(wss);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      wss.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    // Resolves to the first message, or to the close code if the socket is closed first
+    const connect = (query) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${url}/${query}`);
+      ws.on('message', (data) => {
+        ws.close();
+        resolve({ message: JSON.parse(data) });
+      });
+      ws.on('close', (code) => resolve({ code }));
+      ws.on('error', reject);
+    });
+
+    it('registers a connection with a valid token', async () => {
+      const { message } = await connect(`?token=${authService.issueToken(agent)}`);
+
+      expect(message).toMatchObject({ type: 'connected', agentId: agent.id, epoch: eventBus.epoch });
+    });
+
+    it('closes with 4401 without a valid token', async () => {
+      const forged = jwt.sign({}, 'another-secret', { subject: admin.id, issuer: 'whatsapp-hubspot-calling' });
+
+      expect(await connect('')).toEqual({ code: 4401 });
+      expect(await connect('?token=not-a-jwt')).toEqual({ code: 4401 });
+      expect(await connect(`?token=${forged}`)).toEqual({ code: 4401 });
+    });
+
+    it('closes with 4401 for a deactivated agent', async () => {
+      const leaver = await Agent.create({ email: 'ws-leaver@example.com', name: 'Leaver', passwordHash: 'x', active: false });
+
+      expect(await connect(`?token=${authService.issueToken(leaver)}`)).toEqual({ code: 4401 });
+    });
+  });
+});
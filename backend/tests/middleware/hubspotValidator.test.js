@@ -0,0 +1,104 @@
+process.env.LOG_LEVEL = 'error';
+process.env.HUBSPOT_CLIENT_SECRET = 'client-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../../src/config/config');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { validateHubSpotSignature, computeSignature } = require('../../src/middleware/hubspotValidator');
+
+const HOST = 'calls.example.com';
+const PATH = '/api/hubspot/webhooks';
+
+// Parses the body the way src/index.js does, keeping the raw body for signing
+const app = express();
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer.toString('utf8'); } }));
+app.post(PATH, validateHubSpotSignature, (req, res) => res.json({ received: req.body }));
+app.use(errorHandler);
+
+describe('validateHubSpotSignature', () => {
+  const body = JSON.stringify([{ eventId: 1, subscriptionType: 'contact.propertyChange', objectId: 123 }]);
+
+  const sign = ({ payload = body, timestamp = Date.now(), uri = `http://${HOST}${PATH}` } = {}) =>
+    computeSignature('client-secret', { method: 'POST', uri, body: payload, timestamp });
+
+  const post = ({ payload = body, signature, timestamp = Date.now() } = {}) => request(app)
+    .post(PATH)
+    .set('Host', HOST)
+    .set('Content-Type', 'application/json')
+    .set('X-HubSpot-Signature-v3', signature === undefined ? sign({ timestamp }) : signature)
+    .set('X-HubSpot-Request-Timestamp', String(timestamp))
+    .send(payload);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts a request signed with the client secret', async () => {
+    const response = await post().expect(200);
+
+    expect(response.body.received).toEqual(JSON.parse(body));
+  });
+
+  it('rejects a body that was changed after signing', async () => {
+    const timestamp = Date.now();
+    const tampered = body.replace('123', '124');
+
+    const response = await post({ payload: tampered, signature: sign({ timestamp }), timestamp }).expect(401);
+    expect(response.body.message).toBe('Invalid HubSpot signature');
+  });
+
+  it('rejects a signature made with another secret', async () => {
+    const timestamp = Date.now();
+    const signature = computeSignature('another-secret', { method: 'POST', uri: `http://${HOST}${PATH}`, body, timestamp });
+
+    await post({ signature, timestamp }).expect(401);
+  });
+
+  it('rejects a stale, future or unreadable timestamp, even when signed', async () => {
+    for (const timestamp of [
+      Date.now() - config.hubspot.webhookMaxAgeMs - 1000,
+      Date.now() + config.hubspot.webhookMaxAgeMs + 1000,
+      'yesterday'
+    ]) {
+      const response = await post({ timestamp }).expect(401);
+      expect(response.body.message).toBe('HubSpot request timestamp is too old');
+    }
+  });
+
+  it('rejects a request without the signature headers', async () => {
+    const response = await request(app).post(PATH).set('Host', HOST).send(JSON.parse(body)).expect(401);
+
+    expect(response.body.message).toBe('Missing HubSpot signature');
+  });
+
+  it('compares signatures of another length without calling timingSafeEqual', async () => {
+    const timingSafeEqual = jest.spyOn(crypto, 'timingSafeEqual');
+
+    await post({ signature: 'short' }).expect(401);
+    await post({ signature: `${sign()}extra` }).expect(401);
+    expect(timingSafeEqual).not.toHaveBeenCalled();
+
+    await post().expect(200);
+    expect(timingSafeEqual).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs the URI with the characters HubSpot decodes', () => {
+    const timestamp = 1700000000000;
+    const decoded = sign({ timestamp, uri: `http://${HOST}${PATH}?objectId=1&at=10:30` });
+
+    expect(sign({ timestamp, uri: `http://${HOST}${PATH}?objectId=1&at=10%3A30` })).toBe(decoded);
+    expect(sign({ timestamp, uri: `http://${HOST}${PATH}?objectId=1&at=10%3a30` })).toBe(decoded);
+    expect(sign({ timestamp, uri: `http://${HOST}${PATH}?objectId=1&at=10%2530` })).not.toBe(decoded);
+  });
+
+  it('skips validation while no client secret is configured', async () => {
+    const clientSecret = config.hubspot.clientSecret;
+    config.hubspot.clientSecret = undefined;
+    try {
+      await request(app).post(PATH).set('Host', HOST).send(JSON.parse(body)).expect(200);
+    } finally {
+      config.hubspot.clientSecret = clientSecret;
+    }
+  });
+});
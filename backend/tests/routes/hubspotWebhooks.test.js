@@ -0,0 +1,95 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
+delete process.env.HUBSPOT_CLIENT_SECRET;
+
+const express = require('express');
+const request = require('supertest');
+
+const { sequelize, WebhookReceipt } = require('../../src/models');
+const hubspotEvents = require('../../src/services/hubspotEvents');
+const hubspotWebhookRoutes = require('../../src/routes/hubspotWebhooks');
+
+const app = express();
+app.use(express.json());
+app.use('/api/hubspot/webhooks', hubspotWebhookRoutes);
+
+describe('POST /api/hubspot/webhooks', () => {
+  const events = [
+    { eventId: 1, subscriptionType: 'contact.propertyChange', objectId: 101, portalId: 42 },
+    { eventId: 2, subscriptionType: 'contact.propertyChange', objectId: 102, portalId: 42 },
+    { eventId: 3, subscriptionType: 'contact.deletion', objectId: 103, portalId: 42 }
+  ];
+
+  beforeAll(() => sequelize.sync());
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await WebhookReceipt.destroy({ where: {} });
+  });
+
+  afterAll(() => sequelize.close());
+
+  it('answers 200 when every event is applied', async () => {
+    jest.spyOn(hubspotEvents, 'handle').mockResolvedValue('processed');
+
+    const response = await request(app).post('/api/hubspot/webhooks').send(events).expect(200);
+
+    expect(response.body).toEqual({
+      status: 'processed',
+      failed: 0,
+      results: events.map(({ eventId }) => ({ eventId, status: 'processed' }))
+    });
+  });
+
+  it('answers 500 when an event fails, and applies only that one on the retry', async () => {
+    const handle = jest.spyOn(hubspotEvents, 'handle')
+      .mockImplementation(async (event) => {
+        if (event.eventId === 2) throw new Error('HubSpot is down');
+        return 'processed';
+      });
+
+    const response = await request(app).post('/api/hubspot/webhooks').send(events).expect(500);
+
+    expect(response.body).toEqual({
+      status: 'partially_failed',
+      failed: 1,
+      results: [
+        { eventId: 1, status: 'processed' },
+        { eventId: 2, status: 'failed', error: 'HubSpot is down' },
+        { eventId: 3, status: 'processed' }
+      ]
+    });
+    expect(await WebhookReceipt.count()).toBe(2);
+
+    handle.mockClear();
+    handle.mockResolvedValue('processed');
+
+    const retry = await request(app).post('/api/hubspot/webhooks').send(events).expect(200);
+
+    expect(retry.body.results).toEqual([
+      { eventId: 1, status: 'duplicate' },
+      { eventId: 2, status: 'processed' },
+      { eventId: 3, status: 'duplicate' }
+    ]);
+    expect(handle).toHaveBeenCalledTimes(1);
+    expect(handle).toHaveBeenCalledWith(expect.objectContaining({ eventId: 2 }), expect.anything());
+  });
+
+  it('accepts a single event object', async () => {
+    jest.spyOn(hubspotEvents, 'handle').mockResolvedValue('processed');
+
+    const response = await request(app).post('/api/hubspot/webhooks').send(events[0]).expect(200);
+
+    expect(response.body.results).toEqual([{ eventId: 1, status: 'processed' }]);
+  });
+
+  it('answers 400 to a batch that is not HubSpot events', async () => {
+    const handle = jest.spyOn(hubspotEvents, 'handle');
+
+    await request(app).post('/api/hubspot/webhooks').send([]).expect(400);
+    await request(app).post('/api/hubspot/webhooks').send([events[0], { eventId: 4 }]).expect(400);
+    expect(handle).not.toHaveBeenCalled();
+  });
+});
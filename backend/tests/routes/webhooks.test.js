@@ -0,0 +1,139 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
+
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../../src/config/config');
+const { sequelize, Call, CallLog, HubSpotContact, WebhookReceipt } = require('../../src/models');
+const callState = require('../../src/services/callState');
+const webhookRoutes = require('../../src/routes/webhooks');
+
+const NUMBER = '+15551230000';
+
+// Parses bodies the way src/index.js does
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/webhook', webhookRoutes);
+
+describe('POST /webhook/call-status', () => {
+  let contact;
+  let call;
+  let authToken;
+
+  const status = (CallStatus, SequenceNumber, extra = {}) => request(app)
+    .post('/webhook/call-status')
+    .type('form')
+    .send({ CallSid: 'CA1', CallStatus, ...(SequenceNumber !== undefined && { SequenceNumber }), ...extra });
+
+  const reload = () => call.reload();
+
+  beforeAll(async () => {
+    await sequelize.sync();
+    // Skip Twilio signature checks, as in development
+    authToken = config.twilio.authToken;
+    config.twilio.authToken = undefined;
+  });
+
+  beforeEach(async () => {
+    contact = await HubSpotContact.create({ whatsappNumber: NUMBER });
+    call = await Call.create({
+      twilioCallSid: 'CA1',
+      contactId: contact.id,
+      direction: 'outbound',
+      status: 'initiated',
+      fromNumber: 'whatsapp:+15550000000',
+      toNumber: `whatsapp:${NUMBER}`
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    for (const model of [WebhookReceipt, CallLog, Call, HubSpotContact]) {
+      await model.destroy({ where: {} });
+    }
+  });
+
+  afterAll(async () => {
+    config.twilio.authToken = authToken;
+    await sequelize.close();
+  });
+
+  it('applies callbacks that arrive in order', async () => {
+    await status('ringing', '0').expect(200);
+    await status('in-progress', '1').expect(200);
+    await status('completed', '2', { CallDuration: '42' }).expect(200);
+
+    await reload();
+    expect(call).toMatchObject({ status: 'completed', duration: 42 });
+    expect(call.ringingAt).not.toBeNull();
+    expect(call.answeredAt).not.toBeNull();
+  });
+
+  it('transitions only once for a retried callback', async () => {
+    const transition = jest.spyOn(callState, 'transition');
+
+    await status('completed', '2').expect(200);
+    await status('completed', '2').expect(200);
+
+    expect(transition).toHaveBeenCalledTimes(1);
+    expect(await WebhookReceipt.count()).toBe(1);
+  });
+
+  it('ignores a callback older than one already applied', async () => {
+    await status('completed', '3').expect(200);
+    await status('ringing', '1').expect(200);
+
+    await reload();
+    expect(call.status).toBe('completed');
+    expect(call.ringingAt).toBeNull();
+
+    const receipt = await WebhookReceipt.findOne({ where: { key: 'call-status:CA1:1' } });
+    expect(receipt).toMatchObject({ outcome: 'stale', data: { reason: 'out_of_order' } });
+    expect(await CallLog.findOne({ where: { callId: call.id, event: 'status_ignored' } }))
+      .toMatchObject({ status: 'ringing', source: 'twilio' });
+  });
+
+  it('ignores a callback without a sequence number that would move the call back', async () => {
+    await call.update({ status: 'completed' });
+    await status('ringing').expect(200);
+
+    await reload();
+    expect(call.status).toBe('completed');
+    const receipt = await WebhookReceipt.findOne({ where: { key: 'call-status:CA1:ringing' } });
+    expect(receipt).toMatchObject({ outcome: 'stale', data: { reason: 'already_final' } });
+  });
+
+  it('ignores a callback overtaken by a later sequence number', async () => {
+    await call.update({ status: 'answered' });
+    await status('in-progress', '4').expect(200);
+    // Same status the call is in, but sent before the one above
+    await status('in-progress', '2').expect(200);
+
+    const receipt = await WebhookReceipt.findOne({ where: { key: 'call-status:CA1:2' } });
+    expect(receipt).toMatchObject({ outcome: 'stale', data: { reason: 'out_of_order' } });
+  });
+
+  it('does not count stale callbacks towards the last sequence applied', async () => {
+    await call.update({ status: 'answered' });
+    await status('in-progress', '5').expect(200);
+    await status('ringing', '9').expect(200);
+    await status('completed', '7', { CallDuration: '10' }).expect(200);
+
+    await reload();
+    expect(call.status).toBe('completed');
+  });
+
+  it('releases the callback after a failure so that the retry is applied', async () => {
+    jest.spyOn(Call, 'findOne').mockRejectedValueOnce(new Error('database is locked'));
+
+    await status('ringing', '0').expect(500);
+    await status('ringing', '0').expect(200);
+
+    await reload();
+    expect(call.status).toBe('ringing');
+    expect(await WebhookReceipt.count()).toBe(1);
+  });
+});
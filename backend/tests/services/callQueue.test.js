@@ -0,0 +1,259 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
+
+const express = require('express');
+const request = require('supertest');
+
+const { sequelize, Agent, Call, CallLog, HubSpotContact, Queue, QueueEntry } = require('../../src/models');
+const callQueue = require('../../src/services/callQueue');
+const eventBus = require('../../src/services/eventBus');
+const twilioService = require('../../src/services/twilio');
+const authService = require('../../src/services/auth');
+const { authenticate } = require('../../src/middleware/auth');
+const queueRoutes = require('../../src/routes/queues');
+
+const NUMBER = '+15551230000';
+
+// Mounted the way src/index.js mounts it
+const app = express();
+app.use(express.json());
+app.use('/api/queues', authenticate, queueRoutes);
+
+describe('CallQueueService', () => {
+  let contact;
+  let agents;
+  let publish;
+
+  let created = 0;
+  const agent = (attributes = {}) => Agent.create({
+    email: `agent${++created}@example.com`,
+    name: `Agent ${created}`,
+    passwordHash: 'x',
+    team: 'support',
+    ...attributes
+  });
+
+  const queue = (attributes = {}) => Queue.create({
+    name: `Queue ${++created}`,
+    team: 'support',
+    overflowAction: 'hangup',
+    ...attributes
+  });
+
+  const call = () => Call.create({
+    twilioCallSid: `CA${++created}`,
+    contactId: contact.id,
+    direction: 'inbound',
+    status: 'answered',
+    fromNumber: `whatsapp:${NUMBER}`,
+    toNumber: 'whatsapp:+15550000000',
+    metadata: { conferenceName: `whatsapp-call-${created}` }
+  });
+
+  const enqueue = async (target) => callQueue.enqueue(await call(), target, { baseUrl: 'https://calls.example.com' });
+
+  const ids = (list) => list.map(({ id }) => id).sort();
+
+  // Agent ids each incoming_call was sent to, in order
+  const offeredTo = () => publish.mock.calls
+    .filter(([type]) => type === 'incoming_call')
+    .map(([, , audience]) => audience.agentIds);
+
+  beforeAll(() => sequelize.sync());
+
+  beforeEach(async () => {
+    contact = await HubSpotContact.create({ whatsappNumber: NUMBER, firstName: 'Ada' });
+    // Round-robin walks agents in id order
+    agents = (await Promise.all([agent(), agent(), agent()])).sort((a, b) => a.id.localeCompare(b.id));
+
+    jest.spyOn(eventBus, 'isAgentConnected').mockReturnValue(true);
+    publish = jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    jest.spyOn(twilioService, 'addParticipantToConference').mockResolvedValue({ callSid: 'CAagent' });
+    jest.spyOn(twilioService, 'updateCall').mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    [...callQueue.offers.keys()].forEach(entryId => callQueue.clearOffer(entryId));
+    [...callQueue.waitTimers.keys()].forEach(entryId => callQueue.clearWaitTimer(entryId));
+    jest.restoreAllMocks();
+
+    for (const model of [CallLog, QueueEntry, Queue, Call, Agent, HubSpotContact]) {
+      await model.destroy({ where: {} });
+    }
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('selectAgents', () => {
+    const candidates = [{ id: 'b' }, { id: 'c' }, { id: 'a' }];
+    const next = (lastAssignedAgentId) =>
+      callQueue.selectAgents({ strategy: 'round-robin', lastAssignedAgentId }, candidates).map(({ id }) => id);
+
+    it('rings the agent after the last one assigned, in id order', () => {
+      expect(next(null)).toEqual(['a']);
+      expect(next('a')).toEqual(['b']);
+      expect(next('b')).toEqual(['c']);
+    });
+
+    it('wraps around after the last agent', () => {
+      expect(next('c')).toEqual(['a']);
+      expect(next('d')).toEqual(['a']);
+    });
+
+    it('carries on from an agent who is no longer a candidate', () => {
+      expect(next('bb')).toEqual(['c']);
+    });
+
+    it('rings the agent idle the longest, starting with those without a call', () => {
+      const idle = [
+        { id: 'recent', lastCallEndedAt: new Date('2026-10-19T12:00:00Z') },
+        { id: 'earlier', lastCallEndedAt: new Date('2026-10-19T09:00:00Z') },
+        { id: 'never', lastCallEndedAt: null }
+      ];
+
+      expect(callQueue.selectAgents({ strategy: 'longest-idle' }, idle)).toEqual([idle[2]]);
+      expect(callQueue.selectAgents({ strategy: 'longest-idle' }, idle.slice(0, 2))).toEqual([idle[1]]);
+    });
+
+    it('rings every candidate at once', () => {
+      expect(callQueue.selectAgents({ strategy: 'simultaneous' }, candidates)).toEqual(candidates);
+    });
+  });
+
+  describe('offers', () => {
+    it('rings the next agent in turn and remembers who was rung', async () => {
+      const target = await queue({ strategy: 'round-robin' });
+      const first = await enqueue(target);
+      await enqueue(target);
+
+      expect(offeredTo()).toEqual([[agents[0].id], [agents[1].id]]);
+      expect(callQueue.offers.get(first.id).agentIds).toEqual([agents[0].id]);
+
+      await target.reload();
+      expect(target.lastAssignedAgentId).toBe(agents[1].id);
+      await first.reload();
+      expect(first).toMatchObject({ status: 'ringing', attempts: 1, offeredAgentIds: [agents[0].id] });
+    });
+
+    it('starts over from the first agent after the last one', async () => {
+      const target = await queue({ strategy: 'round-robin', lastAssignedAgentId: agents[2].id });
+
+      await enqueue(target);
+
+      expect(offeredTo()).toEqual([[agents[0].id]]);
+    });
+
+    it('only rings connected, available agents who are not ringing already', async () => {
+      eventBus.isAgentConnected.mockImplementation(agentId => agentId !== agents[0].id);
+      await agents[1].update({ availability: 'busy' });
+
+      const target = await queue({ strategy: 'simultaneous' });
+      await enqueue(target);
+      await enqueue(target);
+
+      expect(offeredTo()).toEqual([[agents[2].id]]);
+    });
+
+    it('rings the longest idle agent', async () => {
+      await agents[0].update({ lastCallEndedAt: new Date('2026-10-19T12:00:00Z') });
+      await agents[1].update({ lastCallEndedAt: new Date('2026-10-19T09:00:00Z') });
+      await agents[2].update({ lastCallEndedAt: new Date('2026-10-19T11:00:00Z') });
+
+      await enqueue(await queue({ strategy: 'longest-idle' }));
+
+      expect(offeredTo()).toEqual([[agents[1].id]]);
+    });
+
+    it('moves on to the next agent when the ring times out', async () => {
+      const entry = await enqueue(await queue({ strategy: 'round-robin' }));
+
+      // Fire the ring timer now
+      clearTimeout(callQueue.offers.get(entry.id).ringTimer);
+      await callQueue.handleRingTimeout(entry.id);
+
+      expect(offeredTo()).toEqual([[agents[0].id], [agents[1].id]]);
+      expect(publish).toHaveBeenCalledWith('call_offer_expired', expect.objectContaining({ queueEntryId: entry.id }), {
+        agentIds: [agents[0].id]
+      });
+      await entry.reload();
+      expect(entry).toMatchObject({ status: 'ringing', attempts: 2 });
+    });
+  });
+
+  describe('simultaneous offers', () => {
+    it('connects the first agent to accept and withdraws the offer from the rest', async () => {
+      const entry = await enqueue(await queue({ strategy: 'simultaneous' }));
+      expect(offeredTo().map(agentIds => [...agentIds].sort())).toEqual([ids(agents)]);
+
+      const accepted = await callQueue.accept(entry.id, agents[1]);
+
+      expect(accepted).toMatchObject({ status: 'connected', agentId: agents[1].id });
+      expect(twilioService.addParticipantToConference)
+        .toHaveBeenCalledWith(expect.stringMatching(/^whatsapp-call-/), `client:${agents[1].twilioIdentity}`, expect.any(Object));
+      const [, , taken] = publish.mock.calls.find(([type]) => type === 'call_offer_taken');
+      expect(taken.agentIds.sort()).toEqual(ids([agents[0], agents[2]]));
+      expect(callQueue.offers.has(entry.id)).toBe(false);
+      expect(callQueue.waitTimers.has(entry.id)).toBe(false);
+
+      await agents[1].reload();
+      expect(agents[1].availability).toBe('busy');
+      expect(await callQueue.accept(entry.id, agents[0])).toBeNull();
+    });
+
+    it('keeps ringing the others when one agent declines', async () => {
+      const entry = await enqueue(await queue({ strategy: 'simultaneous' }));
+
+      expect(await callQueue.decline(entry.id, agents[0])).toBe(true);
+
+      expect([...callQueue.offers.get(entry.id).agentIds].sort()).toEqual(ids([agents[1], agents[2]]));
+      expect(offeredTo()).toHaveLength(1);
+    });
+  });
+
+  describe('decline', () => {
+    it('rings the next agent, then overflows once every agent declined', async () => {
+      const entry = await enqueue(await queue({ strategy: 'round-robin' }));
+
+      for (const declining of agents) {
+        expect(await callQueue.decline(entry.id, declining)).toBe(true);
+      }
+
+      expect(offeredTo()).toEqual(agents.map(({ id }) => [id]));
+      await entry.reload();
+      expect(entry).toMatchObject({ status: 'overflowed', attempts: 3, metadata: { overflowReason: 'no_answer' } });
+      expect(twilioService.updateCall).toHaveBeenCalledWith(expect.stringMatching(/^CA/), { twiml: expect.any(String) });
+      expect(await CallLog.count({ where: { event: 'queue_offer_declined' } })).toBe(3);
+    });
+
+    it('refuses an agent the call is not ringing', async () => {
+      const entry = await enqueue(await queue({ strategy: 'round-robin' }));
+
+      expect(await callQueue.decline(entry.id, agents[1])).toBe(false);
+      expect(callQueue.offers.get(entry.id).agentIds).toEqual([agents[0].id]);
+    });
+
+    it('drops the offer when the queue entry is gone', async () => {
+      const entry = await enqueue(await queue({ strategy: 'round-robin' }));
+      await QueueEntry.update({ status: 'abandoned' }, { where: { id: entry.id } });
+
+      expect(await callQueue.decline(entry.id, agents[0])).toBe(false);
+      expect(callQueue.offers.has(entry.id)).toBe(false);
+      expect(offeredTo()).toHaveLength(1);
+    });
+
+    it('answers 409 to an agent declining an offer whose entry is gone', async () => {
+      const entry = await enqueue(await queue({ strategy: 'round-robin' }));
+      await QueueEntry.destroy({ where: { id: entry.id } });
+
+      const response = await request(app)
+        .post(`/api/queues/entries/${entry.id}/decline`)
+        .set('Authorization', `Bearer ${authService.issueToken(agents[0])}`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Call is no longer being offered to you' });
+      expect(callQueue.offers.has(entry.id)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+
+const { sequelize, Call, HubSpotContact } = require('../../src/models');
+const { CallStateMachine, TRANSITIONS, FINAL_STATUSES } = require('../../src/services/callState');
+
+const NUMBER = '+15551230000';
+
+describe('CallStateMachine', () => {
+  let callState;
+  let events;
+  let contact;
+
+  let calls = 0;
+  const call = (attributes = {}) => Call.create({
+    twilioCallSid: `CA${++calls}`,
+    contactId: contact.id,
+    direction: 'outbound',
+    status: 'initiated',
+    fromNumber: 'whatsapp:+15550000000',
+    toNumber: `whatsapp:${NUMBER}`,
+    ...attributes
+  });
+
+  beforeAll(() => sequelize.sync());
+
+  beforeEach(async () => {
+    callState = new CallStateMachine();
+    events = [];
+    callState.onTransition('record', event => events.push(event));
+    contact = await HubSpotContact.create({ whatsappNumber: NUMBER });
+  });
+
+  afterEach(async () => {
+    for (const model of [Call, HubSpotContact]) {
+      await model.destroy({ where: {} });
+    }
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('transitions', () => {
+    it('lets final statuses go nowhere', () => {
+      for (const status of FINAL_STATUSES) {
+        expect(TRANSITIONS[status]).toEqual([]);
+        expect(callState.isFinal(status)).toBe(true);
+      }
+      expect(callState.isFinal('in-progress')).toBe(false);
+    });
+
+    it('only moves calls forward', () => {
+      expect(callState.canTransition('initiated', 'ringing')).toBe(true);
+      expect(callState.canTransition('ringing', 'in-progress')).toBe(true);
+      expect(callState.canTransition('answered', 'completed')).toBe(true);
+      expect(callState.canTransition('in-progress', 'answered')).toBe(false);
+      expect(callState.canTransition('answered', 'busy')).toBe(false);
+      expect(callState.canTransition('unknown', 'ringing')).toBe(false);
+    });
+
+    it('explains why a call cannot move', () => {
+      expect(callState.rejectionReason('ringing', 'answered')).toBeNull();
+      expect(callState.rejectionReason('ringing', 'on-hold')).toBe('unknown_status');
+      expect(callState.rejectionReason('ringing', 'ringing')).toBe('unchanged');
+      expect(callState.rejectionReason('completed', 'failed')).toBe('already_final');
+      expect(callState.rejectionReason('completed', 'ringing')).toBe('already_final');
+      expect(callState.rejectionReason('in-progress', 'ringing')).toBe('status_regression');
+      expect(callState.rejectionReason('answered', 'no-answer')).toBe('invalid_transition');
+    });
+
+    it('maps Twilio statuses onto the model', () => {
+      expect(callState.fromTwilio('queued')).toBe('initiated');
+      expect(callState.fromTwilio('in-progress')).toBe('answered');
+      expect(callState.fromTwilio('completed')).toBe('completed');
+      expect(callState.fromTwilio('paused')).toBeNull();
+    });
+  });
+
+  describe('computeDuration', () => {
+    const endedAt = new Date('2026-10-19T12:01:30Z');
+
+    it('prefers the duration Twilio reports', () => {
+      expect(callState.computeDuration({ answeredAt: new Date('2026-10-19T12:00:00Z') }, endedAt, '42')).toBe(42);
+    });
+
+    it('counts from the answer otherwise, and is 0 for unanswered calls', () => {
+      expect(callState.computeDuration({ answeredAt: new Date('2026-10-19T12:00:00Z') }, endedAt)).toBe(90);
+      expect(callState.computeDuration({ answeredAt: null }, endedAt)).toBe(0);
+      expect(callState.computeDuration({ answeredAt: new Date('2026-10-19T12:05:00Z') }, endedAt)).toBe(0);
+    });
+  });
+
+  describe('transition', () => {
+    it('stamps each phase and emits one event per transition', async () => {
+      const record = await call();
+      const ringingAt = new Date('2026-10-19T12:00:00Z');
+      const answeredAt = new Date('2026-10-19T12:00:10Z');
+      const endedAt = new Date('2026-10-19T12:01:10Z');
+
+      await callState.transition(record, 'ringing', { at: ringingAt });
+      await callState.transition(record, 'answered', { at: answeredAt });
+      await callState.transition(record, 'in-progress', { at: endedAt });
+      const result = await callState.transition(record, 'completed', { at: endedAt, source: 'twilio' });
+
+      expect(result).toEqual({ changed: true, from: 'in-progress', to: 'completed', reason: null });
+      expect(record.toJSON()).toMatchObject({ status: 'completed', ringingAt, answeredAt, endTime: endedAt, duration: 60 });
+      expect(events.map(({ from, to }) => `${from}>${to}`))
+        .toEqual(['initiated>ringing', 'ringing>answered', 'answered>in-progress', 'in-progress>completed']);
+      expect(events[3]).toMatchObject({ source: 'twilio', message: 'Call status changed from in-progress to completed' });
+    });
+
+    it('leaves the call alone when the transition is rejected', async () => {
+      const record = await call({ status: 'completed', duration: 30 });
+
+      const result = await callState.transition(record, 'ringing');
+
+      expect(result).toEqual({ changed: false, from: 'completed', to: 'ringing', reason: 'already_final' });
+      await record.reload();
+      expect(record.status).toBe('completed');
+      expect(record.ringingAt).toBeNull();
+      expect(events).toEqual([]);
+    });
+
+    it('lets only one of two concurrent writers apply a transition', async () => {
+      const record = await call({ status: 'answered', answeredAt: new Date() });
+      const [first, second] = await Promise.all([Call.findByPk(record.id), Call.findByPk(record.id)]);
+
+      const results = await Promise.all([
+        callState.transition(first, 'completed', { source: 'twilio' }),
+        callState.transition(second, 'completed', { source: 'polling' })
+      ]);
+
+      expect(results.map(({ changed }) => changed).sort()).toEqual([false, true]);
+      expect(results.find(({ changed }) => !changed).reason).toBe('concurrent_update');
+      expect(events).toHaveLength(1);
+    });
+
+    it('reports a writer that saw an old status as losing, with the current status loaded', async () => {
+      const record = await call({ status: 'ringing' });
+      const stale = await Call.findByPk(record.id);
+      await callState.transition(record, 'answered');
+
+      const result = await callState.transition(stale, 'failed');
+
+      expect(result).toEqual({ changed: false, from: 'ringing', to: 'failed', reason: 'concurrent_update' });
+      expect(stale.status).toBe('answered');
+      expect(events).toHaveLength(1);
+    });
+
+    it('keeps going when a handler throws', async () => {
+      const record = await call();
+      callState.onTransition('broken', () => { throw new Error('HubSpot is down'); });
+      const after = jest.fn();
+      callState.onTransition('after', after);
+
+      const result = await callState.transition(record, 'ringing');
+
+      expect(result.changed).toBe(true);
+      expect(after).toHaveBeenCalledWith(expect.objectContaining({ from: 'initiated', to: 'ringing' }));
+    });
+  });
+});
@@ -0,0 +1,253 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+
+const { sequelize, Call, CallPermission, HubSpotContact, SuppressedNumber } = require('../../src/models');
+const { ComplianceService, REASONS } = require('../../src/services/compliance');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NUMBER = '+15551230000';
+
+describe('ComplianceService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const ago = (ms) => new Date(now.getTime() - ms);
+  const compliance = new ComplianceService({ clock: () => now });
+  let contact;
+
+  const permission = (attributes = {}) => CallPermission.create({
+    contactId: contact.id,
+    whatsappNumber: NUMBER,
+    ...attributes
+  });
+
+  let calls = 0;
+  const call = (createdAt, attributes = {}) => Call.create({
+    twilioCallSid: `CA${++calls}`,
+    contactId: contact.id,
+    direction: 'outbound',
+    status: 'completed',
+    fromNumber: 'whatsapp:+15550000000',
+    toNumber: `whatsapp:${NUMBER}`,
+    createdAt,
+    ...attributes
+  });
+
+  beforeAll(() => sequelize.sync());
+
+  beforeEach(async () => {
+    contact = await HubSpotContact.create({ whatsappNumber: NUMBER });
+  });
+
+  afterEach(async () => {
+    for (const model of [Call, CallPermission, SuppressedNumber, HubSpotContact]) {
+      await model.destroy({ where: {} });
+    }
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('checkPermission', () => {
+    const approved = (attributes = {}) => ({
+      status: 'approved',
+      expiresAt: new Date(now.getTime() + DAY_MS),
+      callsUsed: 0,
+      maxCalls: 5,
+      consecutiveMissedCalls: 0,
+      metadata: {},
+      ...attributes
+    });
+
+    it('allows an approved permission', () => {
+      expect(compliance.checkPermission(approved())).toEqual({
+        allowed: true,
+        reason: null,
+        message: null,
+        nextAllowedAt: null
+      });
+    });
+
+    it('refuses without a granted permission', () => {
+      expect(compliance.checkPermission(null).reason).toBe(REASONS.NO_PERMISSION);
+      expect(compliance.checkPermission(approved({ status: 'rejected' })).reason).toBe(REASONS.NO_PERMISSION);
+      expect(compliance.checkPermission(approved({ status: 'pending' })).reason).toBe(REASONS.PERMISSION_PENDING);
+      expect(compliance.checkPermission(approved({ status: 'revoked' })).reason).toBe(REASONS.PERMISSION_REVOKED);
+    });
+
+    it('expires a permission by the injected clock', () => {
+      expect(compliance.checkPermission(approved({ expiresAt: new Date(now.getTime() + 1) })).allowed).toBe(true);
+      expect(compliance.checkPermission(approved({ expiresAt: now })).reason).toBe(REASONS.PERMISSION_EXPIRED);
+
+      const later = new ComplianceService({ clock: () => new Date(now.getTime() + 2 * DAY_MS) });
+      expect(later.checkPermission(approved()).reason).toBe(REASONS.PERMISSION_EXPIRED);
+    });
+
+    it('caps the calls of a temporary grant only', () => {
+      expect(compliance.checkPermission(approved({ callsUsed: 5 })).reason).toBe(REASONS.PERMISSION_CALLS_EXHAUSTED);
+      expect(compliance.checkPermission(approved({ type: 'permanent', expiresAt: null, maxCalls: null, callsUsed: 50 })).allowed)
+        .toBe(true);
+    });
+
+    it('refuses after the consecutive missed call limit', () => {
+      expect(compliance.checkPermission(approved({ consecutiveMissedCalls: 3 })).allowed).toBe(true);
+      expect(compliance.checkPermission(approved({ consecutiveMissedCalls: 4 })).reason).toBe(REASONS.TOO_MANY_MISSED_CALLS);
+      expect(compliance.checkPermission(approved({
+        status: 'expired',
+        consecutiveMissedCalls: 4,
+        metadata: { expiredReason: REASONS.TOO_MANY_MISSED_CALLS }
+      })).reason).toBe(REASONS.TOO_MANY_MISSED_CALLS);
+    });
+
+    it('uses injected limits', () => {
+      const strict = new ComplianceService({
+        clock: () => now,
+        limits: { ...compliance.limits, consecutiveMissedCallLimit: 2 }
+      });
+      expect(strict.checkPermission(approved({ consecutiveMissedCalls: 2 })).reason).toBe(REASONS.TOO_MANY_MISSED_CALLS);
+    });
+  });
+
+  describe('registerMissedCall', () => {
+    it('expires the permission on the limit-th missed call in a row', async () => {
+      const granted = await permission({ status: 'approved', consecutiveMissedCalls: 2 });
+
+      expect(await compliance.registerMissedCall(granted)).toBe(false);
+      expect(granted.status).toBe('approved');
+
+      expect(await compliance.registerMissedCall(granted)).toBe(true);
+      await granted.reload();
+      expect(granted.status).toBe('expired');
+      expect(granted.consecutiveMissedCalls).toBe(4);
+      expect(granted.metadata).toMatchObject({
+        expiredAt: now.toISOString(),
+        expiredReason: REASONS.TOO_MANY_MISSED_CALLS
+      });
+      expect(compliance.checkPermission(granted).reason).toBe(REASONS.TOO_MANY_MISSED_CALLS);
+    });
+  });
+
+  describe('checkCall', () => {
+    it('allows a call with permission, and returns the permission', async () => {
+      const granted = await permission({ status: 'approved', expiresAt: new Date(now.getTime() + DAY_MS) });
+
+      const decision = await compliance.checkCall(contact.id, NUMBER);
+      expect(decision.allowed).toBe(true);
+      expect(decision.permission.id).toBe(granted.id);
+    });
+
+    it('refuses a suppressed number until the suppression is lifted', async () => {
+      await permission({ status: 'approved', expiresAt: new Date(now.getTime() + DAY_MS) });
+      const suppression = await SuppressedNumber.create({ whatsappNumber: NUMBER, reason: 'opt_out' });
+
+      const decision = await compliance.checkCall(contact.id, NUMBER);
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toBe(REASONS.NUMBER_SUPPRESSED);
+      expect(decision.permission).toBeNull();
+
+      await suppression.update({ liftedAt: now });
+      expect((await compliance.checkCall(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it('refuses a call once the permission expired by missed calls', async () => {
+      const granted = await permission({ status: 'approved', expiresAt: new Date(now.getTime() + DAY_MS) });
+      for (let missed = 0; missed < 4; missed++) {
+        await compliance.registerMissedCall(granted);
+      }
+
+      const decision = await compliance.checkCall(contact.id, NUMBER);
+      expect(decision.reason).toBe(REASONS.TOO_MANY_MISSED_CALLS);
+      expect(compliance.requiresPermission(decision)).toBe(true);
+    });
+
+    it('limits calls per 24 hours and says when the next one is allowed', async () => {
+      await permission({ status: 'approved', type: 'permanent', expiresAt: null, maxCalls: null });
+      await call(ago(25 * HOUR_MS));
+      await call(ago(3 * HOUR_MS), { status: 'failed' });
+      for (const hours of [20, 10, 5, 2]) {
+        await call(ago(hours * HOUR_MS));
+      }
+
+      expect((await compliance.checkCall(contact.id, NUMBER)).allowed).toBe(true);
+
+      await call(ago(HOUR_MS));
+      const decision = await compliance.checkCall(contact.id, NUMBER);
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toBe(REASONS.DAILY_CALL_LIMIT);
+      expect(decision.nextAllowedAt).toEqual(new Date(now.getTime() + 4 * HOUR_MS));
+    });
+  });
+
+  describe('checkPermissionRequest', () => {
+    it('allows the first request', async () => {
+      expect((await compliance.checkPermissionRequest(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it('allows one request per 24 hours', async () => {
+      await permission({ status: 'rejected', requestedAt: ago(20 * HOUR_MS) });
+
+      const decision = await compliance.checkPermissionRequest(contact.id, NUMBER);
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toBe(REASONS.DAILY_REQUEST_LIMIT);
+      expect(decision.nextAllowedAt).toEqual(new Date(now.getTime() + 4 * HOUR_MS));
+
+      const later = new ComplianceService({ clock: () => new Date(now.getTime() + 4 * HOUR_MS) });
+      expect((await later.checkPermissionRequest(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it('allows two requests per 7 days', async () => {
+      await permission({ status: 'rejected', requestedAt: ago(6 * DAY_MS) });
+      await permission({ status: 'expired', requestedAt: ago(2 * DAY_MS) });
+
+      const decision = await compliance.checkPermissionRequest(contact.id, NUMBER);
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toBe(REASONS.WEEKLY_REQUEST_LIMIT);
+      expect(decision.nextAllowedAt).toEqual(new Date(now.getTime() + DAY_MS));
+
+      const later = new ComplianceService({ clock: () => new Date(now.getTime() + DAY_MS) });
+      expect((await later.checkPermissionRequest(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it("doesn't count requests that failed to send", async () => {
+      await permission({ status: 'failed', requestedAt: ago(HOUR_MS) });
+      await permission({ status: 'failed', requestedAt: ago(2 * DAY_MS) });
+
+      expect((await compliance.checkPermissionRequest(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it('refuses while a request waits for an answer', async () => {
+      const expiresAt = new Date(now.getTime() + 6 * DAY_MS);
+      await permission({ status: 'pending', requestedAt: ago(DAY_MS + HOUR_MS), expiresAt });
+
+      const decision = await compliance.checkPermissionRequest(contact.id, NUMBER);
+      expect(decision.reason).toBe(REASONS.PERMISSION_PENDING);
+      expect(decision.nextAllowedAt).toEqual(expiresAt);
+    });
+
+    it('refuses while a grant still allows calls', async () => {
+      const expiresAt = new Date(now.getTime() + 3 * DAY_MS);
+      await permission({ status: 'approved', requestedAt: ago(4 * DAY_MS), expiresAt });
+
+      const decision = await compliance.checkPermissionRequest(contact.id, NUMBER);
+      expect(decision.reason).toBe(REASONS.PERMISSION_ALREADY_GRANTED);
+      expect(decision.nextAllowedAt).toEqual(expiresAt);
+    });
+
+    it('allows a new request once a grant is used up by missed calls', async () => {
+      await permission({
+        status: 'approved',
+        requestedAt: ago(4 * DAY_MS),
+        expiresAt: new Date(now.getTime() + 3 * DAY_MS),
+        consecutiveMissedCalls: 4
+      });
+
+      expect((await compliance.checkPermissionRequest(contact.id, NUMBER)).allowed).toBe(true);
+    });
+
+    it('refuses a suppressed number', async () => {
+      await SuppressedNumber.create({ whatsappNumber: NUMBER, reason: 'opt_out' });
+
+      const decision = await compliance.checkPermissionRequest(contact.id, NUMBER);
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toBe(REASONS.NUMBER_SUPPRESSED);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../../src/config/config');
+const { sequelize, CrmOutboxItem, HubSpotContact } = require('../../src/models');
+const crmOutbox = require('../../src/services/crmOutbox');
+const hubspotService = require('../../src/services/hubspot');
+
+// Error the HubSpot client throws for a failed request
+const hubspotError = (code, headers = {}) => Object.assign(new Error(`HTTP-Code: ${code}`), {
+  code,
+  headers,
+  body: { message: `Request failed with ${code}` }
+});
+
+describe('CrmOutboxService', () => {
+  let portal;
+  let contact;
+  let created = 0;
+
+  const later = (ms) => new Date(Date.now() + ms);
+
+  // Queued the way crmOutbox.updateContact does, without starting a drain
+  const update = (properties, attributes = {}) => CrmOutboxItem.create({
+    portalId: '42',
+    operation: 'contact.update',
+    resourceType: 'contact',
+    resourceId: contact.id,
+    payload: { contactId: contact.id, properties },
+    nextAttemptAt: new Date(),
+    createdAt: new Date(Date.now() - 60000 + ++created),
+    ...attributes
+  });
+
+  beforeAll(() => sequelize.sync());
+
+  beforeEach(async () => {
+    contact = await HubSpotContact.create({ whatsappNumber: '+15551230000', hubspotContactId: '901', portalId: '42' });
+    portal = {
+      updateContact: jest.fn().mockResolvedValue({}),
+      createContact: jest.fn().mockResolvedValue({ id: 902 }),
+      searchContactsByWhatsApp: jest.fn().mockResolvedValue([])
+    };
+    jest.spyOn(hubspotService, 'forPortal').mockReturnValue(portal);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    crmOutbox.pausedUntil.clear();
+    for (const model of [CrmOutboxItem, HubSpotContact]) {
+      await model.destroy({ where: {} });
+    }
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('fail', () => {
+    it('retries an error HubSpot may get over, with backoff', async () => {
+      portal.updateContact.mockRejectedValueOnce(hubspotError(502));
+      const item = await update({ firstname: 'Ada' });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ retrying: 1, completed: 0 });
+
+      await item.reload();
+      expect(item).toMatchObject({ status: 'pending', attempts: 1, lastError: 'HubSpot 502: Request failed with 502' });
+      expect(item.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(Date.now() + config.crmOutbox.baseDelayMs * 0.8 - 1000);
+
+      // Not due again until the backoff is over
+      expect(await crmOutbox.processDue()).toMatchObject({ retrying: 0, completed: 0 });
+      expect(await crmOutbox.processDue(later(config.crmOutbox.baseDelayMs * 2))).toMatchObject({ completed: 1 });
+
+      await item.reload();
+      expect(item).toMatchObject({ status: 'completed', attempts: 2, lastError: null });
+    });
+
+    it('dead-letters an item on its last attempt', async () => {
+      portal.updateContact.mockRejectedValue(new Error('socket hang up'));
+      const item = await update({ firstname: 'Ada' }, { attempts: config.crmOutbox.maxAttempts - 1 });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ dead: 1 });
+
+      await item.reload();
+      expect(item).toMatchObject({ status: 'dead', attempts: config.crmOutbox.maxAttempts, lastError: 'socket hang up' });
+    });
+
+    it('dead-letters an error retrying cannot fix straight away', async () => {
+      portal.updateContact.mockRejectedValue(hubspotError(404));
+      const item = await update({ firstname: 'Ada' });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ dead: 1 });
+
+      await item.reload();
+      expect(item).toMatchObject({ status: 'dead', attempts: 1 });
+    });
+
+    it('pauses the portal on a rate limit without counting the attempt', async () => {
+      portal.updateContact.mockRejectedValueOnce(hubspotError(429, { 'Retry-After': '30' }));
+      const limited = await update({ firstname: 'Ada' });
+      const other = await HubSpotContact.create({ whatsappNumber: '+15551230001', hubspotContactId: '903', portalId: '42' });
+      await update({ firstname: 'Grace' }, { resourceId: other.id, payload: { contactId: other.id, properties: {} } });
+      const elsewhere = await HubSpotContact.create({ whatsappNumber: '+15551230002', hubspotContactId: '904', portalId: '7' });
+      await update({ firstname: 'Edsger' }, {
+        portalId: '7',
+        resourceId: elsewhere.id,
+        payload: { contactId: elsewhere.id, properties: {} }
+      });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ retrying: 1, deferred: 1, completed: 1 });
+      expect(hubspotService.forPortal).toHaveBeenLastCalledWith('7');
+
+      await limited.reload();
+      expect(limited).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(limited.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 25000);
+      expect(crmOutbox.isPaused('42')).toBe(true);
+      expect(crmOutbox.isPaused('7')).toBe(false);
+    });
+  });
+
+  describe('rateLimitDelay', () => {
+    it('waits as many seconds as Retry-After asks, whatever the header case', () => {
+      expect(crmOutbox.rateLimitDelay(hubspotError(429, { 'Retry-After': '7' }))).toBe(7000);
+      expect(crmOutbox.rateLimitDelay(hubspotError(429, { 'retry-after': '2' }))).toBe(2000);
+    });
+
+    it('falls back to the rate-limit window HubSpot reports', () => {
+      const error = hubspotError(429, { 'X-HubSpot-RateLimit-Interval-Milliseconds': '10000', 'Retry-After': '0' });
+
+      expect(crmOutbox.rateLimitDelay(error)).toBe(10000);
+    });
+
+    it('uses the configured delay when HubSpot says nothing', () => {
+      expect(crmOutbox.rateLimitDelay(hubspotError(429))).toBe(config.crmOutbox.rateLimitDelayMs);
+      expect(crmOutbox.rateLimitDelay(hubspotError(429, { 'Retry-After': 'soon' }))).toBe(config.crmOutbox.rateLimitDelayMs);
+      expect(crmOutbox.rateLimitDelay(new Error('429'))).toBe(config.crmOutbox.rateLimitDelayMs);
+    });
+  });
+
+  describe('ordering', () => {
+    it('holds writes for a record until the earlier ones are done', async () => {
+      portal.updateContact.mockRejectedValueOnce(hubspotError(503));
+      const first = await update({ firstname: 'Ada' });
+      const second = await update({ firstname: 'Augusta' });
+
+      expect(await crmOutbox.isBlocked(second)).toBe(true);
+      expect(await crmOutbox.isBlocked(first)).toBe(false);
+      expect(await crmOutbox.processDue()).toMatchObject({ retrying: 1, deferred: 1 });
+
+      await crmOutbox.processDue(later(config.crmOutbox.baseDelayMs * 2));
+
+      expect(portal.updateContact.mock.calls.map(([, properties]) => properties.firstname))
+        .toEqual(['Ada', 'Ada', 'Augusta']);
+      await second.reload();
+      expect(second.status).toBe('completed');
+    });
+
+    it('no longer holds writes behind a dead item', async () => {
+      portal.updateContact.mockRejectedValueOnce(hubspotError(400));
+      await update({ firstname: 'Ada' });
+      const second = await update({ firstname: 'Augusta' });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ dead: 1, completed: 1 });
+      await second.reload();
+      expect(second.status).toBe('completed');
+    });
+
+    it('runs an update queued behind the create of a new contact once it exists', async () => {
+      const caller = await HubSpotContact.create({ whatsappNumber: '+15551230003', portalId: '42' });
+      await CrmOutboxItem.create({
+        portalId: '42',
+        operation: 'contact.create',
+        resourceType: 'contact',
+        resourceId: caller.id,
+        payload: { contactId: caller.id, properties: { phone: '+15551230003' } },
+        nextAttemptAt: new Date(),
+        createdAt: new Date(Date.now() - 60000)
+      });
+      await update({ firstname: 'Ada' }, { resourceId: caller.id, payload: { contactId: caller.id, properties: { firstname: 'Ada' } } });
+
+      expect(await crmOutbox.processDue()).toMatchObject({ completed: 2 });
+      expect(portal.createContact).toHaveBeenCalledWith({ phone: '+15551230003' });
+      expect(portal.updateContact).toHaveBeenCalledWith('902', { firstname: 'Ada' });
+    });
+
+    it('does not order writes that are not about a record', async () => {
+      expect(await crmOutbox.isBlocked({ resourceId: null })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-'));
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+process.env.TRANSCRIPTION_PROVIDER = 'local';
+process.env.TRANSCRIPTION_LOCAL_DIR = path.join(directory, 'transcripts');
+process.env.RECORDING_LOCAL_DIR = path.join(directory, 'recordings');
+
+const { sequelize, Call, HubSpotContact, Recording, Transcript } = require('../../src/models');
+const eventBus = require('../../src/services/eventBus');
+const crmOutbox = require('../../src/services/crmOutbox');
+const transcription = require('../../src/services/transcription');
+
+describe('TranscriptionService', () => {
+  describe('labelSpeakers', () => {
+    it('names the channels of a two-channel recording', () => {
+      const segments = transcription.labelSpeakers([
+        { channel: 1, start: 2.5, end: 4, text: 'How can I help?' },
+        { channel: 0, start: 0, end: 2, text: ' Hi, it is Ana. ' },
+        { channel: 2, start: 5, end: 6, text: 'Beep.' }
+      ], 2);
+
+      expect(segments).toEqual([
+        { speaker: 'contact', start: 0, end: 2, text: 'Hi, it is Ana.' },
+        { speaker: 'agent', start: 2.5, end: 4, text: 'How can I help?' },
+        { speaker: 'channel_3', start: 5, end: 6, text: 'Beep.' }
+      ]);
+    });
+
+    it('numbers the speakers of a diarized recording', () => {
+      const segments = transcription.labelSpeakers([
+        { speaker: 0, start: 0, text: 'Hello.' },
+        { speaker: 1, start: 1, text: 'Hi.' },
+        { speaker: 'agent', start: 2, text: 'Named by the provider.' },
+        { start: 3, text: 'Nobody in particular.' }
+      ], 1);
+
+      expect(segments.map(segment => segment.speaker)).toEqual(['speaker_1', 'speaker_2', 'agent', 'unknown']);
+    });
+
+    it('drops segments without speech', () => {
+      expect(transcription.labelSpeakers([
+        { channel: 0, start: 0, text: '  ' },
+        { channel: 1, start: 1 },
+        { channel: 1, start: 2, text: 'Anyone there?' }
+      ], 2)).toEqual([{ speaker: 'agent', start: 2, end: undefined, text: 'Anyone there?' }]);
+    });
+  });
+
+  describe('summarize', () => {
+    it('picks the sentences about what the call was about, in spoken order', () => {
+      const segments = [
+        { speaker: 'contact', start: 0, text: 'Hello there, thanks for calling today. I have a question about my invoice payment.' },
+        { speaker: 'agent', start: 5, text: 'Sure, what is the weather like?' },
+        { speaker: 'contact', start: 8, text: 'The invoice payment failed last week. Ok.' },
+        { speaker: 'agent', start: 12, text: 'The invoice payment should go through now.' }
+      ];
+
+      expect(transcription.summarize(segments)).toBe(
+        'I have a question about my invoice payment. The invoice payment failed last week. ' +
+        'The invoice payment should go through now.'
+      );
+    });
+
+    it('is null for a call without sentences worth summarizing', () => {
+      expect(transcription.summarize([])).toBeNull();
+      expect(transcription.summarize([{ speaker: 'agent', start: 0, text: 'Hello? Hello?' }])).toBeNull();
+    });
+  });
+
+  describe('findActionItems', () => {
+    it('finds the commitments, once each, with who made them', () => {
+      const segments = [
+        { speaker: 'contact', start: 0, text: 'My card was charged twice.' },
+        { speaker: 'agent', start: 3, text: "I'll refund the second charge today. Anything else?" },
+        { speaker: 'contact', start: 7, text: 'Let me check my email first. It was on Monday.' },
+        { speaker: 'agent', start: 10, text: "Sure. I'll refund the second charge today." }
+      ];
+
+      expect(transcription.findActionItems(segments)).toEqual([
+        { speaker: 'agent', start: 3, text: "I'll refund the second charge today." },
+        { speaker: 'contact', start: 7, text: 'Let me check my email first.' }
+      ]);
+    });
+
+    it('finds nothing in a call without commitments', () => {
+      expect(transcription.findActionItems([{ speaker: 'agent', start: 0, text: 'Thanks for calling.' }])).toEqual([]);
+    });
+  });
+
+  describe('transcribe', () => {
+    let call;
+    let recordings = 0;
+
+    const storedRecording = async (transcript, { channels = 2 } = {}) => {
+      const recordingSid = `RE${++recordings}`;
+      const storageKey = `${recordingSid}.mp3`;
+
+      await fs.promises.mkdir(process.env.RECORDING_LOCAL_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(process.env.RECORDING_LOCAL_DIR, storageKey), 'audio');
+      if (transcript) {
+        await fs.promises.mkdir(process.env.TRANSCRIPTION_LOCAL_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(process.env.TRANSCRIPTION_LOCAL_DIR, `${recordingSid}.json`), JSON.stringify(transcript));
+      }
+
+      return Recording.create({
+        callId: call.id,
+        recordingSid,
+        status: 'stored',
+        storageBackend: 'local',
+        storageKey,
+        contentType: 'audio/mpeg',
+        channels
+      });
+    };
+
+    const pendingTranscript = (recording) => Transcript.create({
+      callId: call.id,
+      recordingId: recording.id,
+      provider: 'local'
+    });
+
+    beforeAll(() => sequelize.sync());
+
+    beforeEach(async () => {
+      jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+      jest.spyOn(crmOutbox, 'syncCall').mockResolvedValue(null);
+
+      const contact = await HubSpotContact.create({ whatsappNumber: '+15551230000' });
+      call = await Call.create({
+        twilioCallSid: 'CA1',
+        contactId: contact.id,
+        direction: 'outbound',
+        status: 'completed',
+        fromNumber: 'whatsapp:+15550000000',
+        toNumber: 'whatsapp:+15551230000'
+      });
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      for (const model of [Transcript, Recording, Call, HubSpotContact]) {
+        await model.destroy({ where: {} });
+      }
+    });
+
+    afterAll(async () => {
+      await sequelize.close();
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('transcribes a stored recording with the local provider and publishes it', async () => {
+      const recording = await storedRecording({
+        language: 'en',
+        segments: [
+          { channel: 0, start: 0, end: 3, text: 'My parcel never arrived at the new address.' },
+          { channel: 1, start: 3.5, end: 7, text: 'The parcel went to the old address. I will send a new parcel tomorrow.' }
+        ]
+      });
+      const transcript = await pendingTranscript(recording);
+
+      const result = await transcription.transcribe(transcript);
+
+      expect(result.id).toBe(transcript.id);
+      await transcript.reload();
+      expect(transcript.status).toBe('completed');
+      expect(transcript.attempts).toBe(1);
+      expect(transcript.language).toBe('en');
+      expect(transcript.segments.map(segment => segment.speaker)).toEqual(['contact', 'agent']);
+      expect(transcript.summary).toBe(
+        'My parcel never arrived at the new address. The parcel went to the old address. I will send a new parcel tomorrow.'
+      );
+      expect(transcript.actionItems).toEqual([{ speaker: 'agent', start: 3.5, text: 'I will send a new parcel tomorrow.' }]);
+      expect(transcript.completedAt).toBeInstanceOf(Date);
+
+      expect(eventBus.publish).toHaveBeenCalledWith('call_transcribed', expect.objectContaining({
+        callId: call.id,
+        transcriptId: transcript.id,
+        summary: transcript.summary
+      }), expect.anything());
+      expect(crmOutbox.syncCall).toHaveBeenCalledWith(expect.objectContaining({ id: call.id }));
+    });
+
+    it('keeps the summary and action items a provider returns', async () => {
+      const recording = await storedRecording({
+        segments: [{ channel: 0, start: 0, text: 'Please call me back next week about the contract.' }],
+        summary: 'Contact asked for a call next week.',
+        actionItems: [{ speaker: 'agent', text: 'Call back next week', start: 0 }]
+      });
+      const transcript = await pendingTranscript(recording);
+
+      await transcription.transcribe(transcript);
+
+      await transcript.reload();
+      expect(transcript.summary).toBe('Contact asked for a call next week.');
+      expect(transcript.actionItems).toEqual([{ speaker: 'agent', text: 'Call back next week', start: 0 }]);
+    });
+
+    it('completes a recording without a local transcript as empty', async () => {
+      const transcript = await pendingTranscript(await storedRecording(null));
+
+      await transcription.transcribe(transcript);
+
+      await transcript.reload();
+      expect(transcript.status).toBe('completed');
+      expect(transcript.segments).toEqual([]);
+      expect(transcript.summary).toBeNull();
+      expect(transcript.actionItems).toEqual([]);
+    });
+
+    it("doesn't transcribe a transcript another worker has", async () => {
+      const transcript = await pendingTranscript(await storedRecording({ segments: [] }));
+      await transcript.update({ status: 'processing' });
+
+      expect(await transcription.transcribe(transcript)).toBeNull();
+      await transcript.reload();
+      expect(transcript.status).toBe('processing');
+      expect(transcript.attempts).toBe(0);
+    });
+
+    it('marks the transcript failed, without rejecting, when the recording is gone', async () => {
+      const recording = await storedRecording({ segments: [] });
+      const transcript = await pendingTranscript(recording);
+      await recording.update({ status: 'deleted' });
+
+      expect(await transcription.transcribe(transcript)).toBeNull();
+      await transcript.reload();
+      expect(transcript.status).toBe('failed');
+      expect(transcript.attempts).toBe(1);
+      expect(transcript.lastError).toBe('Recording is deleted');
+      expect(crmOutbox.syncCall).not.toHaveBeenCalled();
+    });
+
+    it('keeps a completed transcript when publishing it fails', async () => {
+      crmOutbox.syncCall.mockRejectedValue(new Error('HubSpot is down'));
+      const transcript = await pendingTranscript(await storedRecording({ segments: [] }));
+
+      expect(await transcription.transcribe(transcript)).not.toBeNull();
+      await transcript.reload();
+      expect(transcript.status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+
+const { sequelize, WebhookReceipt } = require('../../src/models');
+const webhookReceipts = require('../../src/services/webhookReceipts');
+const { dedupeWebhook } = require('../../src/middleware/webhookReceipt');
+
+describe('webhookReceipts', () => {
+  beforeAll(() => sequelize.sync());
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await WebhookReceipt.destroy({ where: {} });
+  });
+
+  afterAll(() => sequelize.close());
+
+  describe('claim', () => {
+    it('resolves to null for a key that was already claimed', async () => {
+      const receipt = await webhookReceipts.claim({ key: 'call-status:CA1:1', type: 'call-status', resourceSid: 'CA1', sequenceNumber: 1 });
+
+      expect(receipt).toMatchObject({ type: 'call-status', resourceSid: 'CA1', sequenceNumber: 1, outcome: 'processed' });
+      expect(await webhookReceipts.claim({ key: 'call-status:CA1:1', type: 'call-status' })).toBeNull();
+    });
+
+    it('can be claimed again once released', async () => {
+      const receipt = await webhookReceipts.claim({ key: 'call-status:CA1:1', type: 'call-status' });
+      await webhookReceipts.release(receipt);
+
+      expect(await webhookReceipts.claim({ key: 'call-status:CA1:1', type: 'call-status' })).not.toBeNull();
+    });
+  });
+
+  describe('lastSequence', () => {
+    const claim = (sequenceNumber, resourceSid = 'CA1') => webhookReceipts.claim({
+      key: `call-status:${resourceSid}:${sequenceNumber}`,
+      type: 'call-status',
+      resourceSid,
+      sequenceNumber
+    });
+
+    it('is the highest sequence number applied to the resource', async () => {
+      await claim(1);
+      await claim(3);
+      await claim(7, 'CA2');
+
+      expect(await webhookReceipts.lastSequence('call-status', 'CA1')).toBe(3);
+      expect(await webhookReceipts.lastSequence('call-status', 'CA3')).toBeNull();
+    });
+
+    it('skips stale deliveries and the delivery being checked', async () => {
+      await claim(1);
+      const stale = await claim(2);
+      await webhookReceipts.markStale(stale, 'out_of_order');
+      const current = await claim(5);
+
+      expect(stale.outcome).toBe('stale');
+      expect(stale.data).toEqual({ reason: 'out_of_order' });
+      expect(await webhookReceipts.lastSequence('call-status', 'CA1', current.id)).toBe(1);
+    });
+  });
+
+  describe('once', () => {
+    it('runs a side effect only the first time', async () => {
+      const run = jest.fn();
+
+      expect(await webhookReceipts.once('hubspot-call-log:1', run)).toBe(true);
+      expect(await webhookReceipts.once('hubspot-call-log:1', run)).toBe(false);
+      expect(await webhookReceipts.once('hubspot-call-log:2', run)).toBe(true);
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    it('frees the key when the side effect throws', async () => {
+      const run = jest.fn()
+        .mockRejectedValueOnce(new Error('HubSpot is down'))
+        .mockResolvedValueOnce();
+
+      await expect(webhookReceipts.once('hubspot-call-log:1', run)).rejects.toThrow('HubSpot is down');
+      expect(await WebhookReceipt.count()).toBe(0);
+
+      expect(await webhookReceipts.once('hubspot-call-log:1', run)).toBe(true);
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('dedupeWebhook', () => {
+    const handler = jest.fn();
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/call-status', dedupeWebhook('call-status', body => ({
+      id: body.CallSid && `${body.CallSid}:${body.SequenceNumber}`,
+      resourceSid: body.CallSid,
+      sequenceNumber: parseInt(body.SequenceNumber)
+    })), (req, res) => handler(req, res));
+
+    const post = (form) => request(app).post('/call-status').type('form').send(form);
+
+    // The receipt is released once the response has finished
+    const released = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+      handler.mockReset();
+      handler.mockImplementation((req, res) => res.status(200).send('OK'));
+    });
+
+    it('hands the receipt to the handler and answers retries without it', async () => {
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(200);
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(200);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].webhookReceipt)
+        .toMatchObject({ key: 'call-status:CA1:2', resourceSid: 'CA1', sequenceNumber: 2 });
+    });
+
+    it('processes deliveries without an id every time', async () => {
+      await post({ SequenceNumber: '2' }).expect(200);
+      await post({ SequenceNumber: '2' }).expect(200);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(await WebhookReceipt.count()).toBe(0);
+    });
+
+    it('releases the receipt when the handler answers with a 5xx', async () => {
+      handler.mockImplementationOnce((req, res) => res.status(500).send('Error'));
+
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(500);
+      await released();
+      expect(await WebhookReceipt.count()).toBe(0);
+
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(200);
+      await released();
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(await WebhookReceipt.count()).toBe(1);
+    });
+
+    it('keeps the receipt when the handler answers with a 4xx', async () => {
+      handler.mockImplementationOnce((req, res) => res.status(404).send('Not found'));
+
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(404);
+      await released();
+      await post({ CallSid: 'CA1', SequenceNumber: '2' }).expect(200);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+});